@@ -1,4 +1,5 @@
 const tls = require('tls');
+const crypto = require('crypto');
 const { Buffer } = require('buffer');
 const EventEmitter = require('events');
 const fs = require('fs');
@@ -15,12 +16,13 @@ class PrinterCameraNode extends EventEmitter {
         this.port = port;
         this.username = username;
         this.options = {
-            frameProcessingMode: 'single', // Hardcoded to single for this specific function's purpose
+            frameProcessingMode: 'single', // 'single' stops after the first frame; 'continuous' emits 'frame' until stop()
             timeoutMs: 30000, // Default timeout for the capture operation
             ...options
         };
 
         this.lastFrameData = null;
+        this.lastFrameAt = 0;
         this.alive = false;
         this.socket = null;
         this.reconnectTimeout = null;
@@ -126,7 +128,6 @@ class PrinterCameraNode extends EventEmitter {
         this.socket = tls.connect(tlsOptions, () => {
             console.log(`TLS connection established to ${this.hostname}. Sending auth data.`);
             this.socket.write(authData);
-            this.connectAttempts = 0;
             this.currentFrameBuffer = Buffer.alloc(0);
             this.isReceivingImage = false;
             this.expectedPayloadSize = 0;
@@ -144,7 +145,9 @@ class PrinterCameraNode extends EventEmitter {
                         // For 3-byte (as in Python script): this.expectedPayloadSize = this.currentFrameBuffer[0] + (this.currentFrameBuffer[1] << 8) + (this.currentFrameBuffer[2] << 16);
                         this.expectedPayloadSize = this.currentFrameBuffer.readUInt32LE(0);
                         
-                        console.debug(`Got header from ${this.hostname}. Payload size: ${this.expectedPayloadSize}`);
+                        if (this.options.frameProcessingMode === 'single') {
+                            console.debug(`Got header from ${this.hostname}. Payload size: ${this.expectedPayloadSize}`);
+                        }
                         this.currentFrameBuffer = this.currentFrameBuffer.subarray(16);
                         this.isReceivingImage = true;
                         if (this.expectedPayloadSize === 0 || this.expectedPayloadSize > 15 * 1024 * 1024) { // Sanity check for size (e.g., max 15MB)
@@ -166,6 +169,15 @@ class PrinterCameraNode extends EventEmitter {
                             imageData.subarray(imageData.length - JPEG_END_MARKER.length).equals(JPEG_END_MARKER)) {
                             
                             this.lastFrameData = imageData;
+                            // Only a frame resets the backoff: printers accept the TLS connection and then drop a rejected login.
+                            this.connectAttempts = 0;
+
+                            if (this.options.frameProcessingMode === 'continuous') {
+                                this.lastFrameAt = Date.now();
+                                this.emit('frame', imageData);
+                                this.expectedPayloadSize = 0;
+                                continue;
+                            }
                             console.log(`Single frame captured from ${this.hostname}: ${this.lastFrameData.length} bytes`);
                             
                             if (!this.hasResolvedOrRejected) {
@@ -225,6 +237,16 @@ class PrinterCameraNode extends EventEmitter {
         if (!this.alive || this.hasResolvedOrRejected) return;
         if (this.reconnectTimeout) clearTimeout(this.reconnectTimeout);
 
+        // A continuous capture keeps trying until it is stopped, backing off up to 30 seconds.
+        if (this.options.frameProcessingMode === 'continuous') {
+            const delay = Math.min(3000 * this.connectAttempts, 30000);
+            console.log(`Reconnecting to ${this.hostname} in ${delay / 1000} seconds...`);
+            this.reconnectTimeout = setTimeout(() => {
+                this._connect(resolve, reject);
+            }, delay);
+            return;
+        }
+
         // Limit reconnect attempts for a single operation promise
         if (this.connectAttempts > 2) { // Allow e.g. 3 total attempts (1 initial + 2 retries)
             const errMsg = `Failed to connect to ${this.hostname} after ${this.connectAttempts} attempts.`;
@@ -245,8 +267,112 @@ class PrinterCameraNode extends EventEmitter {
     }
 }
 
+/**
+ * Keeps a camera connection open and emits every frame the printer sends (about one per second).
+ * Listen for `frame` (imageBuffer); `lastFrameData` and `lastFrameAt` hold the most recent one.
+ * Call `stop()` on the returned camera when done.
+ * @param {string} printerIp The IP address or hostname of the printer.
+ * @param {string} accessCode The access code for the printer.
+ * @param {object} [options] Optional parameters.
+ * @param {number} [options.port=6000] The port number for the camera stream.
+ * @param {string} [options.username='bblp'] The username for the camera stream.
+ * @returns {PrinterCameraNode}
+ */
+function startContinuousCapture(printerIp, accessCode, options = {}) {
+    const { port = 6000, username = 'bblp' } = options;
+    const camera = new PrinterCameraNode(printerIp, accessCode, port, username, {
+        frameProcessingMode: 'continuous',
+        timeoutMs: 0
+    });
+    camera.start();
+    return camera;
+}
+
+// --- Shared streams ---
+// One continuous connection per printer camera, fanned out to every consumer (snapshots, timelapses,
+// HTTP viewers). It stays open a little after the last consumer lets go, so back-to-back snapshots reuse it.
+const SHARED_CAMERA_LINGER_MS = 30000;
+// A frame this recent is handed out as is instead of waiting for the next one.
+const FRESH_FRAME_MS = 3000;
+
+const sharedCameras = new Map(); // printerIp -> { camera, users, lingerTimeout }
+
+/**
+ * Returns the printer's shared continuous camera, opening it if needed.
+ * Every call must be paired with releaseSharedCamera(camera).
+ * @param {string} printerIp The IP address or hostname of the printer.
+ * @param {string} accessCode The access code for the printer.
+ * @param {object} [options] port and username, see startContinuousCapture.
+ * @returns {PrinterCameraNode}
+ */
+function acquireSharedCamera(printerIp, accessCode, options = {}) {
+    let shared = sharedCameras.get(printerIp);
+    if (!shared) {
+        const camera = startContinuousCapture(printerIp, accessCode, options);
+        camera.setMaxListeners(0); // One listener per viewer
+        shared = { camera, users: 0, lingerTimeout: null };
+        sharedCameras.set(printerIp, shared);
+    }
+    if (shared.lingerTimeout) {
+        clearTimeout(shared.lingerTimeout);
+        shared.lingerTimeout = null;
+    }
+    shared.users++;
+    return shared.camera;
+}
+
+/**
+ * @param {PrinterCameraNode} camera A camera returned by acquireSharedCamera.
+ */
+function releaseSharedCamera(camera) {
+    const shared = sharedCameras.get(camera.hostname);
+    if (!shared || shared.camera !== camera) return;
+
+    shared.users--;
+    if (shared.users > 0) return;
+    shared.lingerTimeout = setTimeout(() => {
+        sharedCameras.delete(camera.hostname);
+        camera.stop();
+    }, SHARED_CAMERA_LINGER_MS);
+}
+
+/**
+ * Resolves with a current JPEG frame from the printer's shared stream.
+ * @param {string} printerIp The IP address or hostname of the printer.
+ * @param {string} accessCode The access code for the printer.
+ * @param {object} [options] port and username, see startContinuousCapture.
+ * @param {number} [options.timeoutMs=30000] How long to wait for a frame.
+ * @returns {Promise<Buffer>}
+ */
+function grabSharedFrame(printerIp, accessCode, options = {}) {
+    const { timeoutMs = 30000, ...cameraOptions } = options;
+    const camera = acquireSharedCamera(printerIp, accessCode, cameraOptions);
+
+    if (camera.lastFrameData && Date.now() - camera.lastFrameAt <= FRESH_FRAME_MS) {
+        releaseSharedCamera(camera);
+        return Promise.resolve(camera.lastFrameData);
+    }
+
+    return new Promise((resolve, reject) => {
+        const onFrame = (imageBuffer) => {
+            clearTimeout(timeout);
+            camera.off('frame', onFrame);
+            releaseSharedCamera(camera);
+            resolve(imageBuffer);
+        };
+        const timeout = setTimeout(() => {
+            camera.off('frame', onFrame);
+            releaseSharedCamera(camera);
+            reject(new Error(`No camera frame from ${printerIp} within ${timeoutMs / 1000} seconds.`));
+        }, timeoutMs);
+        camera.on('frame', onFrame);
+    });
+}
+
 /**
  * Captures a single frame from a Bambu Lab printer.
+ * The frame comes from the printer's shared stream (see acquireSharedCamera), so captures while a
+ * timelapse or a viewer is running do not open another camera session.
  * @param {string} printerIp The IP address or hostname of the printer.
  * @param {string} accessCode The access code for the printer.
  * @param {object} [options] Optional parameters.
@@ -255,58 +381,40 @@ class PrinterCameraNode extends EventEmitter {
  * @param {string} [options.outputDir=process.cwd()] Directory to save the image.
  * @param {number} [options.timeoutMs=30000] Timeout for the entire operation in milliseconds.
  * @returns {Promise<string>} A promise that resolves with the full path to the saved image, or rejects with an error.
+ *   Every capture gets its own file, which the caller deletes once it has been sent.
  */
-function captureSingleFrameFromPrinter(printerIp, accessCode, options = {}) {
-    return new Promise((resolve, reject) => {
-        const {
-            port = 6000,
-            username = 'bblp',
-            outputDir = process.cwd(), // Default to current working directory
-            timeoutMs = 30000
-        } = options;
-
-        if (!printerIp || !accessCode) {
-            reject(new Error("Printer IP and Access Code are required."));
-            return;
-        }
+async function captureSingleFrameFromPrinter(printerIp, accessCode, options = {}) {
+    const {
+        port = 6000,
+        username = 'bblp',
+        outputDir = process.cwd(), // Default to current working directory
+        timeoutMs = 30000
+    } = options;
+
+    if (!printerIp || !accessCode) {
+        throw new Error("Printer IP and Access Code are required.");
+    }
 
-        const camera = new PrinterCameraNode(printerIp, accessCode, port, username, {
-            frameProcessingMode: 'single', // Ensure it's single
-            timeoutMs: timeoutMs
-        });
+    let imageBuffer;
+    try {
+        imageBuffer = await grabSharedFrame(printerIp, accessCode, { port, username, timeoutMs });
+    } catch (err) {
+        console.error(`Failed to capture frame from ${printerIp}:`, err.message);
+        throw err;
+    }
 
-        // Internal promise resolve/reject are now passed to camera.start
-        // and camera._connect to handle the image data or errors directly.
-        camera.start(
-            (imageBuffer) => { // This is the 'resolve' callback passed to camera.start
-                try {
-                    // Sanitize printerIp to create a valid filename
-                    const safePrinterName = printerIp.replace(/[.:]/g, '_');
-                    const outputFilename = `${safePrinterName}.jpg`;
-                    const fullImagePath = path.resolve(outputDir, outputFilename);
-
-                    // Ensure output directory exists
-                    if (!fs.existsSync(outputDir)) {
-                        fs.mkdirSync(outputDir, { recursive: true });
-                    }
-
-                    fs.writeFileSync(fullImagePath, imageBuffer);
-                    console.log(`Frame from ${printerIp} successfully saved as ${fullImagePath}`);
-                    resolve(fullImagePath); // Resolve the main promise with the path
-                } catch (e) {
-                    console.error(`Error saving frame from ${printerIp}:`, e);
-                    reject(e); // Reject the main promise
-                } finally {
-                    camera.stop(); // Ensure camera is stopped
-                }
-            },
-            (err) => { // This is the 'reject' callback passed to camera.start
-                console.error(`Failed to capture frame from ${printerIp}:`, err.message);
-                camera.stop(); // Ensure camera is stopped
-                reject(err); // Reject the main promise
-            }
-        );
-    });
+    // Sanitize printerIp to create a valid filename; the suffix keeps concurrent captures apart
+    const safePrinterName = printerIp.replace(/[.:]/g, '_');
+    const fullImagePath = path.resolve(outputDir, `${safePrinterName}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}.jpg`);
+    try {
+        fs.mkdirSync(outputDir, { recursive: true });
+        fs.writeFileSync(fullImagePath, imageBuffer);
+    } catch (e) {
+        console.error(`Error saving frame from ${printerIp}:`, e);
+        throw e;
+    }
+    console.log(`Frame from ${printerIp} successfully saved as ${fullImagePath}`);
+    return fullImagePath;
 }
 
 // --- Example Usage ---
@@ -353,4 +461,11 @@ if (require.main === module) {
     });
 }
 
-module.exports = { captureSingleFrameFromPrinter, PrinterCameraNode }; // Export both
+module.exports = {
+    captureSingleFrameFromPrinter,
+    startContinuousCapture,
+    acquireSharedCamera,
+    releaseSharedCamera,
+    grabSharedFrame,
+    PrinterCameraNode,
+};
@@ -0,0 +1,183 @@
+// alert-subscriptions.js
+// Persistent per-user printer status alerts. Subscriptions are stored in
+// data/subscriptions.json, restored on boot and delivered from the shared
+// printer connections in printer-registry.js.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ActionRowBuilder, AttachmentBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+
+const { JsonStore } = require('./json-store.js');
+const { printers, getPrinter } = require('./printer-config.js');
+const { getConnection } = require('./printer-registry.js');
+const { captureSingleFrameFromPrinter } = require('./BambuCamera.js');
+
+const ALERT_STATES = ['RUNNING', 'PAUSE', 'FINISH', 'FAILED'];
+const DEFAULT_ALERT_STATES = ['PAUSE', 'FINISH', 'FAILED'];
+const DELIVERY_DM = 'dm';
+const DELIVERY_CHANNEL = 'channel';
+
+// Custom ID prefix routed to the cancel handler in commands/utility/alerts.js
+const CANCEL_ALERT_BUTTON = 'alert_cancel';
+
+const store = new JsonStore('subscriptions.json', { subscriptions: [] });
+
+/**
+ * @typedef {object} AlertSubscription
+ * @property {string} id
+ * @property {string} userId
+ * @property {string} printerKey
+ * @property {string[]} states gcode_state values that trigger the alert.
+ * @property {'dm'|'channel'} delivery
+ * @property {string|null} channelId Channel to mention the user in when delivery is "channel".
+ * @property {string} createdAt ISO timestamp.
+ */
+
+/**
+ * Creates or replaces the subscription of a user for one printer.
+ * @param {object} options
+ * @param {string} options.userId
+ * @param {string} options.printerKey
+ * @param {string[]} [options.states]
+ * @param {'dm'|'channel'} [options.delivery]
+ * @param {string|null} [options.channelId]
+ * @returns {AlertSubscription}
+ */
+function addSubscription({ userId, printerKey, states = DEFAULT_ALERT_STATES, delivery = DELIVERY_DM, channelId = null }) {
+    const subscription = {
+        id: crypto.randomBytes(4).toString('hex'),
+        userId,
+        printerKey,
+        states: states.filter(state => ALERT_STATES.includes(state)),
+        delivery,
+        channelId: delivery === DELIVERY_CHANNEL ? channelId : null,
+        createdAt: new Date().toISOString(),
+    };
+
+    store.update(data => {
+        data.subscriptions = data.subscriptions.filter(s => !(s.userId === userId && s.printerKey === printerKey));
+        data.subscriptions.push(subscription);
+    });
+    return subscription;
+}
+
+/**
+ * Removes a user's subscriptions, optionally only for one printer.
+ * @returns {AlertSubscription[]} The removed subscriptions.
+ */
+function removeSubscriptions(userId, printerKey = null) {
+    return store.update(data => {
+        const removed = data.subscriptions.filter(s => s.userId === userId && (!printerKey || s.printerKey === printerKey));
+        data.subscriptions = data.subscriptions.filter(s => !removed.includes(s));
+        return removed;
+    });
+}
+
+/**
+ * Removes a single subscription, but only when it belongs to `userId`.
+ * @returns {AlertSubscription|null} The removed subscription.
+ */
+function removeSubscription(subscriptionId, userId) {
+    return store.update(data => {
+        const subscription = data.subscriptions.find(s => s.id === subscriptionId && s.userId === userId);
+        if (!subscription) return null;
+        data.subscriptions = data.subscriptions.filter(s => s !== subscription);
+        return subscription;
+    });
+}
+
+function getUserSubscriptions(userId) {
+    return store.load().subscriptions.filter(s => s.userId === userId);
+}
+
+function getPrinterSubscriptions(printerKey, state) {
+    return store.load().subscriptions.filter(s => s.printerKey === printerKey && s.states.includes(state));
+}
+
+function buildCancelAlertButton(subscription, label = "Cancel Alert") {
+    return new ButtonBuilder()
+        .setCustomId(`${CANCEL_ALERT_BUTTON}:${subscription.id}`)
+        .setLabel(label)
+        .setStyle(ButtonStyle.Danger);
+}
+
+async function deliverAlert(discordClient, subscription, payload) {
+    if (subscription.delivery === DELIVERY_CHANNEL && subscription.channelId) {
+        const channel = await discordClient.channels.fetch(subscription.channelId);
+        await channel.send({ ...payload, content: `${payload.content}\nTag: <@${subscription.userId}>` });
+        return;
+    }
+
+    const user = await discordClient.users.fetch(subscription.userId);
+    await user.send(payload);
+}
+
+async function notifySubscribers(discordClient, printer, newState, status) {
+    const subscriptions = getPrinterSubscriptions(printer.key, newState);
+    if (subscriptions.length === 0) return;
+
+    // One camera frame is shared by every subscriber of this transition.
+    let imagePath = null;
+    try {
+        imagePath = await captureSingleFrameFromPrinter(
+            printer.PRINTER_IP,
+            printer.ACCESS_CODE,
+            { outputDir: path.join(__dirname, 'printer_images_temp'), timeoutMs: 15000 }
+        );
+    } catch (imgError) {
+        console.error(`[${new Date().toISOString()}] [Alert] Failed to capture image for ${printer.MACHINE_NAME}: ${imgError.message}`);
+    }
+
+    const fileName = status.subtask_name ? `\nFile: ${status.subtask_name}` : '';
+    const content = `🚨 ${printer.MACHINE_NAME} status changed: **${newState}** 🚨${fileName}`;
+
+    for (const subscription of subscriptions) {
+        const payload = { content, components: [new ActionRowBuilder().addComponents(buildCancelAlertButton(subscription))] };
+        if (imagePath) {
+            payload.files = [new AttachmentBuilder(imagePath, { name: `${printer.key}_alert_${Date.now()}.jpg` })];
+        }
+
+        try {
+            await deliverAlert(discordClient, subscription, payload);
+        } catch (error) {
+            console.error(`[${new Date().toISOString()}] [Alert] Failed to deliver ${printer.MACHINE_NAME} alert to ${subscription.userId}: ${error.message}`);
+        }
+    }
+    if (imagePath) await fs.promises.rm(imagePath, { force: true });
+}
+
+/**
+ * Restores the stored subscriptions by listening to every configured printer's status stream.
+ * @param {import('discord.js').Client} discordClient
+ */
+function startAlertDelivery(discordClient) {
+    const subscriptions = store.load().subscriptions;
+    const orphaned = subscriptions.filter(s => !getPrinter(s.printerKey));
+    if (orphaned.length > 0) {
+        console.warn(`[Alert] ${orphaned.length} stored subscription(s) reference printers that are no longer configured.`);
+    }
+    console.log(`[Alert] Restored ${subscriptions.length - orphaned.length} alert subscription(s).`);
+
+    for (const printer of Object.values(printers)) {
+        getConnection(printer.key).on('stateChange', (oldState, newState, status) => {
+            notifySubscribers(discordClient, printer, newState, status).catch(error => {
+                console.error(`[${new Date().toISOString()}] [Alert] Error notifying subscribers of ${printer.MACHINE_NAME}:`, error);
+            });
+        });
+    }
+}
+
+module.exports = {
+    ALERT_STATES,
+    DEFAULT_ALERT_STATES,
+    DELIVERY_DM,
+    DELIVERY_CHANNEL,
+    CANCEL_ALERT_BUTTON,
+    addSubscription,
+    removeSubscription,
+    removeSubscriptions,
+    buildCancelAlertButton,
+    getUserSubscriptions,
+    startAlertDelivery,
+};
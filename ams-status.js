@@ -0,0 +1,166 @@
+// ams-status.js
+// Reads the AMS part of the MQTT `print` report: each unit's humidity and trays (material,
+// colour, remaining filament) plus the external spool holder, and sends an `error` notification
+// when an AMS gets too humid. Trays are named like Bambu Studio does: A1-A4 for the first
+// unit's slots, B1-B4 for the second, and EXT for the external spool.
+
+const { amsHumidityAlertLevel = 4 } = require('./config.json');
+const { getConnection } = require('./printer-registry.js');
+
+const EXTERNAL_TRAY = 'EXT';
+// tray_now values that are not an AMS slot
+const EXTERNAL_TRAY_INDEX = 254;
+const NO_TRAY_INDEX = 255;
+// The AMS reports humidity as a level from 1 (dry) to 5 (wet).
+const MAX_HUMIDITY_LEVEL = 5;
+
+const SWATCHES = [
+    ['🟥', [221, 46, 68]],
+    ['🟧', [244, 144, 12]],
+    ['🟨', [253, 203, 88]],
+    ['🟩', [120, 177, 89]],
+    ['🟦', [85, 172, 238]],
+    ['🟪', [170, 142, 214]],
+    ['🟫', [193, 105, 79]],
+    ['⬛', [49, 55, 61]],
+    ['⬜', [230, 231, 232]],
+];
+
+/**
+ * @typedef {object} AmsTray
+ * @property {string} trayId e.g. "A1" or "EXT".
+ * @property {string|null} type Material, e.g. "PLA"; null for an empty slot.
+ * @property {string|null} name Filament name from the RFID tag, e.g. "PLA Basic".
+ * @property {string|null} color RRGGBB.
+ * @property {number|null} remainPercent Null when the printer does not know (no RFID tag).
+ */
+
+/**
+ * @typedef {object} AmsUnit
+ * @property {string} letter
+ * @property {number|null} humidityLevel 1 (dry) to 5 (wet).
+ * @property {number|null} humidityPercent Only reported by newer AMS models.
+ * @property {number|null} temperature °C
+ * @property {AmsTray[]} trays
+ */
+
+function toNumber(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function unitLetter(unitIndex) {
+    return String.fromCharCode(65 + unitIndex);
+}
+
+function parseTray(tray, trayId) {
+    const type = tray && tray.tray_type ? tray.tray_type : null;
+    const remain = toNumber(tray?.remain);
+    return {
+        trayId,
+        type,
+        name: type ? tray.tray_sub_brands || null : null,
+        color: type && tray.tray_color ? tray.tray_color.slice(0, 6).toUpperCase() : null,
+        remainPercent: type && remain !== null && remain >= 0 ? remain : null,
+    };
+}
+
+/**
+ * @param {object} status Merged MQTT `print` report.
+ * @returns {AmsUnit[]} Empty when the printer has no AMS.
+ */
+function getAmsUnits(status) {
+    const units = status.ams && Array.isArray(status.ams.ams) ? status.ams.ams : [];
+    return units.map(unit => {
+        const letter = unitLetter(parseInt(unit.id, 10) || 0);
+        return {
+            letter,
+            humidityLevel: toNumber(unit.humidity),
+            humidityPercent: toNumber(unit.humidity_raw),
+            temperature: toNumber(unit.temp),
+            trays: (unit.tray || []).map(tray => parseTray(tray, `${letter}${(parseInt(tray.id, 10) || 0) + 1}`)),
+        };
+    });
+}
+
+/**
+ * @param {object} status
+ * @returns {AmsTray|null} The external spool holder, when reported.
+ */
+function getExternalTray(status) {
+    return status.vt_tray ? parseTray(status.vt_tray, EXTERNAL_TRAY) : null;
+}
+
+/**
+ * The tray currently feeding the toolhead.
+ * @param {object} status
+ * @returns {string|null} e.g. "B2" or "EXT"; null when nothing is loaded or it is not reported.
+ */
+function getActiveTrayId(status) {
+    const trayIndex = parseInt(status.ams?.tray_now, 10);
+    if (!Number.isFinite(trayIndex) || trayIndex === NO_TRAY_INDEX) return null;
+    if (trayIndex === EXTERNAL_TRAY_INDEX) return EXTERNAL_TRAY;
+    return `${unitLetter(Math.floor(trayIndex / 4))}${(trayIndex % 4) + 1}`;
+}
+
+/**
+ * The square emoji closest to an RRGGBB colour.
+ */
+function colorSwatch(color) {
+    if (!/^[0-9a-f]{6}$/i.test(color || '')) return '▫️';
+    const rgb = [0, 2, 4].map(i => parseInt(color.slice(i, i + 2), 16));
+    let best = SWATCHES[0];
+    let bestDistance = Infinity;
+    for (const swatch of SWATCHES) {
+        const distance = swatch[1].reduce((sum, channel, i) => sum + (channel - rgb[i]) ** 2, 0);
+        if (distance < bestDistance) {
+            best = swatch;
+            bestDistance = distance;
+        }
+    }
+    return best[0];
+}
+
+function describeHumidity(unit) {
+    if (unit.humidityLevel === null) return 'humidity unknown';
+    const percent = unit.humidityPercent !== null ? ` (${unit.humidityPercent}%)` : '';
+    return `humidity ${unit.humidityLevel}/${MAX_HUMIDITY_LEVEL}${percent}`;
+}
+
+/**
+ * Alerts when an AMS unit of `printer` reaches `amsHumidityAlertLevel`, once until it dries again.
+ * @param {object} printer Printer entry from printer-config.js.
+ * @param {ReturnType<import('./notification-router.js').createNotifier>} notifier
+ */
+function startHumidityAlerts(printer, notifier) {
+    const humidUnits = new Set(); // Letters of the units that were already reported
+
+    getConnection(printer.key).on('report', (status, delta) => {
+        if (!delta.ams) return;
+
+        for (const unit of getAmsUnits(status)) {
+            if (unit.humidityLevel === null) continue;
+            if (unit.humidityLevel < amsHumidityAlertLevel) {
+                humidUnits.delete(unit.letter);
+                continue;
+            }
+            if (humidUnits.has(unit.letter)) continue;
+            humidUnits.add(unit.letter);
+
+            console.log(`[AMS] AMS ${unit.letter} on ${printer.MACHINE_NAME} reached ${describeHumidity(unit)}.`);
+            notifier.send('error', `💧 AMS ${unit.letter} on **${printer.MACHINE_NAME}** is at ${describeHumidity(unit)}. Replace or dry the desiccant before printing moisture-sensitive filament.`)
+                .catch(error => console.error(`[AMS] Failed to post humidity alert for ${printer.MACHINE_NAME}: ${error.message}`));
+        }
+    });
+}
+
+module.exports = {
+    EXTERNAL_TRAY,
+    MAX_HUMIDITY_LEVEL,
+    getAmsUnits,
+    getExternalTray,
+    getActiveTrayId,
+    colorSwatch,
+    describeHumidity,
+    startHumidityAlerts,
+};
@@ -1,250 +1,329 @@
 // bambu-node-gcode-retriever.js (Targeting CommonJS)
 
 // Using require for CommonJS modules
-const { BambuClient } = require('bambu-node');
-const { Client } = require('basic-ftp');
-
 const extract = require('extract-zip');
 
 const path = require('path');
 const fs = require('fs');
 
-const { printers } = require('./config.json');
-
-
-async function extractInfoFromGcode(gcodeFilePath, settingNamesQuery) {
-    const foundSettings = {};
-    const desiredSettings = settingNamesQuery.split(";");
-
-    try {
-        if (!fs.existsSync(gcodeFilePath)) {
-            console.error(`  Error: G-code file not found at '${gcodeFilePath}'.`);
-            return foundSettings;
-        }
-        const fileContent = fs.readFileSync(gcodeFilePath, 'utf-8');
-        const lines = fileContent.split("; ")
-
-        for (const line of lines) {
-            for (const query of desiredSettings) {
-                if (line.toLowerCase().includes(query.toLowerCase())) {
-                    if (!foundSettings[query]) {
-                        foundSettings[query] = [];
-                    }
-
-                    let key = "";
-                    if (line.includes(": ")) {
-                        key = line.split(": ")[1].replace(/\r?\n$/, '');
-                    } else if (line.includes("= ")) {
-                        key = line.split("= ")[1].replace(/\r?\n$/, '');
-                    }
-
-                    foundSettings[query].push(key);
-                }
-            }
-        }
-    } catch (error) {
-        console.error(`  Error reading or processing g-code file '${gcodeFilePath}': ${error.message}`);
+const { getPrinter, getPrinterKeys } = require('./printer-config.js');
+const { getConnection, stopAll } = require('./printer-registry.js');
+const { openPrinterFTP } = require('./printer-storage.js');
+const { readProjectMetadata, plateIndexFromGcodeFile, lookupSettings } = require('./gcode-metadata.js');
+
+
+/**
+ * Why getJobMetadata/getGcodeSettings could not return metadata. `message` is written to be shown
+ * to Discord users as is; `code` is one of JOB_METADATA_ERRORS.
+ */
+class JobMetadataError extends Error {
+    constructor(code, message, cause) {
+        super(message, cause ? { cause } : undefined);
+        this.name = 'JobMetadataError';
+        this.code = code;
     }
-    return foundSettings;
 }
 
-function downloadGCodeViaFTP(
+const JOB_METADATA_ERRORS = {
+    NOT_CONFIGURED: 'NOT_CONFIGURED',
+    AUTH_FAILED: 'AUTH_FAILED',
+    PRINTER_OFFLINE: 'PRINTER_OFFLINE',
+    NO_ACTIVE_JOB: 'NO_ACTIVE_JOB',
+    FILE_NOT_FOUND: 'FILE_NOT_FOUND',
+    FTP_FAILED: 'FTP_FAILED',
+    CORRUPT_ARCHIVE: 'CORRUPT_ARCHIVE',
+    TIMEOUT: 'TIMEOUT',
+};
+
+/**
+ * Downloads a file from the printer's /cache folder over implicit FTPS, unless the listing shows
+ * it is unchanged since it was last fetched.
+ * @param {string} printFileName e.g. "bracket.3mf"
+ * @param {object} printer
+ * @param {string|null} [knownFileKey] fileKey of the previously fetched copy.
+ * @returns {Promise<{ fileKey: string, downloadPath: string|null }>} downloadPath is null when the known copy is still current.
+ *   Rejects with a JobMetadataError.
+ */
+async function downloadGCodeViaFTP(
     printFileName,
     printer,
+    knownFileKey = null
 ) {
-    return new Promise(async (resolve, reject) => {
-        const client = new Client();
-        client.ftp.verbose = true;
+    let client = null;
 
-        try {
-            await client.access({
-                host: printer.PRINTER_IP,
-                user: "bblp",
-                password: printer.ACCESS_CODE,
-                port: 990,
-                secure: 'implicit',
-                secureOptions: { rejectUnauthorized: false } 
-            });
-            const list = await client.list("/cache");
-
-            console.log("--- ATTEMPTING DOWNLOAD ---");
-            const downloadPath = path.join(__dirname, "downloads", `${printFileName}`);
-            await client.downloadTo(
-                downloadPath,
-                `/cache/${printFileName}`
-            );
-
-            resolve(downloadPath);
-        } catch(err) {
-            console.log(err);
-            reject(err);
-        } finally {
-            client.close();
+    try {
+        client = await openPrinterFTP(printer, { verbose: true });
+        const list = await client.list("/cache");
+
+        // Identifies this exact upload: a re-sliced file keeps its name but not its size/mtime.
+        const entry = list.find(file => file.name === printFileName);
+        if (!entry) {
+            throw new JobMetadataError(JOB_METADATA_ERRORS.FILE_NOT_FOUND,
+                `"${printFileName}" is not in the printer's /cache folder. Jobs started from an SD card file outside /cache or from the Bambu cloud slicer cannot be read.`);
         }
-    });
+        const fileKey = `${printer.key}|${printFileName}|${entry.size}|${entry.rawModifiedAt}`;
+        if (knownFileKey && fileKey === knownFileKey) {
+            console.log(`--- ${printFileName} UNCHANGED, USING CACHED METADATA ---`);
+            return { fileKey, downloadPath: null };
+        }
+
+        console.log("--- ATTEMPTING DOWNLOAD ---");
+        const downloadDir = path.join(__dirname, "downloads");
+        if (!fs.existsSync(downloadDir)) {
+            fs.mkdirSync(downloadDir, { recursive: true });
+        }
+        // Printers may be printing files of the same name at the same time.
+        const downloadPath = path.join(downloadDir, `${printer.key}_${printFileName}`);
+        await client.downloadTo(
+            downloadPath,
+            `/cache/${printFileName}`
+        );
+
+        return { fileKey, downloadPath };
+    } catch(err) {
+        if (err instanceof JobMetadataError) throw err;
+        console.log(err);
+        // basic-ftp rejects with FTPError carrying the server's reply code.
+        if (err.code === 530) {
+            throw new JobMetadataError(JOB_METADATA_ERRORS.AUTH_FAILED, "The printer rejected the FTP login. Check the printer's access code.", err);
+        } else if (err.code === 550) {
+            throw new JobMetadataError(JOB_METADATA_ERRORS.FILE_NOT_FOUND, `"${printFileName}" could not be read from the printer's /cache folder.`, err);
+        } else {
+            throw new JobMetadataError(JOB_METADATA_ERRORS.FTP_FAILED, `Could not download the print file from the printer: ${err.message}`, err);
+        }
+    } finally {
+        if (client) client.close();
+    }
 }
 
 
-async function getGcodeSettings(
-    settingsToQuery,
-    timeoutMs = 60000,
-    printer
-) {
+const ACTIVE_JOB_STATES = ["RUNNING", "FINISH", "FAILED", "PAUSE"];
 
-    return new Promise(async (resolve) => {
-        
-        let bambu = null;
+/**
+ * Copies the sliced-model preview of the printing plate out of an extracted 3MF before it is deleted.
+ * @returns {string|null} Path of the kept PNG, or null when the project has no thumbnail.
+ */
+function keepPlateThumbnail(extractDir, project, printer) {
+    const plate = project.plates.find(p => p.index === project.plateIndex);
+    const thumbnailSource = path.join(extractDir, plate && plate.thumbnailFile ? plate.thumbnailFile : `Metadata/plate_${project.plateIndex}.png`);
+    if (!fs.existsSync(thumbnailSource)) return null;
 
-        const cleanupAndResolve = (value) => {
-            // if (operationTimeoutId) clearTimeout(operationTimeoutId);
-            if (bambu && typeof bambu.disconnect === 'function') {
-                try { bambu.disconnect(); } catch (disconnectError) { /* ignore */ }
-            }
-            resolve(value);
-        };
-
-        bambu = new BambuClient({
-            host: printer.PRINTER_IP,
-            serialNumber: printer.PRINTER_SERIAL,
-            accessToken: printer.ACCESS_CODE,
-            port: 8883, 
-        })
+    const thumbnailDir = path.join(__dirname, "printer_images_temp");
+    if (!fs.existsSync(thumbnailDir)) {
+        fs.mkdirSync(thumbnailDir, { recursive: true });
+    }
+    const thumbnailPath = path.join(thumbnailDir, `${printer.key}_plate_preview.png`);
+    fs.copyFileSync(thumbnailSource, thumbnailPath);
+    return thumbnailPath;
+}
 
-        console.log(`getGcodeSettings: Connecting to printer ${printer.MACHINE_NAME} for settings: "${settingsToQuery}"`);
-
-        bambu.on('message', async (throwDeprecation, key, messageData) => { 
-
-            if (messageData.msg != 0) return;
-
-            const printInfo = messageData;
-
-            const gcodeFileOnPrinter = printInfo.gcode_file;
-            const subtaskName = printInfo.subtask_name; 
-            // const taskNameFromMqtt = printInfo.task_name; // task_name from MQTT (might be undefined)
-            const gcodeState = printInfo.gcode_state;
-
-            console.log(subtaskName);
-
-            // const currentTaskId = printInfo.task_id === undefined ? null : String(printInfo.task_id);
-            // const printTypeFromMQTT = printInfo.print_type;
-
-            if (typeof messageData === 'object' && messageData !== null && messageData.subtask_name !== null && (key === 'print')) { 
-                if (gcodeState === "RUNNING" || gcodeState === "FINISH" || gcodeState === "FAILED" || gcodeState === "PAUSE") {
-                    
-                    downloadGCodeViaFTP(`${subtaskName}.3mf`, printer)
-                        .then(async (zipFileDirectory) => {
-                            console.log("--- FILE DOWNLOADED ---");
-                            try {
-                                console.log('--- ATTEMPING EXTRACTION ---');
-                                await extract(zipFileDirectory, { dir: path.join(__dirname, "downloads", `${subtaskName}.gcode`)})
-                                console.log('Extraction complete')
-                                
-                                let extractedSettings = await extractInfoFromGcode(path.join(__dirname, "downloads", `${subtaskName}.gcode`,"/Metadata/plate_1.gcode"), settingsToQuery)
-
-                                fs.unlinkSync(path.join(__dirname, "downloads", `${subtaskName}.3mf`));
-                                fs.rmSync(path.join(__dirname, "downloads", `${subtaskName}.gcode`), { recursive: true, force: true });
-
-                                if (extractedSettings) {
-                                    // Convert all fields to string (join arrays, stringify others)
-                                    Object.keys(extractedSettings).forEach(key => {
-                                        if (Array.isArray(extractedSettings[key])) {
-                                            extractedSettings[key] = extractedSettings[key].join(', ');
-                                        } else if (typeof extractedSettings[key] !== 'string') {
-                                            extractedSettings[key] = String(extractedSettings[key]);
-                                        }
-                                    });
-                                    extractedSettings["original_printer_filename"] = String(subtaskName || gcodeFileOnPrinter || subtaskName);
-                                    extractedSettings["printer_gcode_state"] = String(gcodeState);
-                                }
-                                console.log(`  Successfully extracted settings for '${subtaskName}'.`);
-                                cleanupAndResolve(extractedSettings);
-                            } catch (err) {
-                                // handle any errors
-                                console.error(err);
-                            }
-                        })
-                        .catch(err => {
-                            console.error("Error downloading file:", err);
-                        });
-                }
+// Parsed metadata of the latest job per printer key, reused until a new job starts:
+// { jobIdentity, fileKey, result }
+const metadataCache = new Map();
+// In-flight fetches keyed by "<printerKey>|<jobIdentity>" so concurrent callers share one download
+const pendingFetches = new Map();
 
-            }
-        })
+// subtask_name alone is not enough: the same file can be printed again.
+function getJobIdentity(printInfo) {
+    return `${printInfo.subtask_name}|${printInfo.task_id || ''}|${printInfo.gcode_start_time || ''}`;
+}
 
-        bambu.on('error', (err) => {
+/**
+ * Downloads, extracts and parses the 3MF of the job described by `printInfo`, or reuses the cached result.
+ */
+function fetchJobMetadata(printer, printInfo) {
+    const jobIdentity = getJobIdentity(printInfo);
+    const cached = metadataCache.get(printer.key);
+    if (cached && cached.jobIdentity === jobIdentity) {
+        return Promise.resolve(cached.result);
+    }
 
-        })
+    const pendingKey = `${printer.key}|${jobIdentity}`;
+    if (pendingFetches.has(pendingKey)) {
+        return pendingFetches.get(pendingKey);
+    }
 
-        bambu.on('closed', () => {
+    const gcodeFileOnPrinter = printInfo.gcode_file;
+    const subtaskName = printInfo.subtask_name;
 
-        })
+    const fetchPromise = downloadGCodeViaFTP(`${subtaskName}.3mf`, printer, cached ? cached.fileKey : null)
+        .then(async ({ fileKey, downloadPath }) => {
+            if (!downloadPath) {
+                metadataCache.set(printer.key, { ...cached, jobIdentity });
+                return cached.result;
+            }
 
-        try {
-            if (typeof bambu.connect === 'function') {
-                await bambu.connect();
-                console.log(`getGcodeSettings: MQTT client connected to ${printer.PRINTER_SERIAL}. Waiting for print job info...`);
-            } else {
-                console.error("getGcodeSettings: BambuClient instance does not have a 'connect' method. Is 'bambu-node' installed correctly?");
-                cleanupAndResolve(null);
+            console.log("--- FILE DOWNLOADED ---");
+            const extractDir = path.join(__dirname, "downloads", `${printer.key}_${subtaskName}.gcode`);
+            try {
+                let project;
+                try {
+                    console.log('--- ATTEMPING EXTRACTION ---');
+                    await extract(downloadPath, { dir: extractDir })
+                    console.log('Extraction complete')
+
+                    // gcode_file names the plate that is printing; single-plate projects may not say.
+                    project = await readProjectMetadata(extractDir, plateIndexFromGcodeFile(gcodeFileOnPrinter));
+                } catch (archiveError) {
+                    throw new JobMetadataError(JOB_METADATA_ERRORS.CORRUPT_ARCHIVE, `"${subtaskName}.3mf" on the printer is not a readable 3MF archive: ${archiveError.message}`, archiveError);
+                }
+                const thumbnailPath = keepPlateThumbnail(extractDir, project, printer);
+
+                console.log(`  Successfully extracted metadata for '${subtaskName}'.`);
+                const result = {
+                    fileName: String(subtaskName || gcodeFileOnPrinter),
+                    project,
+                    thumbnailPath,
+                };
+                metadataCache.set(printer.key, { jobIdentity, fileKey, result });
+                return result;
+            } finally {
+                fs.rmSync(downloadPath, { force: true });
+                fs.rmSync(extractDir, { recursive: true, force: true });
             }
-        } catch (error) {
-            console.error(`getGcodeSettings: Failed to initiate MQTT connection to ${printer.PRINTER_SERIAL}:`, error); // Log full error
-            cleanupAndResolve(null);
-        }
-    })
+        })
+        .finally(() => {
+            pendingFetches.delete(pendingKey);
+        });
 
+    pendingFetches.set(pendingKey, fetchPromise);
+    return fetchPromise;
 }
 
+// Job has just been sent to the printer; the active states follow shortly.
+const STARTING_JOB_STATES = ["PREPARE", "SLICING"];
 
-// TODO
-exports.getGcodeSettings = getGcodeSettings;
-// exports.extractInfoFromGcode = extractInfoFromGcode; 
+function hasActiveJob(status) {
+    return Boolean(status.subtask_name) && ACTIVE_JOB_STATES.includes(status.gcode_state);
+}
 
-async function selfTest() {
-    console.log("---- Retrieve GCode Test ----")
+/**
+ * Explains why no active job could be found on `connection`.
+ */
+function describeMissingJob(printer, connection) {
+    if (connection.authFailed) {
+        return new JobMetadataError(JOB_METADATA_ERRORS.AUTH_FAILED,
+            `${printer.MACHINE_NAME} rejected the MQTT login. Check the printer's serial number and access code.`, connection.lastError);
+    }
+    if (!connection.connected) {
+        return new JobMetadataError(JOB_METADATA_ERRORS.PRINTER_OFFLINE,
+            `${printer.MACHINE_NAME} is not reachable over MQTT. Check that it is powered on and on the network.`, connection.lastError);
+    }
+    if (connection.lastReportAt === null) {
+        return new JobMetadataError(JOB_METADATA_ERRORS.TIMEOUT, `${printer.MACHINE_NAME} has not sent a status report yet.`);
+    }
+    return new JobMetadataError(JOB_METADATA_ERRORS.NO_ACTIVE_JOB,
+        `${printer.MACHINE_NAME} has no active print job (status: ${connection.gcodeState || 'unknown'}).`);
+}
 
-    const printer = printers.P1P;
-    const settingsToQuery = "total layer number;filament_type;max_z_height;total estimated time;first layer bed temperature;printing temperature";
+/**
+ * Waits for an active job on the printer, downloads its 3MF from the printer's cache and parses its metadata,
+ * with `project.plateIndex` set to the plate that is printing. The result is cached per job, so only the
+ * first call for a job touches FTP.
+ * @param {object} printer Printer entry from printer-config.js.
+ * @param {number} [timeoutMs=60000] Overall time limit, including the wait for a job and the download.
+ * @returns {Promise<{ fileName: string, gcodeState: string, project: import('./gcode-metadata.js').ProjectMetadata, thumbnailPath: string|null }>}
+ *   Rejects with a JobMetadataError describing what went wrong.
+ */
+async function getJobMetadata(
+    printer,
+    timeoutMs = 60000
+) {
+    const deadline = Date.now() + timeoutMs;
+    const connection = getConnection(printer.key);
+    if (!connection) {
+        throw new JobMetadataError(JOB_METADATA_ERRORS.NOT_CONFIGURED, `Printer ${printer.MACHINE_NAME} is not configured.`);
+    }
 
-    
+    // Fail fast when waiting cannot help: the login was refused, or the printer is known to be idle.
+    const currentState = connection.gcodeState;
+    if (connection.authFailed && !connection.connected) {
+        throw describeMissingJob(printer, connection);
+    }
+    if (connection.lastReportAt !== null && !hasActiveJob(connection.status) && !STARTING_JOB_STATES.includes(currentState)) {
+        throw describeMissingJob(printer, connection);
+    }
 
-    try {
-        console.log(`\n[Self-Test] Calling getGcodeSettings for printer: ${printer.PRINTER_SERIAL}`);
-        const settings = await getGcodeSettings(settingsToQuery, 90000, printer);
+    console.log(`getJobMetadata: Waiting for print job info from ${printer.MACHINE_NAME}`);
 
-        if (settings) {
-            console.log("\n--- Self-Test Result: Extracted G-code Settings ---");
+    // The shared connection keeps the latest full status, so an active job is usually known immediately.
+    const printInfo = await connection.waitForStatus(hasActiveJob, timeoutMs);
+    if (!printInfo) {
+        throw describeMissingJob(printer, connection);
+    }
 
-            Object.entries(settings).forEach(([key, value]) => {
-                if (Array.isArray(value)) {
-                    console.log(`  ${key}: ${value.join(', ')}`);
-                } else {
-                    console.log(`  ${key}: ${value}`);
-                }
-            }); 
-        } else {
-            console.log("\n--- Self-Test Result: Could not retrieve settings. ---");
-        }
+    // A timed-out download keeps running and fills the cache for the next caller.
+    let timeoutId = null;
+    const timeout = new Promise((resolve, reject) => {
+        timeoutId = setTimeout(() => {
+            reject(new JobMetadataError(JOB_METADATA_ERRORS.TIMEOUT,
+                `Reading "${printInfo.subtask_name}" from ${printer.MACHINE_NAME} took longer than ${Math.round(timeoutMs / 1000)} seconds.`));
+        }, Math.max(0, deadline - Date.now()));
+    });
 
-    } catch(error) {
-        console.error("Self Test Error --- ", error);
+    try {
+        const result = await Promise.race([fetchJobMetadata(printer, printInfo), timeout]);
+        // The state changes during a job while the metadata does not, so it is never cached.
+        return { ...result, gcodeState: String(connection.gcodeState || printInfo.gcode_state) };
+    } catch (err) {
+        console.error(`getJobMetadata: Could not read job metadata from ${printer.MACHINE_NAME}: ${err.message}`);
+        throw err instanceof JobMetadataError
+            ? err
+            : new JobMetadataError(JOB_METADATA_ERRORS.CORRUPT_ARCHIVE, `The print file could not be read: ${err.message}`, err);
     } finally {
-        console.log("\n---- Test Finished ----");
+        clearTimeout(timeoutId);
     }
+}
 
+/**
+ * Returns selected G-code header/config values of the printer's active job as strings.
+ * @param {string} settingsToQuery Keys separated by ";", e.g. "total estimated time;filament used [g]".
+ * @param {number} [timeoutMs=60000]
+ * @param {object} printer Printer entry from printer-config.js.
+ * @returns {Promise<Object<string, string>>} Found keys plus "original_printer_filename" and "printer_gcode_state".
+ *   Rejects with a JobMetadataError, like getJobMetadata.
+ */
+async function getGcodeSettings(
+    settingsToQuery,
+    timeoutMs = 60000,
+    printer
+) {
+    const jobMetadata = await getJobMetadata(printer, timeoutMs);
 
+    const extractedSettings = lookupSettings(jobMetadata.project.gcode, settingsToQuery);
+    extractedSettings["original_printer_filename"] = jobMetadata.fileName;
+    extractedSettings["printer_gcode_state"] = jobMetadata.gcodeState;
+    return extractedSettings;
 }
 
+
+exports.getGcodeSettings = getGcodeSettings;
+exports.getJobMetadata = getJobMetadata;
+exports.JobMetadataError = JobMetadataError;
+exports.JOB_METADATA_ERRORS = JOB_METADATA_ERRORS;
+
 if (require.main === module) {
     (async () => {
         const settingsToQuery = "total estimated time;default_filament_profile;filament used [g]";
-        const settings = await getGcodeSettings(settingsToQuery, 90000, printers.P1S);
+        // Usage: node bambu-node-gcode-retriever.js [printerKey] (defaults to the first configured printer)
+        const printer = getPrinter(process.argv[2] || getPrinterKeys()[0]);
+        if (!printer) {
+            console.error(`Unknown printer "${process.argv[2]}". Configured printers: ${getPrinterKeys().join(', ')}`);
+            return;
+        }
+        let settings;
+        try {
+            settings = await getGcodeSettings(settingsToQuery, 90000, printer);
+        } catch (error) {
+            settings = `${error.code || 'ERROR'}: ${error.message}`;
+        }
 
         // console.log("--- SETTINGS EXTRACTED ---");
         // console.log(settings);
 
-        // const settings = await extractInfoFromGcode(path.join(__dirname, "/downloads/steer2v2test1(1).gcode.gcode/Metadata/plate_1.gcode"), settingsToQuery)
+        // To parse an already extracted project instead: node gcode-metadata.js <directory>
         console.log(settings);
+        stopAll();
     })();
 
     
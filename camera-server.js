@@ -0,0 +1,179 @@
+// camera-server.js
+// Small HTTP server that fans each printer's shared camera stream out to any number of viewers:
+//   /                             page with the live view of every printer (for the shop TV)
+//   /printers/:name/snapshot.jpg  the current frame
+//   /printers/:name/stream.mjpg   MJPEG stream (multipart/x-mixed-replace), playable in any browser
+// `:name` is the printer's key in config.json. The server only listens on the bot host itself
+// unless `cameraServerHost` says otherwise; with `cameraServerToken` set, every request must
+// carry it as `?token=`, which the index page and the Live View links add.
+
+const crypto = require('crypto');
+const http = require('http');
+
+const { cameraServerPort = 0, cameraServerHost = '127.0.0.1', cameraServerToken = null, cameraServerUrl = null } = require('./config.json');
+const { printers, getPrinter } = require('./printer-config.js');
+const { acquireSharedCamera, releaseSharedCamera, grabSharedFrame } = require('./BambuCamera.js');
+
+const BOUNDARY = 'bambuframe';
+const SNAPSHOT_TIMEOUT_MS = 15000;
+
+const ROUTE = /^\/printers\/([^/]+)\/(snapshot\.jpg|stream\.mjpg)$/;
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1', 'localhost'];
+// Appended to the links the server hands out.
+const TOKEN_QUERY = cameraServerToken ? `?token=${encodeURIComponent(cameraServerToken)}` : '';
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+}
+
+function sendText(res, statusCode, text) {
+    res.writeHead(statusCode, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(text);
+}
+
+function sendIndex(res) {
+    const views = Object.values(printers).map(printer => {
+        const streamPath = `/printers/${encodeURIComponent(printer.key)}/stream.mjpg${TOKEN_QUERY}`;
+        return `<figure><img src="${streamPath}" alt=""><figcaption>${escapeHtml(printer.MACHINE_NAME)}</figcaption></figure>`;
+    }).join('\n');
+
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(`<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Printers</title>
+<style>
+body { margin: 0; background: #111; color: #eee; font-family: sans-serif; display: flex; flex-wrap: wrap; }
+figure { margin: 0.5em; flex: 1 1 40em; }
+img { width: 100%; background: #222; }
+</style>
+</head>
+<body>
+${views}
+</body>
+</html>`);
+}
+
+async function sendSnapshot(res, printer) {
+    let frame;
+    try {
+        frame = await grabSharedFrame(printer.PRINTER_IP, printer.ACCESS_CODE, { timeoutMs: SNAPSHOT_TIMEOUT_MS });
+    } catch (error) {
+        sendText(res, 503, `No camera frame from ${printer.MACHINE_NAME}: ${error.message}`);
+        return;
+    }
+    res.writeHead(200, { 'Content-Type': 'image/jpeg', 'Content-Length': frame.length, 'Cache-Control': 'no-store' });
+    res.end(frame);
+}
+
+function sendStream(req, res, printer) {
+    res.writeHead(200, {
+        'Content-Type': `multipart/x-mixed-replace; boundary=${BOUNDARY}`,
+        'Cache-Control': 'no-store',
+        'Connection': 'close',
+    });
+    // HEAD gets the headers only; the stream would never end.
+    if (req.method === 'HEAD') {
+        res.end();
+        return;
+    }
+
+    const camera = acquireSharedCamera(printer.PRINTER_IP, printer.ACCESS_CODE);
+
+    const writeFrame = (frame) => {
+        // A viewer that cannot keep up skips frames instead of buffering them.
+        if (res.writableNeedDrain) return;
+        res.write(`--${BOUNDARY}\r\nContent-Type: image/jpeg\r\nContent-Length: ${frame.length}\r\n\r\n`);
+        res.write(frame);
+        res.write('\r\n');
+    };
+
+    if (camera.lastFrameData) writeFrame(camera.lastFrameData);
+    camera.on('frame', writeFrame);
+
+    req.on('close', () => {
+        camera.off('frame', writeFrame);
+        releaseSharedCamera(camera);
+    });
+}
+
+function hasToken(searchParams) {
+    if (!cameraServerToken) return true;
+    const given = Buffer.from(searchParams.get('token') || '');
+    const expected = Buffer.from(cameraServerToken);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function handleRequest(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        sendText(res, 405, 'Method not allowed');
+        return;
+    }
+
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+    if (!hasToken(searchParams)) {
+        sendText(res, 401, 'Missing or wrong token');
+        return;
+    }
+    if (pathname === '/') {
+        sendIndex(res);
+        return;
+    }
+
+    const match = ROUTE.exec(pathname);
+    let printerKey = null;
+    try {
+        printerKey = match ? decodeURIComponent(match[1]) : null;
+    } catch (error) {
+        // A malformed escape such as "%E0"
+        sendText(res, 400, 'Bad request');
+        return;
+    }
+    const printer = printerKey ? getPrinter(printerKey) : null;
+    if (!printer) {
+        sendText(res, 404, 'Not found');
+        return;
+    }
+
+    if (match[2] === 'snapshot.jpg') {
+        sendSnapshot(res, printer).catch(error => {
+            console.error(`[CameraServer] Snapshot of ${printer.MACHINE_NAME} failed:`, error);
+            if (!res.headersSent) sendText(res, 500, 'Internal error');
+        });
+    } else {
+        sendStream(req, res, printer);
+    }
+}
+
+/**
+ * Public address of a printer's live stream for links in Discord, or null when `cameraServerUrl` is not set.
+ * @param {object} printer
+ * @returns {string|null}
+ */
+function getStreamUrl(printer) {
+    if (!cameraServerPort || !cameraServerUrl) return null;
+    return `${cameraServerUrl.replace(/\/+$/, '')}/printers/${encodeURIComponent(printer.key)}/stream.mjpg${TOKEN_QUERY}`;
+}
+
+/**
+ * Starts the camera HTTP server when `cameraServerPort` is set.
+ * @returns {http.Server|null}
+ */
+function startCameraServer() {
+    if (!cameraServerPort) return null;
+    if (!cameraServerToken && !LOOPBACK_HOSTS.includes(cameraServerHost)) {
+        console.warn(`[CameraServer] Serving on ${cameraServerHost} without cameraServerToken; anyone who can reach it can watch the cameras.`);
+    }
+
+    const server = http.createServer(handleRequest);
+    server.on('error', error => {
+        console.error(`[CameraServer] Could not serve on ${cameraServerHost}:${cameraServerPort}: ${error.message}`);
+    });
+    server.listen(cameraServerPort, cameraServerHost, () => {
+        console.log(`[CameraServer] Serving printer cameras on http://${cameraServerHost}:${cameraServerPort}/`);
+    });
+    return server;
+}
+
+module.exports = { getStreamUrl, startCameraServer };
@@ -0,0 +1,76 @@
+const { ActionRowBuilder, ButtonBuilder, SlashCommandBuilder } = require('discord.js');
+
+const { getPrinter } = require("../../printer-config.js");
+const { DELIVERY_CHANNEL, CANCEL_ALERT_BUTTON, removeSubscription, getUserSubscriptions, buildCancelAlertButton } = require("../../alert-subscriptions.js");
+
+// A message holds at most 5 action rows, one per listed alert
+const MAX_LISTED_ALERTS = 5;
+
+function describeSubscription(subscription) {
+    const printerName = getPrinter(subscription.printerKey)?.MACHINE_NAME || `${subscription.printerKey} (no longer configured)`;
+    const where = subscription.delivery === DELIVERY_CHANNEL && subscription.channelId ? `<#${subscription.channelId}>` : 'DM';
+    return `**${printerName}**: ${subscription.states.join(', ')} → ${where}`;
+}
+
+/**
+ * Disables the clicked button on the message it belongs to, leaving the other rows untouched.
+ */
+function disableClickedButton(interaction, label) {
+    return interaction.message.components.map(row => {
+        const newRow = new ActionRowBuilder();
+        for (const component of row.components) {
+            const button = ButtonBuilder.from(component);
+            if (component.customId === interaction.customId) {
+                button.setDisabled(true).setLabel(label);
+            }
+            newRow.addComponents(button);
+        }
+        return newRow;
+    });
+}
+
+async function cancelAlert(interaction, subscriptionId) {
+    const removed = removeSubscription(subscriptionId, interaction.user.id);
+
+    if (!removed) {
+        await interaction.reply({ content: 'This alert is no longer active or belongs to someone else.', ephemeral: true });
+        return;
+    }
+
+    await interaction.update({ components: disableClickedButton(interaction, "Alert Cancelled") });
+    await interaction.followUp({ content: `🔕 Cancelled your alert for ${describeSubscription(removed)}.`, ephemeral: true });
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('alerts')
+        .setDescription('Manage your printer status alerts.')
+        .addSubcommand(subcommand =>
+            subcommand.setName('list')
+                .setDescription('Show your active alerts with buttons to cancel them.')
+        ),
+    buttons: {
+        [CANCEL_ALERT_BUTTON]: cancelAlert,
+    },
+    async execute(interaction) {
+        const subscriptions = getUserSubscriptions(interaction.user.id);
+
+        if (subscriptions.length === 0) {
+            await interaction.reply({ content: 'You have no active alerts. Use /subscribe or the 🔔 button on /print to add one.', ephemeral: true });
+            return;
+        }
+
+        const listed = subscriptions.slice(0, MAX_LISTED_ALERTS);
+        let content = `🔔 Your active alerts:\n` +
+            listed.map((subscription, index) => `${index + 1}. ${describeSubscription(subscription)}`).join('\n');
+        if (subscriptions.length > listed.length) {
+            content += `\n…and ${subscriptions.length - listed.length} more. Use /unsubscribe to remove alerts per printer.`;
+        }
+
+        const components = listed.map((subscription, index) =>
+            new ActionRowBuilder().addComponents(buildCancelAlertButton(subscription, `Cancel #${index + 1}`))
+        );
+
+        await interaction.reply({ content, components, ephemeral: true });
+    },
+};
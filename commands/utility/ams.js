@@ -0,0 +1,69 @@
+const { EmbedBuilder, SlashCommandBuilder } = require('discord.js');
+
+const { getPrinter, autocompletePrinters } = require("../../printer-config.js");
+const { getConnection } = require("../../printer-registry.js");
+const { getAmsUnits, getExternalTray, getActiveTrayId, colorSwatch, describeHumidity } = require("../../ams-status.js");
+const { getLoadedSpool } = require("../../spool-inventory.js");
+
+function describeTray(printerKey, tray, activeTrayId) {
+    const marker = tray.trayId === activeTrayId ? '▶️ ' : '';
+    const spool = getLoadedSpool(printerKey, tray.trayId);
+    const spoolText = spool ? ` • spool \`${spool.id}\` ${spool.remainingGrams} g` : '';
+    if (!tray.type) {
+        return `${marker}**${tray.trayId}** — empty${spoolText}`;
+    }
+    const remain = tray.remainPercent !== null ? `${tray.remainPercent}%` : '?%';
+    return `${marker}**${tray.trayId}** ${colorSwatch(tray.color)} ${tray.name || tray.type} \`#${tray.color || '??????'}\` — ${remain}${spoolText}`;
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('ams')
+        .setDescription("Show the filament loaded in a printer's AMS and external spool holder.")
+        .addStringOption(option =>
+            option.setName('printer')
+                .setDescription('Select Printer')
+                .setRequired(true)
+                .setAutocomplete(true)
+        ),
+    autocomplete: autocompletePrinters,
+    async execute(interaction) {
+        const printerKey = interaction.options.getString('printer');
+        const printer = getPrinter(printerKey);
+        if (!printer) {
+            await interaction.reply({ content: `Configuration for printer "${printerKey}" not found.`, ephemeral: true });
+            return;
+        }
+
+        const connection = getConnection(printer.key);
+        if (connection.lastReportAt === null) {
+            await interaction.reply({ content: `${printer.MACHINE_NAME} has not reported its status yet.`, ephemeral: true });
+            return;
+        }
+
+        const status = connection.status;
+        const activeTrayId = getActiveTrayId(status);
+        const embed = new EmbedBuilder()
+            .setTitle(`🧵 Filament in ${printer.MACHINE_NAME}`)
+            .setFooter({ text: `Remaining % is read from Bambu RFID tags • Last report` })
+            .setTimestamp(connection.lastReportAt);
+
+        const units = getAmsUnits(status);
+        for (const unit of units) {
+            const temperature = unit.temperature !== null ? ` • ${unit.temperature} °C` : '';
+            embed.addFields({
+                name: `AMS ${unit.letter} — ${describeHumidity(unit)}${temperature}`,
+                value: unit.trays.map(tray => describeTray(printer.key, tray, activeTrayId)).join('\n') || 'No trays reported',
+            });
+        }
+        const externalTray = getExternalTray(status);
+        if (externalTray) {
+            embed.addFields({ name: 'External spool', value: describeTray(printer.key, externalTray, activeTrayId) });
+        }
+        if (units.length === 0 && !externalTray) {
+            embed.setDescription('This printer reports no AMS or external spool.');
+        }
+
+        await interaction.reply({ embeds: [embed] });
+    },
+};
@@ -0,0 +1,58 @@
+const { SlashCommandBuilder } = require('discord.js');
+
+const { getPrinter, autocompletePrinters } = require("../../printer-config.js");
+const { getOpenJob, claimJob } = require("../../job-history.js");
+const { canControlPrinters } = require("../../printer-control.js");
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('claim')
+        .setDescription('Mark the current print as yours, so you are pinged when it finishes or fails.')
+        .addStringOption(option =>
+            option.setName('printer')
+                .setDescription('Select Printer')
+                .setRequired(true)
+                .setAutocomplete(true)
+        )
+        .addUserOption(option =>
+            option.setName('member')
+                .setDescription('Claim it for someone else instead (leads only)')
+        ),
+    autocomplete: autocompletePrinters,
+    async execute(interaction) {
+        const printerKey = interaction.options.getString('printer');
+        const printer = getPrinter(printerKey);
+        if (!printer) {
+            await interaction.reply({ content: `Configuration for printer "${printerKey}" not found.`, ephemeral: true });
+            return;
+        }
+
+        const job = getOpenJob(printer.key);
+        if (!job) {
+            await interaction.reply({ content: `Nothing is printing on ${printer.MACHINE_NAME} right now.`, ephemeral: true });
+            return;
+        }
+
+        const member = interaction.options.getUser('member');
+        const ownerId = member ? member.id : interaction.user.id;
+        const isLead = canControlPrinters(interaction.member);
+        if (member && member.id !== interaction.user.id && !isLead) {
+            await interaction.reply({ content: 'Only leads can claim a print for someone else.', ephemeral: true });
+            return;
+        }
+        if (job.ownerId === ownerId) {
+            await interaction.reply({ content: `**${job.fileName}** on ${printer.MACHINE_NAME} is already claimed for <@${ownerId}>.`, ephemeral: true });
+            return;
+        }
+        if (job.ownerId && !isLead) {
+            await interaction.reply({ content: `**${job.fileName}** on ${printer.MACHINE_NAME} already belongs to <@${job.ownerId}>. Ask a lead to reassign it.`, ephemeral: true });
+            return;
+        }
+
+        claimJob(printer.key, ownerId);
+        await interaction.reply({
+            content: `🙋 **${job.fileName}** on ${printer.MACHINE_NAME} now belongs to <@${ownerId}>.`,
+            allowedMentions: { parse: [] },
+        });
+    },
+};
@@ -0,0 +1,115 @@
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder, SlashCommandBuilder } = require('discord.js');
+
+const { getPrinter, autocompletePrinters } = require("../../printer-config.js");
+const { getJobs } = require("../../job-history.js");
+const { formatDuration } = require("../../duration-utils.js");
+
+const JOBS_PER_PAGE = 5;
+// Custom ID prefix for the paging buttons: history_page:<page>:<printerKey>:<ownerId>:<state>, "-" for unset filters
+const PAGE_BUTTON = 'history_page';
+
+const STATE_EMOJI = { RUNNING: '🟢', PAUSE: '⏸️', FINISH: '✅', FAILED: '❌', UNKNOWN: '❔' };
+
+function describeJob(job) {
+    const printerName = getPrinter(job.printerKey)?.MACHINE_NAME || job.printerKey;
+    const started = Math.floor(Date.parse(job.startedAt) / 1000);
+    const lines = [
+        `Printer: ${printerName} • Started <t:${started}:f>`,
+        `Duration: ${formatDuration(job.actualSeconds)} (est. ${formatDuration(job.estimatedSeconds)})`,
+        `Filament: ${job.filamentGrams ?? 'N/A'}g ${job.filamentType || ''}`.trim(),
+    ];
+    if (job.ownerId) lines.push(`Owner: <@${job.ownerId}>`);
+    if (job.lastError) lines.push(`Error: ${job.lastError.description} (\`${job.lastError.code}\`)`);
+    return lines.join('\n');
+}
+
+function buildHistoryPage(filters, page) {
+    const jobs = getJobs(filters);
+    const pageCount = Math.max(1, Math.ceil(jobs.length / JOBS_PER_PAGE));
+    const currentPage = Math.min(Math.max(page, 0), pageCount - 1);
+    const pageJobs = jobs.slice(currentPage * JOBS_PER_PAGE, (currentPage + 1) * JOBS_PER_PAGE);
+
+    const filterText = [
+        filters.printerKey && (getPrinter(filters.printerKey)?.MACHINE_NAME || filters.printerKey),
+        filters.ownerId && `<@${filters.ownerId}>`,
+        filters.state,
+    ].filter(Boolean).join(' • ');
+
+    const embed = new EmbedBuilder()
+        .setTitle('🗂️ Print History')
+        .setDescription(jobs.length === 0 ? 'No matching print jobs recorded yet.' : (filterText || 'All printers'))
+        .setFooter({ text: `Page ${currentPage + 1}/${pageCount} • ${jobs.length} job(s)` });
+
+    for (const job of pageJobs) {
+        embed.addFields({ name: `${STATE_EMOJI[job.state] || '❔'} ${job.fileName} — ${job.state}`, value: describeJob(job) });
+    }
+
+    const filterArgs = [filters.printerKey || '-', filters.ownerId || '-', filters.state || '-'].join(':');
+    const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`${PAGE_BUTTON}:${currentPage - 1}:${filterArgs}`)
+            .setLabel('◀ Newer')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(currentPage === 0),
+        new ButtonBuilder()
+            .setCustomId(`${PAGE_BUTTON}:${currentPage + 1}:${filterArgs}`)
+            .setLabel('Older ▶')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(currentPage >= pageCount - 1),
+    );
+
+    return { embeds: [embed], components: [row] };
+}
+
+async function changePage(interaction, page, printerKey, ownerId, state) {
+    const unset = value => (value === '-' ? undefined : value);
+    await interaction.update(buildHistoryPage(
+        { printerKey: unset(printerKey), ownerId: unset(ownerId), state: unset(state) },
+        parseInt(page, 10) || 0
+    ));
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('history')
+        .setDescription('Browse recent print jobs.')
+        .addStringOption(option =>
+            option.setName('printer')
+                .setDescription('Only jobs on this printer')
+                .setAutocomplete(true)
+        )
+        .addUserOption(option =>
+            option.setName('member')
+                .setDescription('Only jobs owned by this member')
+        )
+        .addStringOption(option =>
+            option.setName('state')
+                .setDescription('Only jobs that ended in this state')
+                .addChoices(
+                    { name: 'Finished', value: 'FINISH' },
+                    { name: 'Failed', value: 'FAILED' },
+                    { name: 'Running', value: 'RUNNING' },
+                    { name: 'Paused', value: 'PAUSE' },
+                    { name: 'Unknown', value: 'UNKNOWN' },
+                )
+        ),
+    autocomplete: autocompletePrinters,
+    buttons: {
+        [PAGE_BUTTON]: changePage,
+    },
+    async execute(interaction) {
+        const printerKey = interaction.options.getString('printer');
+        if (printerKey && !getPrinter(printerKey)) {
+            await interaction.reply({ content: `Configuration for printer "${printerKey}" not found.`, ephemeral: true });
+            return;
+        }
+
+        const filters = {
+            printerKey: printerKey || undefined,
+            ownerId: interaction.options.getUser('member')?.id,
+            state: interaction.options.getString('state') || undefined,
+        };
+
+        await interaction.reply(buildHistoryPage(filters, 0));
+    },
+};
@@ -0,0 +1,204 @@
+const { ChannelType, EmbedBuilder, SlashCommandBuilder } = require('discord.js');
+
+const { getPrinter, autocompletePrinters } = require("../../printer-config.js");
+const { canControlPrinters } = require("../../printer-control.js");
+const { NOTIFICATION_EVENTS, QUIET_HOURS_TIME_ZONE, getGuildSettings, setRoute, removeRoute, setQuietHours, setFailureRole, isQuietTime, getFallbackChannelId } = require("../../notification-router.js");
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+const TIME_ZONE_LABEL = QUIET_HOURS_TIME_ZONE ? `${QUIET_HOURS_TIME_ZONE} time` : 'bot host time';
+
+function normalizeTime(text) {
+    const match = TIME_PATTERN.exec(text.trim());
+    return match ? `${match[1].padStart(2, '0')}:${match[2]}` : null;
+}
+
+// The printer option, checked; undefined when it names no configured printer.
+function getPrinterOption(interaction) {
+    const printerKey = interaction.options.getString('printer');
+    if (!printerKey) return { printerKey: null, printerName: 'all printers' };
+    const printer = getPrinter(printerKey);
+    return printer ? { printerKey: printer.key, printerName: printer.MACHINE_NAME } : undefined;
+}
+
+async function routeChannel(interaction) {
+    const channel = interaction.options.getChannel('channel');
+    const target = getPrinterOption(interaction);
+    if (!target) {
+        await interaction.reply({ content: `Configuration for printer "${interaction.options.getString('printer')}" not found.`, ephemeral: true });
+        return;
+    }
+
+    // Explicit true/false options override the default of every event; untouched options keep it.
+    const events = Object.keys(NOTIFICATION_EVENTS).filter(event => interaction.options.getBoolean(event) ?? true);
+    if (events.length === 0) {
+        await interaction.reply({ content: 'Pick at least one event, or use /notify unroute to stop posting there.', ephemeral: true });
+        return;
+    }
+
+    setRoute(interaction.guildId, { channelId: channel.id, printerKey: target.printerKey, events });
+    await interaction.reply({ content: `✅ ${channel} now gets ${events.join(', ')} notifications for ${target.printerName}.`, ephemeral: true });
+}
+
+async function unrouteChannel(interaction) {
+    const channel = interaction.options.getChannel('channel');
+    const target = getPrinterOption(interaction);
+    if (!target || !removeRoute(interaction.guildId, channel.id, target.printerKey)) {
+        await interaction.reply({ content: `${channel} has no route for ${target ? target.printerName : 'that printer'}. See /notify list.`, ephemeral: true });
+        return;
+    }
+    await interaction.reply({ content: `🗑️ ${channel} no longer gets notifications for ${target.printerName}.`, ephemeral: true });
+}
+
+async function configureQuietHours(interaction) {
+    const startText = interaction.options.getString('start');
+    const endText = interaction.options.getString('end');
+    if (!startText && !endText) {
+        setQuietHours(interaction.guildId, null);
+        await interaction.reply({ content: '🔔 Quiet hours are off.', ephemeral: true });
+        return;
+    }
+
+    const start = startText && normalizeTime(startText);
+    const end = endText && normalizeTime(endText);
+    if (!start || !end || start === end) {
+        await interaction.reply({ content: 'Give both a different start and end time as HH:MM (24-hour), e.g. 22:00 and 07:00.', ephemeral: true });
+        return;
+    }
+
+    setQuietHours(interaction.guildId, { start, end });
+    await interaction.reply({ content: `🌙 From ${start} to ${end} (${TIME_ZONE_LABEL}) notifications are posted silently and failures ping no roles.`, ephemeral: true });
+}
+
+async function configureFailurePing(interaction) {
+    const role = interaction.options.getRole('role');
+    const enabled = interaction.options.getBoolean('enabled') ?? true;
+    setFailureRole(interaction.guildId, role.id, enabled);
+    await interaction.reply({
+        content: enabled ? `📣 ${role} is pinged on failure notifications.` : `${role} is no longer pinged on failures.`,
+        ephemeral: true,
+        allowedMentions: { parse: [] },
+    });
+}
+
+// What happens to notifications while this server has no routes.
+function describeMissingRoutes(interaction) {
+    const fallbackChannelId = getFallbackChannelId(interaction.client, interaction.guildId);
+    if (fallbackChannelId) {
+        return `None. Until this server sets up a route, everything goes to <#${fallbackChannelId}> (\`monitorChannelId\` in config.json).`;
+    }
+    return 'None, so this server gets no printer notifications. Add one with /notify route.';
+}
+
+function buildSettingsEmbed(interaction) {
+    const settings = getGuildSettings(interaction.guildId);
+    const routes = settings.routes.map(route => {
+        const printerName = route.printerKey ? (getPrinter(route.printerKey)?.MACHINE_NAME || route.printerKey) : 'all printers';
+        return `<#${route.channelId}> • ${printerName}: ${route.events.join(', ')}`;
+    });
+    const quietHours = settings.quietHours
+        ? `${settings.quietHours.start}–${settings.quietHours.end} ${TIME_ZONE_LABEL}${isQuietTime(settings.quietHours) ? ' (now)' : ''}`
+        : 'Off';
+
+    return new EmbedBuilder()
+        .setTitle('🔔 Notification Routing')
+        .addFields(
+            { name: 'Routes', value: routes.length > 0 ? routes.join('\n') : describeMissingRoutes(interaction) },
+            { name: 'Quiet hours', value: quietHours, inline: true },
+            { name: 'Failure pings', value: settings.failureRoleIds.map(id => `<@&${id}>`).join(' ') || 'None', inline: true },
+            { name: 'Events', value: Object.entries(NOTIFICATION_EVENTS).map(([event, label]) => `\`${event}\` ${label}`).join('\n') },
+        );
+}
+
+const data = new SlashCommandBuilder()
+    .setName('notify')
+    .setDescription('Choose where printer notifications are posted in this server.')
+    .setDMPermission(false)
+    .addSubcommand(subcommand => {
+        subcommand.setName('route')
+            .setDescription('Post notifications to a channel (all events unless turned off below).')
+            .addChannelOption(option =>
+                option.setName('channel')
+                    .setDescription('Channel to post to')
+                    .setRequired(true)
+                    .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+            )
+            .addStringOption(option =>
+                option.setName('printer')
+                    .setDescription('Only this printer (default: all printers)')
+                    .setAutocomplete(true)
+            );
+        for (const [event, label] of Object.entries(NOTIFICATION_EVENTS)) {
+            subcommand.addBooleanOption(option => option.setName(event).setDescription(label));
+        }
+        return subcommand;
+    })
+    .addSubcommand(subcommand =>
+        subcommand.setName('unroute')
+            .setDescription('Stop posting notifications to a channel.')
+            .addChannelOption(option =>
+                option.setName('channel')
+                    .setDescription('Channel to stop posting to')
+                    .setRequired(true)
+                    .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+            )
+            .addStringOption(option =>
+                option.setName('printer')
+                    .setDescription('The printer the route is for (default: the route for all printers)')
+                    .setAutocomplete(true)
+            )
+    )
+    .addSubcommand(subcommand =>
+        subcommand.setName('quiet_hours')
+            .setDescription('Post silently and skip role pings during these hours (leave both out to turn off).')
+            .addStringOption(option => option.setName('start').setDescription('Start as HH:MM, e.g. 22:00'))
+            .addStringOption(option => option.setName('end').setDescription('End as HH:MM, e.g. 07:00'))
+    )
+    .addSubcommand(subcommand =>
+        subcommand.setName('ping')
+            .setDescription('Ping a role on failure notifications.')
+            .addRoleOption(option =>
+                option.setName('role')
+                    .setDescription('Role to ping')
+                    .setRequired(true)
+            )
+            .addBooleanOption(option =>
+                option.setName('enabled')
+                    .setDescription('Set to false to stop pinging the role')
+            )
+    )
+    .addSubcommand(subcommand =>
+        subcommand.setName('list')
+            .setDescription('Show the notification settings of this server.')
+    );
+
+module.exports = {
+    data,
+    autocomplete: autocompletePrinters,
+    async execute(interaction) {
+        if (!interaction.guildId) {
+            await interaction.reply({ content: 'Notifications are configured per server; use this command in one.', ephemeral: true });
+            return;
+        }
+
+        const subcommand = interaction.options.getSubcommand();
+        if (subcommand === 'list') {
+            await interaction.reply({ embeds: [buildSettingsEmbed(interaction)], ephemeral: true });
+            return;
+        }
+
+        if (!canControlPrinters(interaction.member)) {
+            await interaction.reply({ content: 'Only leads can change where notifications go.', ephemeral: true });
+            return;
+        }
+
+        if (subcommand === 'route') {
+            await routeChannel(interaction);
+        } else if (subcommand === 'unroute') {
+            await unrouteChannel(interaction);
+        } else if (subcommand === 'quiet_hours') {
+            await configureQuietHours(interaction);
+        } else if (subcommand === 'ping') {
+            await configureFailurePing(interaction);
+        }
+    },
+};
@@ -1,27 +1,142 @@
-const { ActionRowBuilder, SlashCommandBuilder, AttachmentBuilder, ButtonBuilder, ButtonStyle, ComponentType } = require('discord.js');
+const { ActionRowBuilder, SlashCommandBuilder, AttachmentBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const fs = require('fs');
 const path = require('path');
 
-const { printers } = require("../../config.json");
+const { getPrinter, autocompletePrinters } = require("../../printer-config.js");
+const { getConnection } = require("../../printer-registry.js");
+const { getJobs } = require("../../job-history.js");
 const { captureSingleFrameFromPrinter } = require("../../BambuCamera.js"); // Assuming this is robust
-const { BambuClient } = require('bambu-node');
+const { getStreamUrl } = require("../../camera-server.js");
+const { getPrinterErrors, formatPrinterError } = require("../../hms-codes.js");
+const { ALERT_STATES, DELIVERY_CHANNEL, addSubscription, getUserSubscriptions, buildCancelAlertButton } = require("../../alert-subscriptions.js");
 
-let getGcodeSettings;
+const { formatDuration } = require("../../duration-utils.js");
+
+let getJobMetadata;
 try {
     const gcodeRetriever = require('../../bambu-node-gcode-retriever.js');
-    if (gcodeRetriever && typeof gcodeRetriever.getGcodeSettings === 'function') {
-        getGcodeSettings = gcodeRetriever.getGcodeSettings;
-        console.log('Successfully imported getGcodeSettings from bambu-node-gcode-retriever.js');
+    if (gcodeRetriever && typeof gcodeRetriever.getJobMetadata === 'function') {
+        getJobMetadata = gcodeRetriever.getJobMetadata;
+        console.log('Successfully imported getJobMetadata from bambu-node-gcode-retriever.js');
     } else {
-        console.error('Failed to import getGcodeSettings. It might not be exported correctly or the module is structured unexpectedly.');
-        // getGcodeSettings will remain undefined, handled in execute
+        console.error('Failed to import getJobMetadata. It might not be exported correctly or the module is structured unexpectedly.');
+        // getJobMetadata will remain undefined, handled in execute
     }
 } catch (error) {
     console.error('CRITICAL ERROR: Failed to require bambu-node-gcode-retriever.js. Path or module content issue.', error);
-    // getGcodeSettings will remain undefined, handled in execute
+    // getJobMetadata will remain undefined, handled in execute
+}
+
+function describePlateFilament(plate) {
+    if (!plate || plate.filaments.length === 0) return "N/A";
+    return plate.filaments
+        .map(f => `${f.type || '?'} (slot ${f.slot}): ${f.usedGrams ?? '?'}g`)
+        .join(', ');
+}
+
+function describePlate(plate) {
+    const name = plate.name ? ` "${plate.name}"` : '';
+    return `Plate ${plate.index}${name}: ${formatDuration(plate.estimatedSeconds)}, ${plate.weightGrams ?? '?'}g ` +
+        `[${plate.filaments.map(f => f.type).filter(Boolean).join('+') || '?'}]`;
+}
+
+// States in which the printer's /cache still holds the job's 3MF (same as the retriever's)
+const JOB_DETAIL_STATES = ["RUNNING", "PAUSE", "FINISH", "FAILED"];
+
+async function captureCameraAttachment(printerConfig, printerKey) {
+    try {
+        const tempImageDir = path.join(__dirname, '..', '..', 'printer_images_temp'); // Ensure this dir exists or is creatable
+        const imagePath = await captureSingleFrameFromPrinter(
+            printerConfig.PRINTER_IP,
+            printerConfig.ACCESS_CODE,
+            { outputDir: tempImageDir, timeoutMs: 25000 } // Adjusted timeout
+        );
+        if (imagePath) {
+            // Read now so the capture can be deleted before the reply is sent
+            const image = await fs.promises.readFile(imagePath).finally(() => fs.promises.rm(imagePath, { force: true }));
+            return new AttachmentBuilder(image, { name: `${printerKey}_initial_${Date.now()}.jpg` });
+        }
+    } catch (imageError) {
+        console.error(`[${new Date().toISOString()}] FAILURE: Could not capture initial image from ${printerConfig.PRINTER_IP}. Error: ${imageError.message}`);
+    }
+    return null;
+}
+
+/**
+ * Summary shown when nothing is printing: the last job from history, else whatever the printer last reported.
+ */
+function describeIdlePrinter(printerConfig, state, status) {
+    let content = "```\n" +
+                  `Printer: ${printerConfig.MACHINE_NAME}\n` +
+                  `Status: ${state}\n`;
+    if (state === 'PREPARE' && status.subtask_name) {
+        content += `Preparing: ${status.subtask_name}\n`;
+    }
+
+    const lastJob = getJobs({ printerKey: printerConfig.key }).find(job => job.endedAt);
+    if (lastJob) {
+        const filament = lastJob.filamentGrams !== null ? `${lastJob.filamentGrams}g ${lastJob.filamentType || ''}`.trim() : "N/A";
+        content += `\nLast Job: ${lastJob.fileName}\n` +
+                   `Result: ${lastJob.state}\n` +
+                   `Duration: ${formatDuration(lastJob.actualSeconds)} (est. ${formatDuration(lastJob.estimatedSeconds)})\n` +
+                   `Filament Used: ${filament}\n` +
+                   (lastJob.lastError ? `Last Error: ${lastJob.lastError.description} (${lastJob.lastError.code})\n` : "") +
+                   "```\n" +
+                   `Ended <t:${Math.floor(Date.parse(lastJob.endedAt) / 1000)}:R>`;
+    } else if (status.subtask_name && state !== 'PREPARE') {
+        content += `\nLast Job: ${status.subtask_name} (from the printer's last report)\n` +
+                   `Progress: ${status.mc_percent ?? "N/A"}%\n` +
+                   "```";
+    } else {
+        content += "\nNo previous job recorded.\n" +
+                   "```";
+    }
+    return content;
+}
+
+function describeActiveErrors(status) {
+    const errors = getPrinterErrors(status);
+    if (errors.length === 0) return "";
+    return "\n**Printer errors:**\n" + errors.map(formatPrinterError).join('\n');
 }
 
-// Map to store active BambuClient instances for alerts, keyed by interaction ID or message ID
-const activeAlertClients = new Map();
+// Custom ID prefix of the "Alert on Status Change" button, handled globally so it keeps working after restarts
+const ALERT_BUTTON = 'alert_subscribe';
+
+async function subscribeFromButton(buttonInteraction, printerKey) {
+    const printerConfig = getPrinter(printerKey);
+    if (!printerConfig) {
+        await buttonInteraction.reply({ content: `Configuration for printer "${printerKey}" not found.`, ephemeral: true });
+        return;
+    }
+
+    // addSubscription replaces the user's subscription, which may have been set up with /subscribe.
+    const existing = getUserSubscriptions(buttonInteraction.user.id).find(s => s.printerKey === printerKey);
+    if (existing) {
+        const where = existing.delivery === DELIVERY_CHANNEL ? `in <#${existing.channelId}>` : 'by DM';
+        await buttonInteraction.reply({
+            content: `You already get alerts ${where} when ${printerConfig.MACHINE_NAME} is ${existing.states.join(', ')}. Cancel it first or use /subscribe to change it.`,
+            components: [new ActionRowBuilder().addComponents(buildCancelAlertButton(existing))],
+            ephemeral: true,
+        });
+        return;
+    }
+
+    const subscription = addSubscription({
+        userId: buttonInteraction.user.id,
+        printerKey,
+        states: ALERT_STATES,
+        delivery: DELIVERY_CHANNEL,
+        channelId: buttonInteraction.channelId,
+    });
+
+    const cancelRow = new ActionRowBuilder().addComponents(buildCancelAlertButton(subscription));
+    await buttonInteraction.reply({
+        content: `✅ Alert armed for ${printerConfig.MACHINE_NAME}! You'll be notified of status changes in this channel.`,
+        components: [cancelRow],
+        ephemeral: true,
+    });
+}
 
 module.exports = {
     data: new SlashCommandBuilder()
@@ -31,20 +146,25 @@ module.exports = {
             option.setName('printer')
                 .setDescription('Select Printer')
                 .setRequired(true)
-                .addChoices( // Ensure your config.json has "P1S" and "P1P" keys in `printers`
-                    { name: "BambuLab P1S", value: "P1S" },
-                    { name: "BambuLab P1P", value: "P1  P" },
-                )
+                .setAutocomplete(true) // Choices come from the `printers` map in config.json
+        )
+        .addBooleanOption(option =>
+            option.setName('all_plates')
+                .setDescription('Also list every plate in the project with its own estimates')
         ),
+    autocomplete: autocompletePrinters,
+    buttons: {
+        [ALERT_BUTTON]: subscribeFromButton,
+    },
     async execute(interaction) {
-        if (typeof getGcodeSettings !== 'function') {
-            console.error(`[${new Date().toISOString()}] Execute function called, but getGcodeSettings is not available.`);
+        if (typeof getJobMetadata !== 'function') {
+            console.error(`[${new Date().toISOString()}] Execute function called, but getJobMetadata is not available.`);
             await interaction.reply({ content: 'Sorry, the print command is currently unavailable due to a configuration issue. Please contact the bot administrator.', ephemeral: true });
             return;
         }
 
         const printerKey = interaction.options.getString('printer');
-        const printerConfig = printers[printerKey];
+        const printerConfig = getPrinter(printerKey);
 
         if (!printerConfig) {
             console.error(`[${new Date().toISOString()}] Invalid printer key selected: ${printerKey}`);
@@ -54,70 +174,105 @@ module.exports = {
         }
 
         const alertButton = new ButtonBuilder()
-            .setCustomId(`alert_status_${printerKey}`) // More unique customId
+            .setCustomId(`${ALERT_BUTTON}:${printerKey}`)
             .setLabel("🔔 Alert on Status Change")
             .setStyle(ButtonStyle.Primary);
 
         const row = new ActionRowBuilder().addComponents(alertButton);
+        const streamUrl = getStreamUrl(printerConfig);
+        if (streamUrl) {
+            row.addComponents(new ButtonBuilder().setLabel("📺 Live View").setStyle(ButtonStyle.Link).setURL(streamUrl));
+        }
 
         try {
             await interaction.deferReply();
             // console.log(`[${new Date().toISOString()}] Interaction deferred for /print command by ${interaction.user.tag} for ${printerKey}.`);
 
-            // Using the robust getGcodeSettings
-            const gcodeQuery = "total estimated time;default_filament_profile;filament used [g]";
-            const extractedSettings = await getGcodeSettings(gcodeQuery, 90000, printerConfig);
-            console.log(`[${new Date().toISOString()}] GCode settings received for ${printerKey}:`, extractedSettings);
+            // A connection that was just opened has not reported yet; give it a moment rather than showing nothing.
+            const connection = getConnection(printerKey);
+            const status = connection.connected && connection.lastReportAt === null
+                ? await connection.waitForStatus(() => true, 5000) || connection.status
+                : connection.status;
+            const state = !connection.connected ? "OFFLINE" : (status.gcode_state || "UNKNOWN");
+
+            if (!status.subtask_name || !JOB_DETAIL_STATES.includes(state)) {
+                // An unreachable printer would only make the camera wait for its timeout.
+                const idleAttachment = state === "OFFLINE" ? null : await captureCameraAttachment(printerConfig, printerKey);
+                let idleContent = describeIdlePrinter(printerConfig, state, status) + describeActiveErrors(status);
+                if (idleAttachment === null) {
+                    idleContent += "\n(Could not retrieve printer camera image)";
+                }
+                await interaction.editReply({ content: idleContent, components: [row], files: idleAttachment ? [idleAttachment] : [] });
+                return;
+            }
+
+            // Fetching the 3MF can take a while on the first call for a job, so show the live state first.
+            await interaction.editReply({
+                content: `**${printerConfig.MACHINE_NAME}** is ${state}: ${status.subtask_name} (${status.mc_percent ?? '?'}%). Fetching job details…`,
+            });
+
+            let jobMetadata = null;
+            let metadataError = null;
+            try {
+                jobMetadata = await getJobMetadata(printerConfig, 90000);
+            } catch (error) {
+                // JobMetadataError messages are written for users; anything else is unexpected.
+                if (error.name !== 'JobMetadataError') throw error;
+                metadataError = error;
+            }
+            console.log(`[${new Date().toISOString()}] Job metadata received for ${printerKey}: ${jobMetadata ? jobMetadata.fileName : metadataError.code}`);
 
             let replyContent;
             let imageAttachment = null;
-            let imagePathForCleanup = null; // For the initial image
+            let previewAttachment = null; // Sliced-model preview from the 3MF, shown even when the chamber is dark
             let successfulMessagePackage = false;
 
-            if (typeof extractedSettings === 'object' && extractedSettings !== null) {
-                try {
-                    // console.log(`[${new Date().toISOString()}] Attempting to capture initial frame from ${printerConfig.PRINTER_IP}...`);
-                    const tempImageDir = path.join(__dirname, '..', '..', 'printer_images_temp'); // Ensure this dir exists or is creatable
-                    imagePathForCleanup = await captureSingleFrameFromPrinter(
-                        printerConfig.PRINTER_IP,
-                        printerConfig.ACCESS_CODE,
-                        { outputDir: tempImageDir, timeoutMs: 25000 } // Adjusted timeout
-                    );
-                    if (imagePathForCleanup) {
-                        // console.log(`[${new Date().toISOString()}] SUCCESS: Initial image for ${printerKey} saved at ${imagePathForCleanup}`);
-                        const uniqueAttachmentName = `${path.basename(imagePathForCleanup, '.jpg')}_initial_${Date.now()}.jpg`;
-                        imageAttachment = new AttachmentBuilder(imagePathForCleanup, { name: uniqueAttachmentName });
-                    }
-                } catch (imageError) {
-                    console.error(`[${new Date().toISOString()}] FAILURE: Could not capture initial image from ${printerConfig.PRINTER_IP}. Error: ${imageError.message}`);
+            if (typeof jobMetadata === 'object' && jobMetadata !== null) {
+                imageAttachment = await captureCameraAttachment(printerConfig, printerKey);
+
+                if (jobMetadata.thumbnailPath) {
+                    previewAttachment = new AttachmentBuilder(jobMetadata.thumbnailPath, { name: `${printerKey}_plate_preview_${Date.now()}.png` });
                 }
 
-                // Use the more specific keys returned by the updated getGcodeSettings
-                const fileName = extractedSettings["original_printer_filename"] || "N/A";
-                const printerStatus = extractedSettings["printer_gcode_state"] || "N/A"; // This is the gcode_state
-                const printTime = extractedSettings["total estimated time"] || "N/A"; // Assuming array, take first
-                const filamentType = extractedSettings["default_filament_profile"] || "N/A";
-                const filamentUsed = extractedSettings["filament used [g]"] || "N/A";
+                const { project } = jobMetadata;
+                const plate = project.plates.find(p => p.index === project.plateIndex);
+                const gcode = project.gcode || {};
+
+                const fileName = jobMetadata.fileName || "N/A";
+                const printerStatus = jobMetadata.gcodeState || "N/A"; // This is the gcode_state
+                const plateName = plate && plate.name ? ` "${plate.name}"` : "";
+                const printTime = formatDuration(gcode.totalEstimatedSeconds ?? plate?.estimatedSeconds);
+                const filamentType = (gcode.filamentProfiles || []).join(', ') || "N/A";
+                const filamentUsed = gcode.totalFilamentGrams ?? plate?.weightGrams ?? "N/A";
 
                 replyContent = "```\n" +
-                               `Printer: ${printerKey}\n` +
+                               `Printer: ${printerConfig.MACHINE_NAME}\n` +
                                `File Name: ${fileName}\n` +
+                               `Plate: ${project.plateIndex}${plateName}\n` +
                                `Status: ${printerStatus}\n\n` +
                                `Est. Print Time: ${printTime}\n` +
+                               `Layers: ${gcode.layerCount ?? "N/A"}\n` +
                                `Filament Type: ${filamentType}\n` +
-                               `Filament Used: ${filamentUsed}g\n` +    
+                               `Filament Used: ${filamentUsed}g\n` +
+                               `Per Slot: ${describePlateFilament(plate)}\n` +
                                "```";
+                if (interaction.options.getBoolean('all_plates') && project.plates.length > 0) {
+                    replyContent += "\n**All plates in project:**\n" + project.plates.map(describePlate).join('\n');
+                }
                 if (imageAttachment === null) {
-                    replyContent += "\n(Could not retrieve printer camera image for initial display)";
+                    replyContent += previewAttachment
+                        ? "\n(Could not retrieve printer camera image; showing the sliced model preview instead)"
+                        : "\n(Could not retrieve printer camera image for initial display)";
                 }
                 successfulMessagePackage = true;
 
-            } else { // Handles null or unexpected types from getGcodeSettings
-                // console.warn(`[${new Date().toISOString()}] extractedSettings for ${printerKey} was null or not an object. Type: ${typeof extractedSettings}. This usually means no active/recent print or an issue fetching data.`);
-                replyContent = `Could not retrieve detailed print job information for ${printerKey}. No active/recent print found, or an error occurred during data retrieval.`;
+            } else { // getJobMetadata explained why there is nothing to show
+                replyContent = `Could not retrieve detailed print job information for ${printerConfig.MACHINE_NAME}: ${metadataError.message}`;
                 successfulMessagePackage = false; // No button if we don't have initial data
             }
             
+            replyContent += describeActiveErrors(status);
+
             if (replyContent.length > 1950) { // Leave some room for Discord's own formatting/limits
                 console.warn(`[${new Date().toISOString()}] Reply content is too long for ${printerKey}. Length: ${replyContent.length}. Truncating.`);
                 replyContent = replyContent.substring(0, 1950) + "... (message truncated)";
@@ -127,11 +282,12 @@ module.exports = {
             if (successfulMessagePackage) { // Only add button if initial data fetch was somewhat successful
                 messagePayload.components = [row];
             }
-            if (imageAttachment) {
-                messagePayload.files = [imageAttachment];
+            const attachments = [imageAttachment, previewAttachment].filter(Boolean);
+            if (attachments.length > 0) {
+                messagePayload.files = attachments;
             }
 
-            const sentMessage = await interaction.editReply(messagePayload);
+            await interaction.editReply(messagePayload);
             // console.log(`[${new Date().toISOString()}] Reply sent successfully for ${printerKey}.`);
 
             // Cleanup initial image (optional, manage temp files as needed)
@@ -140,130 +296,6 @@ module.exports = {
                 // if (err) console.error(`[${new Date().toISOString()}] Error deleting temp image ${imagePathForCleanup}: ${err.message}`);
                 // });
             // }
-
-            if (!successfulMessagePackage) { // If we didn't add the button, no need for collector
-                return;
-            }
-
-            const collectorInteractionId = interaction.id; // Use interaction ID as a key for the client map
-            const filter = i => i.customId === alertButton.data.custom_id && i.user.id === interaction.user.id;
-            const collector = sentMessage.createMessageComponentCollector({ componentType: ComponentType.Button, filter, time: 36_000_000 }); // 10 hours
-
-            collector.on('collect', async buttonInteraction => {
-                let bambuClientForAlert = activeAlertClients.get(collectorInteractionId);
-                if (bambuClientForAlert && !bambuClientForAlert.closed) {
-                     await buttonInteraction.reply({ content: `An alert is already active for ${printerKey} from this command.`, ephemeral: true });
-                     return;
-                }
-
-                try {
-                    await buttonInteraction.deferUpdate(); // Acknowledge button click
-
-                    bambuClientForAlert = new BambuClient({
-                        host: printerConfig.PRINTER_IP,
-                        serialNumber: printerConfig.PRINTER_SERIAL,
-                        accessToken: printerConfig.ACCESS_CODE,
-                    });
-                    activeAlertClients.set(collectorInteractionId, bambuClientForAlert);
-
-                    // console.log(`[${new Date().toISOString()}] [Alert] User ${buttonInteraction.user.tag} activated status alert for ${printerKey}.`);
-                    await buttonInteraction.followUp({ content: `✅ Alert armed for ${printerKey}! You'll be notified of status changes.`, ephemeral: true });
-
-                    bambuClientForAlert.on("printer:statusUpdate", async (oldStatus, newStatus) => {
-                        if (oldStatus === newStatus) return;
-
-                        if (newStatus != "FAILED" && newStatus != "RUNNING" && newStatus != "PAUSE" && newStatus != "FINISH") return;
-
-                        let alertImagePath = null;
-                        let alertImageAttachment = null;
-                        // console.log(`[${new Date().toISOString()}] [Alert] Status change for ${printerKey}: ${oldStatus} -> ${newStatus}.`);
-
-                        try {
-                            // console.log(`[${new Date().toISOString()}] [Alert] Capturing frame for ${printerKey} due to status change...`);
-                            const tempImageDir = path.join(__dirname, '..', '..', 'printer_images_temp');
-                            alertImagePath = await captureSingleFrameFromPrinter(
-                                printerConfig.PRINTER_IP,
-                                printerConfig.ACCESS_CODE,
-                                { outputDir: tempImageDir, timeoutMs: 15000 }
-                            );
-                            if (alertImagePath) {
-                                const uniqueName = `${path.basename(alertImagePath, '.jpg')}_alert_${Date.now()}.jpg`;
-                                alertImageAttachment = new AttachmentBuilder(alertImagePath, { name: uniqueName });
-                            }
-                        } catch (imgError) {
-                            console.error(`[${new Date().toISOString()}] [Alert] Failed to capture image for ${printerKey} during status update: ${imgError.message}`);
-                        }
-                            
-                        try {
-                            const cancelButton = new ButtonBuilder()
-                                .setCustomId(`cancel_button${printerKey}`) // More unique customId
-                                .setLabel("Cancel Alert")
-                                .setStyle(ButtonStyle.Danger);
-
-                            const alertRow = ActionRowBuilder().addComponents(cancelButton)
-
-                            const alertMsgPayload = { 
-                                content: `🚨 ${printerKey} status changed: **${newStatus}** 🚨\nTag: <@${buttonInteraction.user.id}>`, 
-                                ephemeral: true, // Keep ephemeral or send to channel? User choice.
-                                components: [alertRow]
-                            };
-                            if (alertImageAttachment) {
-                                alertMsgPayload.files = [alertImageAttachment];
-                            }
-                            await buttonInteraction.followUp(alertMsgPayload);
-                        } catch (followUpErr) {
-                            console.error(`[${new Date().toISOString()}] [Alert] Failed to send followUp for ${printerKey} status change: ${followUpErr.message}`);
-                        }
-                        // Optional: cleanup alertImagePath if not handled by captureSingleFrameFromPrinter
-                    });
-
-                    bambuClientForAlert.on('error', (err) => {
-                        console.error(`[${new Date().toISOString()}] [Alert] BambuClient MQTT error for ${printerKey} (IID: ${collectorInteractionId}): ${err.message || err}`);
-                        buttonInteraction.followUp({ content: `⚠️ MQTT error for ${printerKey} alerts. Alerting may stop.`, ephemeral: true }).catch(e => {});
-                        if (activeAlertClients.has(collectorInteractionId)) {
-                            activeAlertClients.get(collectorInteractionId)?.disconnect();
-                            activeAlertClients.delete(collectorInteractionId);
-                        }
-                    });
-                    
-                    bambuClientForAlert.on('closed', () => {
-                        // console.log(`[${new Date().toISOString()}] [Alert] BambuClient MQTT connection closed for ${printerKey} (IID: ${collectorInteractionId}).`);
-                        // No action needed here, collector end or error handler will manage cleanup.
-                    });
-
-                    await bambuClientForAlert.connect();
-                    // console.log(`[${new Date().toISOString()}] [Alert] BambuClient connected for ${printerKey} status alerts (IID: ${collectorInteractionId}).`);
-
-                } catch (collectErr) {
-                    console.error(`[${new Date().toISOString()}] Error in button collector setup for ${printerKey}:`, collectErr);
-                    if (!buttonInteraction.replied && !buttonInteraction.deferred) {
-                        await buttonInteraction.reply({ content: 'Could not set up printer alerts due to an internal error.', ephemeral: true }).catch(e => {});
-                    } else {
-                        await buttonInteraction.followUp({ content: 'Could not set up printer alerts due to an internal error.', ephemeral: true }).catch(e => {});
-                    }
-                    // Ensure client is cleaned up if connect failed or error before listeners fully set
-                    const client = activeAlertClients.get(collectorInteractionId);
-                    if (client) {
-                        client.disconnect();
-                        activeAlertClients.delete(collectorInteractionId);
-                    }
-                }
-            });
-
-            collector.on('end', collected => {
-                // console.log(`[${new Date().toISOString()}] Button collector ended for ${printerKey} (IID: ${collectorInteractionId}). Collected ${collected.size} items.`);
-                const clientToDisconnect = activeAlertClients.get(collectorInteractionId);
-                if (clientToDisconnect) {
-                    // console.log(`[${new Date().toISOString()}] [Alert] Disconnecting BambuClient for ${printerKey} as collector ended (IID: ${collectorInteractionId}).`);
-                    clientToDisconnect.disconnect();
-                    activeAlertClients.delete(collectorInteractionId);
-                }
-                // Optionally, edit the original message to remove or disable the button
-                const disabledButton = ButtonBuilder.from(alertButton).setDisabled(true).setLabel("🔔 Alerts Expired");
-                const expiredRow = new ActionRowBuilder().addComponents(disabledButton);
-                sentMessage.edit({ components: [expiredRow] }).catch(e => { /* console.error("Error editing message on collector end:", e.message) */ });
-            });
-
         } catch (error) {
             console.error(`[${new Date().toISOString()}] CRITICAL Error executing /print command for ${printerKey} by ${interaction.user.tag}:`, error);
             const errorMessage = 'An unexpected error occurred while processing your request for print settings. Please try again later.';
@@ -0,0 +1,408 @@
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder, SlashCommandBuilder } = require('discord.js');
+const fs = require('fs');
+const path = require('path');
+
+const { maxUploadMB = 50 } = require("../../config.json");
+const { getPrinter, autocompletePrinters } = require("../../printer-config.js");
+const { CONTROL_ACTIONS, SPEED_LEVELS, STARTABLE_STATES, canControlPrinters, requireConnection, describeControlCommand, sendControlCommand, startPrintFile, postControlAudit } = require("../../printer-control.js");
+const { listPrinterFiles, findPrinterFile, uploadPrinterFile, fetchToFile, checkProjectForPrinter, formatFileSize } = require("../../printer-storage.js");
+const { readProjectArchive } = require("../../gcode-metadata.js");
+const { getOpenJob } = require("../../job-history.js");
+const { getPlateFilaments, findFilamentShortfalls, formatFilamentWarning } = require("../../spool-inventory.js");
+const { WATCHDOG_PAUSE_BUTTON, WATCHDOG_IGNORE_BUTTON, ignoreWatchdogAlerts } = require("../../print-watchdog.js");
+
+// Custom ID prefixes of the confirmation buttons: "printer_confirm:<printer>:<action>:<value|->"
+const CONFIRM_BUTTON = 'printer_confirm';
+const CANCEL_BUTTON = 'printer_cancel';
+// Custom ID prefix of the file list paging buttons: "printer_files:<printer>:<page>"
+const FILES_PAGE_BUTTON = 'printer_files';
+
+const FILES_PER_PAGE = 10;
+
+const NOT_ALLOWED_MESSAGE = "You don't have permission to control printers.";
+
+function addPrinterOption(subcommand) {
+    return subcommand.addStringOption(option =>
+        option.setName('printer')
+            .setDescription('Select Printer')
+            .setRequired(true)
+            .setAutocomplete(true)
+    );
+}
+
+/**
+ * Sends the command, logs it with the `control` notifications and returns the text to show the requesting user.
+ * The publish and the log post can outlast Discord's three seconds, so callers defer the interaction first.
+ */
+async function runControlCommand(interaction, printer, action, value) {
+    const description = describeControlCommand(action, value);
+    try {
+        await sendControlCommand(printer, action, value);
+    } catch (error) {
+        return `❌ ${error.message}`;
+    }
+    await postControlAudit(interaction.client, interaction.user, printer, description);
+    return `✅ Sent **${description}** to ${printer.MACHINE_NAME}.`;
+}
+
+async function buildFilesPage(printer, page) {
+    let files;
+    try {
+        files = await listPrinterFiles(printer);
+    } catch (error) {
+        console.error(`[${new Date().toISOString()}] Could not list files on ${printer.MACHINE_NAME}: ${error.message}`);
+        return { content: `❌ Could not list the files on ${printer.MACHINE_NAME}: ${error.message}`, embeds: [], components: [] };
+    }
+
+    const pageCount = Math.max(1, Math.ceil(files.length / FILES_PER_PAGE));
+    const currentPage = Math.min(Math.max(page, 0), pageCount - 1);
+    const pageFiles = files.slice(currentPage * FILES_PER_PAGE, (currentPage + 1) * FILES_PER_PAGE);
+
+    const lines = pageFiles.map(file => {
+        const modified = file.modifiedAt ? ` • <t:${Math.floor(file.modifiedAt.getTime() / 1000)}:d>` : '';
+        return `\`${file.path}\` — ${formatFileSize(file.size)}${modified}`;
+    });
+
+    const embed = new EmbedBuilder()
+        .setTitle(`💾 Files on ${printer.MACHINE_NAME}`)
+        .setDescription(files.length === 0 ? 'No 3MF or G-code files on the SD card.' : lines.join('\n'))
+        .setFooter({ text: `Page ${currentPage + 1}/${pageCount} • ${files.length} file(s) • Start one with /printer start` });
+
+    const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`${FILES_PAGE_BUTTON}:${printer.key}:${currentPage - 1}`)
+            .setLabel('◀ Newer')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(currentPage === 0),
+        new ButtonBuilder()
+            .setCustomId(`${FILES_PAGE_BUTTON}:${printer.key}:${currentPage + 1}`)
+            .setLabel('Older ▶')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(currentPage >= pageCount - 1),
+    );
+
+    return { content: '', embeds: [embed], components: [row] };
+}
+
+async function changeFilesPage(interaction, printerKey, page) {
+    const printer = getPrinter(printerKey);
+    if (!printer) {
+        await interaction.update({ content: `Configuration for printer "${printerKey}" not found.`, embeds: [], components: [] });
+        return;
+    }
+    // Listing over FTPS can take longer than Discord waits for a response.
+    await interaction.deferUpdate();
+    await interaction.editReply(await buildFilesPage(printer, parseInt(page, 10) || 0));
+}
+
+async function startFile(interaction, printer) {
+    const query = interaction.options.getString('file');
+    const plate = interaction.options.getInteger('plate') ?? 1;
+    const useAms = interaction.options.getBoolean('use_ams') ?? false;
+    const bedLeveling = interaction.options.getBoolean('bed_leveling') ?? true;
+
+    await interaction.deferReply({ ephemeral: true });
+
+    let file;
+    try {
+        file = findPrinterFile(await listPrinterFiles(printer), query);
+    } catch (error) {
+        await interaction.editReply(`❌ Could not list the files on ${printer.MACHINE_NAME}: ${error.message}`);
+        return;
+    }
+    if (!file) {
+        await interaction.editReply(`❌ No file \`${query}\` on ${printer.MACHINE_NAME}. Use /printer files to see the exact paths.`);
+        return;
+    }
+
+    let shortfalls;
+    try {
+        shortfalls = await startPrintFile(printer, { filePath: file.path, plate, useAms, bedLeveling, ownerId: interaction.user.id });
+    } catch (error) {
+        await interaction.editReply(`❌ ${error.message}`);
+        return;
+    }
+
+    const plateText = file.path.toLowerCase().endsWith('.3mf') ? ` (plate ${plate})` : '';
+    await postControlAudit(interaction.client, interaction.user, printer, `start ${file.path}${plateText}`);
+    await interaction.editReply(`✅ Started \`${file.path}\`${plateText} on ${printer.MACHINE_NAME}.${formatFilamentWarning(shortfalls)}`);
+}
+
+async function uploadFile(interaction, printer) {
+    const attachment = interaction.options.getAttachment('file');
+    const start = interaction.options.getBoolean('start') ?? false;
+    const plate = interaction.options.getInteger('plate') ?? 1;
+    const useAms = interaction.options.getBoolean('use_ams') ?? false;
+    const bedLeveling = interaction.options.getBoolean('bed_leveling') ?? true;
+
+    if (path.extname(attachment.name).toLowerCase() !== '.3mf') {
+        await interaction.reply({ content: '❌ Only sliced Bambu Studio `.3mf` files can be uploaded.', ephemeral: true });
+        return;
+    }
+    if (attachment.size > maxUploadMB * 1024 * 1024) {
+        await interaction.reply({ content: `❌ ${attachment.name} is ${formatFileSize(attachment.size)}; the upload limit is ${maxUploadMB} MB.`, ephemeral: true });
+        return;
+    }
+    try {
+        // Writing to the SD card while printing can starve the running job, so only idle printers accept uploads.
+        requireConnection(printer, STARTABLE_STATES, 'upload to');
+    } catch (error) {
+        await interaction.reply({ content: `❌ ${error.message}`, ephemeral: true });
+        return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    const localPath = path.join(__dirname, '..', '..', 'downloads', `upload_${Date.now()}.3mf`);
+
+    try {
+        try {
+            await fetchToFile(attachment.url, localPath, maxUploadMB * 1024 * 1024);
+        } catch (error) {
+            await interaction.editReply(`❌ Could not download ${attachment.name} from Discord: ${error.message}`);
+            return;
+        }
+
+        let project;
+        try {
+            project = await readProjectArchive(localPath, plate);
+        } catch (error) {
+            await interaction.editReply(`❌ ${attachment.name} is not a readable 3MF archive: ${error.message}`);
+            return;
+        }
+        const problem = checkProjectForPrinter(project, printer, plate);
+        if (problem) {
+            await interaction.editReply(`❌ ${problem}`);
+            return;
+        }
+
+        const plateFilaments = getPlateFilaments(project, plate);
+
+        let remotePath;
+        try {
+            remotePath = await uploadPrinterFile(printer, localPath, attachment.name);
+        } catch (error) {
+            console.error(`[${new Date().toISOString()}] Upload of ${attachment.name} to ${printer.MACHINE_NAME} failed:`, error);
+            await interaction.editReply(`❌ Could not upload ${attachment.name} to ${printer.MACHINE_NAME}: ${error.message}`);
+            return;
+        }
+
+        if (!start) {
+            await postControlAudit(interaction.client, interaction.user, printer, `upload ${remotePath}`);
+            await interaction.editReply(`✅ Uploaded \`${remotePath}\` to ${printer.MACHINE_NAME}. Start it with /printer start.${formatFilamentWarning(findFilamentShortfalls(printer.key, plateFilaments))}`);
+            return;
+        }
+
+        let shortfalls;
+        try {
+            shortfalls = await startPrintFile(printer, { filePath: remotePath, plate, useAms, bedLeveling, ownerId: interaction.user.id, filaments: plateFilaments });
+        } catch (error) {
+            await interaction.editReply(`⚠️ Uploaded \`${remotePath}\`, but could not start it: ${error.message}`);
+            return;
+        }
+        await postControlAudit(interaction.client, interaction.user, printer, `upload and start ${remotePath} (plate ${plate})`);
+        await interaction.editReply(`✅ Uploaded and started \`${remotePath}\` (plate ${plate}) on ${printer.MACHINE_NAME}.${formatFilamentWarning(shortfalls)}`);
+    } finally {
+        fs.rmSync(localPath, { force: true });
+    }
+}
+
+async function confirmControl(interaction, printerKey, action, value) {
+    const printer = getPrinter(printerKey);
+    if (!printer || !CONTROL_ACTIONS[action]) {
+        await interaction.update({ content: 'This command is no longer available.', components: [] });
+        return;
+    }
+    if (!canControlPrinters(interaction.member)) {
+        await interaction.reply({ content: NOT_ALLOWED_MESSAGE, ephemeral: true });
+        return;
+    }
+
+    await interaction.deferUpdate();
+    const content = await runControlCommand(interaction, printer, action, value === '-' ? null : value);
+    await interaction.editReply({ content, components: [] });
+}
+
+async function cancelControl(interaction) {
+    await interaction.update({ content: 'Cancelled, nothing was sent.', components: [] });
+}
+
+// Watchdog alerts can be handled by the print's owner as well as by leads.
+function canHandleWatchdogAlert(interaction, printerKey, jobId) {
+    const job = getOpenJob(printerKey);
+    const isOwner = job && job.id === jobId && job.ownerId === interaction.user.id;
+    return isOwner || canControlPrinters(interaction.member);
+}
+
+async function pauseFromWatchdog(interaction, printerKey, jobId) {
+    const printer = getPrinter(printerKey);
+    if (!printer || getOpenJob(printerKey)?.id !== jobId) {
+        await interaction.update({ content: `${interaction.message.content}\nThis print has already ended.`, components: [], allowedMentions: { parse: [] } });
+        return;
+    }
+    if (!canHandleWatchdogAlert(interaction, printerKey, jobId)) {
+        await interaction.reply({ content: NOT_ALLOWED_MESSAGE, ephemeral: true });
+        return;
+    }
+
+    await interaction.deferUpdate();
+    const result = await runControlCommand(interaction, printer, 'pause', null);
+    if (result.startsWith('❌')) {
+        await interaction.followUp({ content: result, ephemeral: true });
+        return;
+    }
+    await interaction.editReply({ content: `${interaction.message.content}\n⏸️ Paused by <@${interaction.user.id}>`, components: [], allowedMentions: { parse: [] } });
+}
+
+async function ignoreFromWatchdog(interaction, printerKey, jobId) {
+    if (!canHandleWatchdogAlert(interaction, printerKey, jobId)) {
+        await interaction.reply({ content: NOT_ALLOWED_MESSAGE, ephemeral: true });
+        return;
+    }
+    const note = ignoreWatchdogAlerts(printerKey, jobId)
+        ? `👍 <@${interaction.user.id}> says the print is fine; no more alerts for it.`
+        : 'This print has already ended.';
+    await interaction.update({ content: `${interaction.message.content}\n${note}`, components: [], allowedMentions: { parse: [] } });
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('printer')
+        .setDescription('Control a printer remotely.')
+        .addSubcommand(subcommand =>
+            addPrinterOption(subcommand.setName('pause').setDescription('Pause the current print.'))
+        )
+        .addSubcommand(subcommand =>
+            addPrinterOption(subcommand.setName('resume').setDescription('Resume a paused print.'))
+        )
+        .addSubcommand(subcommand =>
+            addPrinterOption(subcommand.setName('stop').setDescription('Cancel the current print. Asks for confirmation.'))
+        )
+        .addSubcommand(subcommand =>
+            addPrinterOption(subcommand.setName('files').setDescription("List the 3MF and G-code files on the printer's SD card."))
+        )
+        .addSubcommand(subcommand =>
+            addPrinterOption(subcommand.setName('start').setDescription("Start printing a file from the printer's SD card."))
+                .addStringOption(option =>
+                    option.setName('file')
+                        .setDescription('Path or name of the file, as shown by /printer files')
+                        .setRequired(true)
+                )
+                .addIntegerOption(option =>
+                    option.setName('plate')
+                        .setDescription('Plate of the 3MF project to print (default 1)')
+                        .setMinValue(1)
+                )
+                .addBooleanOption(option =>
+                    option.setName('use_ams')
+                        .setDescription('Feed filament from the AMS (default off)')
+                )
+                .addBooleanOption(option =>
+                    option.setName('bed_leveling')
+                        .setDescription('Run bed leveling before printing (default on)')
+                )
+        )
+        .addSubcommand(subcommand =>
+            addPrinterOption(subcommand.setName('upload').setDescription('Upload a sliced 3MF to the printer and optionally start it.'))
+                .addAttachmentOption(option =>
+                    option.setName('file')
+                        .setDescription('Sliced .3mf exported from Bambu Studio')
+                        .setRequired(true)
+                )
+                .addBooleanOption(option =>
+                    option.setName('start')
+                        .setDescription('Start printing right after the upload (default off)')
+                )
+                .addIntegerOption(option =>
+                    option.setName('plate')
+                        .setDescription('Plate to check and print (default 1)')
+                        .setMinValue(1)
+                )
+                .addBooleanOption(option =>
+                    option.setName('use_ams')
+                        .setDescription('Feed filament from the AMS (default off)')
+                )
+                .addBooleanOption(option =>
+                    option.setName('bed_leveling')
+                        .setDescription('Run bed leveling before printing (default on)')
+                )
+        )
+        .addSubcommand(subcommand =>
+            addPrinterOption(subcommand.setName('light').setDescription('Turn the chamber light on or off.'))
+                .addStringOption(option =>
+                    option.setName('state')
+                        .setDescription('Light state')
+                        .setRequired(true)
+                        .addChoices({ name: 'On', value: 'on' }, { name: 'Off', value: 'off' })
+                )
+        )
+        .addSubcommand(subcommand =>
+            addPrinterOption(subcommand.setName('speed').setDescription('Change the speed of the current print.'))
+                .addStringOption(option =>
+                    option.setName('level')
+                        .setDescription('Speed level')
+                        .setRequired(true)
+                        .addChoices(...Object.keys(SPEED_LEVELS).map(level => ({ name: level[0].toUpperCase() + level.slice(1), value: level })))
+                )
+        ),
+    autocomplete: autocompletePrinters,
+    buttons: {
+        [CONFIRM_BUTTON]: confirmControl,
+        [CANCEL_BUTTON]: cancelControl,
+        [FILES_PAGE_BUTTON]: changeFilesPage,
+        [WATCHDOG_PAUSE_BUTTON]: pauseFromWatchdog,
+        [WATCHDOG_IGNORE_BUTTON]: ignoreFromWatchdog,
+    },
+    async execute(interaction) {
+        const action = interaction.options.getSubcommand();
+        const value = interaction.options.getString('state') || interaction.options.getString('level');
+        const printerKey = interaction.options.getString('printer');
+        const printer = getPrinter(printerKey);
+
+        if (!printer) {
+            await interaction.reply({ content: `Configuration for printer "${printerKey}" not found.`, ephemeral: true });
+            return;
+        }
+        if (action === 'files') {
+            await interaction.deferReply();
+            await interaction.editReply(await buildFilesPage(printer, 0));
+            return;
+        }
+
+        if (!canControlPrinters(interaction.member)) {
+            await interaction.reply({ content: NOT_ALLOWED_MESSAGE, ephemeral: true });
+            return;
+        }
+
+        if (action === 'start') {
+            await startFile(interaction, printer);
+            return;
+        }
+        if (action === 'upload') {
+            await uploadFile(interaction, printer);
+            return;
+        }
+
+        if (CONTROL_ACTIONS[action].destructive) {
+            const row = new ActionRowBuilder().addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`${CONFIRM_BUTTON}:${printer.key}:${action}:${value || '-'}`)
+                    .setLabel(`Yes, ${describeControlCommand(action, value)}`)
+                    .setStyle(ButtonStyle.Danger),
+                new ButtonBuilder()
+                    .setCustomId(CANCEL_BUTTON)
+                    .setLabel('Cancel')
+                    .setStyle(ButtonStyle.Secondary),
+            );
+            await interaction.reply({
+                content: `⚠️ Really **${describeControlCommand(action, value)}** ${printer.MACHINE_NAME}? This cannot be undone.`,
+                components: [row],
+                ephemeral: true,
+            });
+            return;
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+        await interaction.editReply(await runControlCommand(interaction, printer, action, value));
+    },
+};
@@ -0,0 +1,302 @@
+const { ActionRowBuilder, EmbedBuilder, SlashCommandBuilder } = require('discord.js');
+const fs = require('fs');
+const path = require('path');
+
+const { maxUploadMB = 50 } = require("../../config.json");
+const { getPrinter, autocompletePrinters } = require("../../printer-config.js");
+const { canControlPrinters } = require("../../printer-control.js");
+const { fetchToFile, checkProjectForPrinter } = require("../../printer-storage.js");
+const { readProjectArchive } = require("../../gcode-metadata.js");
+const { sendNotification } = require("../../notification-router.js");
+const { formatFilamentWarning } = require("../../spool-inventory.js");
+const { parseDuration, formatDuration } = require("../../duration-utils.js");
+const {
+    PRIORITIES, QUEUE_START_BUTTON, QUEUE_APPROVE_BUTTON,
+    getQueue, getQueueEntry, addQueueEntry, removeQueueEntry, approveQueueEntry, startQueueEntry, buildApproveButton,
+} = require("../../print-queue.js");
+
+// An embed holds at most 25 fields
+const MAX_LISTED_ENTRIES = 20;
+
+const STATUS_LABELS = { pending: '⏳ Awaiting approval', approved: '✅ Approved', assigned: '📣 Waiting to start', starting: '▶️ Starting', printing: '🖨️ Printing' };
+
+/**
+ * Parses "2d 4h" (from now) or an absolute date such as "2026-11-02 18:00".
+ * @returns {Date|null}
+ */
+function parseDeadline(text) {
+    if (/^\s*(\d+(\.\d+)?\s*[dhm]\s*)+$/i.test(text)) {
+        return new Date(Date.now() + parseDuration(text) * 1000);
+    }
+    const time = Date.parse(text);
+    return Number.isNaN(time) ? null : new Date(time);
+}
+
+function describeEntry(entry) {
+    const lines = [`Owner: <@${entry.userId}> • Priority: ${entry.priority} • Plate ${entry.plate}`];
+    const details = [];
+    if (entry.deadline) details.push(`Due <t:${Math.floor(Date.parse(entry.deadline) / 1000)}:R>`);
+    if (entry.estimatedSeconds) details.push(`Est. ${formatDuration(entry.estimatedSeconds)}`);
+    const printerKey = entry.assignedPrinterKey || entry.printerKey;
+    if (printerKey) details.push(`Printer: ${getPrinter(printerKey)?.MACHINE_NAME || printerKey}`);
+    if (details.length > 0) lines.push(details.join(' • '));
+    return lines.join('\n');
+}
+
+function isOwnerOrLead(interaction, entry) {
+    return entry.userId === interaction.user.id || canControlPrinters(interaction.member);
+}
+
+async function addEntry(interaction) {
+    const attachment = interaction.options.getAttachment('file');
+    const link = interaction.options.getString('link');
+    const printerKey = interaction.options.getString('printer');
+    const plate = interaction.options.getInteger('plate') ?? 1;
+    const deadlineText = interaction.options.getString('deadline');
+
+    if (Boolean(attachment) === Boolean(link)) {
+        await interaction.reply({ content: 'Attach a sliced `.3mf` file **or** give a link to one.', ephemeral: true });
+        return;
+    }
+    const printer = printerKey ? getPrinter(printerKey) : null;
+    if (printerKey && !printer) {
+        await interaction.reply({ content: `Configuration for printer "${printerKey}" not found.`, ephemeral: true });
+        return;
+    }
+    const deadline = deadlineText ? parseDeadline(deadlineText) : null;
+    if (deadlineText && !deadline) {
+        await interaction.reply({ content: `Could not read the deadline "${deadlineText}". Use e.g. \`2d 4h\` or \`2026-11-02 18:00\`.`, ephemeral: true });
+        return;
+    }
+
+    let fileName = attachment ? attachment.name : null;
+    if (link) {
+        try {
+            fileName = decodeURIComponent(path.posix.basename(new URL(link).pathname));
+        } catch (error) {
+            await interaction.reply({ content: `❌ "${link}" is not a valid link.`, ephemeral: true });
+            return;
+        }
+    }
+    const sourceUrl = attachment ? attachment.url : link;
+    if (path.extname(fileName).toLowerCase() !== '.3mf') {
+        await interaction.reply({ content: '❌ Only sliced Bambu Studio `.3mf` files can be queued.', ephemeral: true });
+        return;
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    const localPath = path.join(__dirname, '..', '..', 'downloads', `queue_${Date.now()}.3mf`);
+    let project;
+    try {
+        await fetchToFile(sourceUrl, localPath, maxUploadMB * 1024 * 1024);
+        project = await readProjectArchive(localPath, plate);
+    } catch (error) {
+        fs.rmSync(localPath, { force: true });
+        await interaction.editReply(`❌ Could not read ${fileName}: ${error.message}`);
+        return;
+    }
+    const problem = checkProjectForPrinter(project, printer, plate);
+    if (problem) {
+        fs.rmSync(localPath, { force: true });
+        await interaction.editReply(`❌ ${problem}`);
+        return;
+    }
+
+    const entry = addQueueEntry({
+        userId: interaction.user.id,
+        fileName,
+        localPath,
+        sourceUrl,
+        priority: interaction.options.getString('priority') || 'normal',
+        deadline,
+        plate,
+        printerKey: printer ? printer.key : null,
+        project,
+    });
+
+    await interaction.editReply(`✅ Queued **${fileName}** as \`${entry.id}\`. A lead needs to approve it before it is printed.`);
+
+    await sendNotification(interaction.client, entry.printerKey, 'queue', {
+        content: `🗳️ New queue entry \`${entry.id}\`: **${fileName}**\n${describeEntry(entry)}`,
+        components: [new ActionRowBuilder().addComponents(buildApproveButton(entry))],
+        allowedMentions: { parse: [] },
+    });
+}
+
+function buildQueueList() {
+    const entries = getQueue();
+    const embed = new EmbedBuilder()
+        .setTitle('📋 Print Queue')
+        .setDescription(entries.length === 0 ? 'The queue is empty. Add a print with /queue add.' : `${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}, next first`);
+
+    entries.slice(0, MAX_LISTED_ENTRIES).forEach((entry, index) => {
+        embed.addFields({ name: `${index + 1}. ${entry.fileName} — \`${entry.id}\` — ${STATUS_LABELS[entry.status]}`, value: describeEntry(entry) });
+    });
+    if (entries.length > MAX_LISTED_ENTRIES) {
+        embed.setFooter({ text: `…and ${entries.length - MAX_LISTED_ENTRIES} more` });
+    }
+    return { embeds: [embed], allowedMentions: { parse: [] } };
+}
+
+async function removeEntry(interaction) {
+    const entry = getQueueEntry(interaction.options.getString('id'));
+    if (!entry) {
+        await interaction.reply({ content: 'No queue entry with that ID.', ephemeral: true });
+        return;
+    }
+    if (!isOwnerOrLead(interaction, entry)) {
+        await interaction.reply({ content: 'Only the member who queued this print or a lead can remove it.', ephemeral: true });
+        return;
+    }
+    removeQueueEntry(entry.id);
+    const note = entry.status === 'printing' ? ' It is already printing; use /printer stop to cancel the print itself.' : '';
+    await interaction.reply({ content: `🗑️ Removed **${entry.fileName}** (\`${entry.id}\`) from the queue.${note}`, ephemeral: true });
+}
+
+async function approveEntry(interaction, entryId) {
+    if (!canControlPrinters(interaction.member)) {
+        await interaction.reply({ content: 'Only leads can approve queued prints.', ephemeral: true });
+        return null;
+    }
+    const entry = approveQueueEntry(entryId, interaction.user.id);
+    if (!entry) {
+        await interaction.reply({ content: 'That queue entry does not exist or was already approved.', ephemeral: true });
+        return null;
+    }
+    return entry;
+}
+
+async function approveFromButton(interaction, entryId) {
+    const entry = await approveEntry(interaction, entryId);
+    if (!entry) return;
+    await interaction.update({
+        content: `${interaction.message.content}\n✅ Approved by <@${interaction.user.id}>`,
+        components: [],
+        allowedMentions: { parse: [] },
+    });
+}
+
+async function startFromButton(interaction, entryId) {
+    const entry = getQueueEntry(entryId);
+    if (!entry || entry.status !== 'assigned') {
+        await interaction.reply({ content: 'This queued print is no longer waiting to be started.', ephemeral: true });
+        return;
+    }
+    if (!isOwnerOrLead(interaction, entry)) {
+        await interaction.reply({ content: 'Only the member who queued this print or a lead can start it.', ephemeral: true });
+        return;
+    }
+
+    await interaction.deferUpdate();
+    const printerName = getPrinter(entry.assignedPrinterKey)?.MACHINE_NAME || entry.assignedPrinterKey;
+    let shortfalls;
+    try {
+        shortfalls = await startQueueEntry(entry);
+    } catch (error) {
+        await interaction.followUp({ content: `❌ Could not start **${entry.fileName}** on ${printerName}: ${error.message}`, ephemeral: true });
+        return;
+    }
+    await interaction.editReply({
+        content: `${interaction.message.content}\n▶️ Started by <@${interaction.user.id}>${formatFilamentWarning(shortfalls)}`,
+        components: [],
+        allowedMentions: { parse: [] },
+    });
+}
+
+async function autocomplete(interaction) {
+    const focused = interaction.options.getFocused(true);
+    if (focused.name === 'printer') {
+        await autocompletePrinters(interaction);
+        return;
+    }
+
+    const query = String(focused.value || '').toLowerCase();
+    const choices = getQueue()
+        .filter(entry => entry.id.includes(query) || entry.fileName.toLowerCase().includes(query))
+        .slice(0, 25)
+        .map(entry => ({ name: `${entry.fileName} (${entry.status})`.slice(0, 100), value: entry.id }));
+    await interaction.respond(choices);
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('queue')
+        .setDescription('The shared print queue.')
+        .addSubcommand(subcommand =>
+            subcommand.setName('add')
+                .setDescription('Queue a sliced 3MF for printing.')
+                .addAttachmentOption(option =>
+                    option.setName('file')
+                        .setDescription('Sliced .3mf exported from Bambu Studio')
+                )
+                .addStringOption(option =>
+                    option.setName('link')
+                        .setDescription('Direct download link to a sliced .3mf, instead of an attachment')
+                )
+                .addStringOption(option =>
+                    option.setName('priority')
+                        .setDescription('How urgent the print is (default normal)')
+                        .addChoices(...Object.keys(PRIORITIES).map(priority => ({ name: priority[0].toUpperCase() + priority.slice(1), value: priority })))
+                )
+                .addStringOption(option =>
+                    option.setName('deadline')
+                        .setDescription('When it is needed, e.g. "2d 4h" or "2026-11-02 18:00"')
+                )
+                .addIntegerOption(option =>
+                    option.setName('plate')
+                        .setDescription('Plate to print (default 1)')
+                        .setMinValue(1)
+                )
+                .addStringOption(option =>
+                    option.setName('printer')
+                        .setDescription('Only print on this printer (default: any compatible printer)')
+                        .setAutocomplete(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('list')
+                .setDescription('Show the queue in print order.')
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('remove')
+                .setDescription('Remove one of your queued prints (leads can remove any).')
+                .addStringOption(option =>
+                    option.setName('id')
+                        .setDescription('Queue entry')
+                        .setRequired(true)
+                        .setAutocomplete(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('approve')
+                .setDescription('Approve a queued print (leads only).')
+                .addStringOption(option =>
+                    option.setName('id')
+                        .setDescription('Queue entry')
+                        .setRequired(true)
+                        .setAutocomplete(true)
+                )
+        ),
+    autocomplete,
+    buttons: {
+        [QUEUE_START_BUTTON]: startFromButton,
+        [QUEUE_APPROVE_BUTTON]: approveFromButton,
+    },
+    async execute(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'add') {
+            await addEntry(interaction);
+        } else if (subcommand === 'list') {
+            await interaction.reply(buildQueueList());
+        } else if (subcommand === 'remove') {
+            await removeEntry(interaction);
+        } else if (subcommand === 'approve') {
+            const entry = await approveEntry(interaction, interaction.options.getString('id'));
+            if (entry) {
+                await interaction.reply({ content: `✅ Approved **${entry.fileName}** (\`${entry.id}\`) for <@${entry.userId}>.`, allowedMentions: { parse: [] } });
+            }
+        }
+    },
+};
@@ -0,0 +1,139 @@
+const { EmbedBuilder, SlashCommandBuilder } = require('discord.js');
+
+const { getPrinter, autocompletePrinters } = require("../../printer-config.js");
+const { getSpools, getSpool, addSpool, loadSpool, describeSpool } = require("../../spool-inventory.js");
+
+// An embed description holds at most 4096 characters
+const MAX_LISTED_SPOOLS = 40;
+
+const TRAY_IDS = ['A1', 'A2', 'A3', 'A4', 'B1', 'B2', 'B3', 'B4', 'C1', 'C2', 'C3', 'C4', 'D1', 'D2', 'D3', 'D4', 'EXT'];
+
+async function useSpool(interaction) {
+    const spool = getSpool(interaction.options.getString('spool'));
+    if (!spool) {
+        await interaction.reply({ content: 'No spool with that ID. Add it first with /spool add.', ephemeral: true });
+        return;
+    }
+
+    const printerKey = interaction.options.getString('printer');
+    const trayId = interaction.options.getString('tray');
+    if (!printerKey) {
+        loadSpool(spool.id, null, null);
+        await interaction.reply({ content: `📦 Spool \`${spool.id}\` is no longer loaded in a printer.` });
+        return;
+    }
+    const printer = getPrinter(printerKey);
+    if (!printer) {
+        await interaction.reply({ content: `Configuration for printer "${printerKey}" not found.`, ephemeral: true });
+        return;
+    }
+    if (!trayId) {
+        await interaction.reply({ content: 'Choose the tray the spool is loaded in.', ephemeral: true });
+        return;
+    }
+
+    const { replaced } = loadSpool(spool.id, printer.key, trayId);
+    const note = replaced ? ` Spool \`${replaced.id}\` was unloaded from that tray.` : '';
+    await interaction.reply({ content: `🧵 Spool \`${spool.id}\` (${spool.material}, ${spool.remainingGrams} g) is now in ${printer.MACHINE_NAME} ${trayId}.${note}` });
+}
+
+function buildSpoolList() {
+    const spools = getSpools();
+    const lines = spools.slice(0, MAX_LISTED_SPOOLS).map(describeSpool);
+    if (spools.length > MAX_LISTED_SPOOLS) lines.push(`…and ${spools.length - MAX_LISTED_SPOOLS} more`);
+
+    const embed = new EmbedBuilder()
+        .setTitle('🧵 Spool Inventory')
+        .setDescription(lines.length > 0 ? lines.join('\n') : 'No spools registered yet. Add one with /spool add.');
+    return { embeds: [embed] };
+}
+
+async function autocomplete(interaction) {
+    const focused = interaction.options.getFocused(true);
+    if (focused.name === 'printer') {
+        await autocompletePrinters(interaction);
+        return;
+    }
+
+    const query = String(focused.value || '').toLowerCase();
+    const choices = getSpools()
+        .filter(spool => `${spool.id} ${spool.brand || ''} ${spool.material} ${spool.color || ''}`.toLowerCase().includes(query))
+        .slice(0, 25)
+        .map(spool => ({
+            name: `${spool.id} — ${[spool.brand, spool.material, spool.color].filter(Boolean).join(' ')} (${spool.remainingGrams} g)`.slice(0, 100),
+            value: spool.id,
+        }));
+    await interaction.respond(choices);
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('spool')
+        .setDescription('The filament spool inventory.')
+        .addSubcommand(subcommand =>
+            subcommand.setName('add')
+                .setDescription('Register a new spool.')
+                .addStringOption(option =>
+                    option.setName('material')
+                        .setDescription('Material as Bambu Studio names it, e.g. PLA, PETG, PLA-CF')
+                        .setRequired(true)
+                )
+                .addIntegerOption(option =>
+                    option.setName('grams')
+                        .setDescription('Filament on the spool (without the spool itself)')
+                        .setRequired(true)
+                        .setMinValue(1)
+                )
+                .addStringOption(option =>
+                    option.setName('color')
+                        .setDescription('Colour, e.g. "Black"')
+                )
+                .addStringOption(option =>
+                    option.setName('brand')
+                        .setDescription('Brand, e.g. "Bambu"')
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('use')
+                .setDescription('Record which printer tray a spool is loaded in (leave out the printer to unload it).')
+                .addStringOption(option =>
+                    option.setName('spool')
+                        .setDescription('Spool')
+                        .setRequired(true)
+                        .setAutocomplete(true)
+                )
+                .addStringOption(option =>
+                    option.setName('printer')
+                        .setDescription('Printer it is loaded in')
+                        .setAutocomplete(true)
+                )
+                .addStringOption(option =>
+                    option.setName('tray')
+                        .setDescription('AMS tray (A1 is the first slot of the first AMS) or the external spool holder')
+                        .addChoices(...TRAY_IDS.map(trayId => ({ name: trayId === 'EXT' ? 'External spool' : trayId, value: trayId })))
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('list')
+                .setDescription('Show every spool with the filament left on it.')
+        ),
+    autocomplete,
+    async execute(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        if (subcommand === 'add') {
+            const spool = addSpool({
+                material: interaction.options.getString('material'),
+                grams: interaction.options.getInteger('grams'),
+                color: interaction.options.getString('color'),
+                brand: interaction.options.getString('brand'),
+                userId: interaction.user.id,
+            });
+            await interaction.reply({ content: `✅ Added spool \`${spool.id}\`: ${describeSpool(spool)}. Load it with /spool use.` });
+        } else if (subcommand === 'use') {
+            await useSpool(interaction);
+        } else if (subcommand === 'list') {
+            await interaction.reply(buildSpoolList());
+        }
+    },
+};
@@ -0,0 +1,99 @@
+const { EmbedBuilder, SlashCommandBuilder } = require('discord.js');
+
+const { getPrinter, autocompletePrinters } = require("../../printer-config.js");
+const { getJobs } = require("../../job-history.js");
+const { computeStats } = require("../../print-stats.js");
+const { formatDuration } = require("../../duration-utils.js");
+
+const WINDOWS = {
+    '24h': { label: 'last 24 hours', days: 1 },
+    '7d': { label: 'last 7 days', days: 7 },
+    '30d': { label: 'last 30 days', days: 30 },
+    '90d': { label: 'last 90 days', days: 90 },
+    '365d': { label: 'last year', days: 365 },
+    'all': { label: 'all time', days: null },
+};
+
+const MAX_LISTED_MEMBERS = 10;
+
+function formatGramsTable(gramsByKey, nameFor = key => key) {
+    const rows = Object.entries(gramsByKey).sort((a, b) => b[1] - a[1]);
+    if (rows.length === 0) return 'No filament data';
+    return rows.map(([key, grams]) => `${nameFor(key)}: **${grams.toFixed(1)} g**`).join('\n');
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('stats')
+        .setDescription('Filament usage and printer utilization statistics.')
+        .addStringOption(option =>
+            option.setName('window')
+                .setDescription('Time window (default: last 30 days)')
+                .addChoices(Object.entries(WINDOWS).map(([value, { label }]) => ({ name: label, value })))
+        )
+        .addStringOption(option =>
+            option.setName('printer')
+                .setDescription('Only this printer')
+                .setAutocomplete(true)
+        )
+        .addUserOption(option =>
+            option.setName('member')
+                .setDescription('Only jobs owned by this member')
+        ),
+    autocomplete: autocompletePrinters,
+    async execute(interaction) {
+        const windowKey = interaction.options.getString('window') || '30d';
+        const timeWindow = WINDOWS[windowKey];
+        const printerKey = interaction.options.getString('printer') || undefined;
+        const ownerId = interaction.options.getUser('member')?.id;
+
+        if (printerKey && !getPrinter(printerKey)) {
+            await interaction.reply({ content: `Configuration for printer "${printerKey}" not found.`, ephemeral: true });
+            return;
+        }
+
+        const since = timeWindow.days ? new Date(Date.now() - timeWindow.days * 86400000) : undefined;
+        const stats = computeStats(getJobs({ printerKey, ownerId, since }));
+        const printerName = key => getPrinter(key)?.MACHINE_NAME || key;
+
+        const embed = new EmbedBuilder()
+            .setTitle(`📊 Print Stats — ${timeWindow.label}`)
+            .setDescription([printerKey ? printerName(printerKey) : 'All printers', ownerId && `<@${ownerId}>`].filter(Boolean).join(' • '));
+
+        if (stats.jobCount === 0) {
+            embed.addFields({ name: 'No data', value: 'No completed print jobs were recorded in this window.' });
+            await interaction.reply({ embeds: [embed] });
+            return;
+        }
+
+        const successRate = stats.successRate === null ? 'N/A' : `${Math.round(stats.successRate * 100)}%`;
+        const printerHours = Object.entries(stats.secondsByPrinter)
+            .map(([key, seconds]) => `${printerName(key)}: **${formatDuration(seconds)}**`)
+            .join('\n');
+        const busiestDays = stats.busiestDays
+            .map(({ day, seconds, jobs }) => `${day}: **${formatDuration(seconds)}** over ${jobs} job(s)`)
+            .join('\n');
+
+        embed.addFields(
+            { name: 'Jobs', value: `${stats.jobCount} total • ✅ ${stats.finished} • ❌ ${stats.failed} • Success rate ${successRate}` },
+            { name: 'Total print time', value: formatDuration(stats.printSeconds), inline: true },
+            { name: 'Total filament', value: `${stats.totalGrams.toFixed(1)} g`, inline: true },
+            { name: 'Filament by material', value: formatGramsTable(stats.gramsByMaterial) },
+            { name: 'Filament by printer', value: formatGramsTable(stats.gramsByPrinter, printerName), inline: true },
+            { name: 'Print time by printer', value: printerHours, inline: true },
+            { name: 'Busiest days', value: busiestDays },
+        );
+
+        const topMembers = Object.entries(stats.byOwner).sort((a, b) => b[1].seconds - a[1].seconds).slice(0, MAX_LISTED_MEMBERS);
+        if (!ownerId && topMembers.length > 0) {
+            embed.addFields({
+                name: 'By member',
+                value: topMembers
+                    .map(([memberId, { jobs, seconds, grams }]) => `<@${memberId}>: **${formatDuration(seconds)}** • ${grams.toFixed(1)} g • ${jobs} job(s)`)
+                    .join('\n'),
+            });
+        }
+
+        await interaction.reply({ embeds: [embed] });
+    },
+};
@@ -0,0 +1,74 @@
+const { SlashCommandBuilder } = require('discord.js');
+
+const { getPrinter, autocompletePrinters } = require("../../printer-config.js");
+const { DEFAULT_ALERT_STATES, DELIVERY_DM, DELIVERY_CHANNEL, addSubscription } = require("../../alert-subscriptions.js");
+
+// Boolean options mapped to the gcode_state they subscribe to
+const STATE_OPTIONS = [
+    { name: 'on_start', state: 'RUNNING', description: 'Alert when a print starts or resumes' },
+    { name: 'on_pause', state: 'PAUSE', description: 'Alert when a print pauses' },
+    { name: 'on_finish', state: 'FINISH', description: 'Alert when a print finishes' },
+    { name: 'on_failure', state: 'FAILED', description: 'Alert when a print fails' },
+];
+
+const data = new SlashCommandBuilder()
+    .setName('subscribe')
+    .setDescription('Get notified when a printer changes status. Survives bot restarts.')
+    .addStringOption(option =>
+        option.setName('printer')
+            .setDescription('Select Printer')
+            .setRequired(true)
+            .setAutocomplete(true)
+    )
+    .addStringOption(option =>
+        option.setName('delivery')
+            .setDescription('Where to send alerts (default: DM)')
+            .addChoices(
+                { name: 'Direct message', value: DELIVERY_DM },
+                { name: 'Mention me in this channel', value: DELIVERY_CHANNEL },
+            )
+    );
+
+for (const { name, description } of STATE_OPTIONS) {
+    data.addBooleanOption(option => option.setName(name).setDescription(description));
+}
+
+module.exports = {
+    data,
+    autocomplete: autocompletePrinters,
+    async execute(interaction) {
+        const printerKey = interaction.options.getString('printer');
+        const printerConfig = getPrinter(printerKey);
+
+        if (!printerConfig) {
+            await interaction.reply({ content: `Configuration for printer "${printerKey}" not found.`, ephemeral: true });
+            return;
+        }
+
+        const delivery = interaction.options.getString('delivery') || DELIVERY_DM;
+
+        // Explicit true/false options override the defaults; untouched options keep them.
+        const states = STATE_OPTIONS
+            .filter(({ name, state }) => interaction.options.getBoolean(name) ?? DEFAULT_ALERT_STATES.includes(state))
+            .map(({ state }) => state);
+
+        if (states.length === 0) {
+            await interaction.reply({ content: 'Pick at least one status to be alerted about.', ephemeral: true });
+            return;
+        }
+
+        addSubscription({
+            userId: interaction.user.id,
+            printerKey,
+            states,
+            delivery,
+            channelId: interaction.channelId,
+        });
+
+        const where = delivery === DELIVERY_CHANNEL ? `in <#${interaction.channelId}>` : 'by DM';
+        await interaction.reply({
+            content: `✅ You'll be alerted ${where} when ${printerConfig.MACHINE_NAME} is ${states.join(', ')}. Use /unsubscribe to stop.`,
+            ephemeral: true,
+        });
+    },
+};
@@ -0,0 +1,94 @@
+const { AttachmentBuilder, EmbedBuilder, SlashCommandBuilder } = require('discord.js');
+
+const { telemetrySampleSeconds = 30 } = require("../../config.json");
+const { getPrinter, autocompletePrinters } = require("../../printer-config.js");
+const { getJobs } = require("../../job-history.js");
+const { MAX_SAMPLE_GAP_MS, getTelemetry } = require("../../telemetry.js");
+const { summarizeSeries, renderTelemetryChart } = require("../../telemetry-chart.js");
+
+const HOUR_MS = 3600000;
+
+const WINDOWS = {
+    'job': { label: 'current or last print' },
+    '1h': { label: 'last hour', hours: 1 },
+    '6h': { label: 'last 6 hours', hours: 6 },
+    '24h': { label: 'last 24 hours', hours: 24 },
+    '3d': { label: 'last 3 days', hours: 72 },
+    '7d': { label: 'last 7 days', hours: 168 },
+};
+
+function formatValue(value, unit) {
+    return `${Math.round(value)}${unit === '%' ? '%' : ` ${unit}`}`;
+}
+
+// The time range a window covers, or null for "job" when the printer has no recorded jobs.
+function resolveWindow(windowKey, printerKey) {
+    const timeWindow = WINDOWS[windowKey];
+    if (timeWindow.hours) {
+        return { from: new Date(Date.now() - timeWindow.hours * HOUR_MS), to: new Date(), label: timeWindow.label };
+    }
+
+    const job = getJobs({ printerKey })[0];
+    if (!job) return null;
+    return {
+        from: new Date(job.startedAt),
+        to: job.endedAt ? new Date(job.endedAt) : new Date(),
+        label: `${job.fileName}${job.endedAt ? '' : ' (printing)'}`,
+    };
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('telemetry')
+        .setDescription("Chart a printer's temperatures, fan speeds and print speed over time.")
+        .addStringOption(option =>
+            option.setName('printer')
+                .setDescription('Select Printer')
+                .setRequired(true)
+                .setAutocomplete(true)
+        )
+        .addStringOption(option =>
+            option.setName('window')
+                .setDescription('Time window (default: current or last print)')
+                .addChoices(Object.entries(WINDOWS).map(([value, { label }]) => ({ name: label, value })))
+        ),
+    autocomplete: autocompletePrinters,
+    async execute(interaction) {
+        const printerKey = interaction.options.getString('printer');
+        const printer = getPrinter(printerKey);
+        if (!printer) {
+            await interaction.reply({ content: `Configuration for printer "${printerKey}" not found.`, ephemeral: true });
+            return;
+        }
+        if (!telemetrySampleSeconds) {
+            await interaction.reply({ content: 'Telemetry recording is turned off (`telemetrySampleSeconds` is 0).', ephemeral: true });
+            return;
+        }
+
+        const range = resolveWindow(interaction.options.getString('window') || 'job', printer.key);
+        if (!range) {
+            await interaction.reply({ content: `No print jobs were recorded for ${printer.MACHINE_NAME} yet.`, ephemeral: true });
+            return;
+        }
+
+        const samples = getTelemetry(printer.key, range.from, range.to);
+        if (samples.length === 0) {
+            await interaction.reply({ content: `No telemetry was recorded for ${printer.MACHINE_NAME} in this window (${range.label}).`, ephemeral: true });
+            return;
+        }
+
+        await interaction.deferReply();
+        const chart = new AttachmentBuilder(renderTelemetryChart(samples, range.from, range.to, MAX_SAMPLE_GAP_MS), { name: `${printer.key}_telemetry.png` });
+        const legend = summarizeSeries(samples).map(series =>
+            `${series.swatch} **${series.label}** ${formatValue(series.min, series.unit)} – ${formatValue(series.max, series.unit)} (last ${formatValue(series.last, series.unit)})`);
+
+        const embed = new EmbedBuilder()
+            .setTitle(`🌡️ Telemetry of ${printer.MACHINE_NAME} — ${range.label}`)
+            .setDescription(`${legend.join('\n')}\n\nTop: temperatures in °C, with the set temperatures as dim lines. Bottom: fans and print speed in %.`)
+            .setImage(`attachment://${chart.name}`)
+            .setFooter({ text: `${samples.length} samples, one every ${telemetrySampleSeconds} s` })
+            .setTimestamp(range.to);
+
+        await interaction.editReply({ embeds: [embed], files: [chart] });
+    },
+};
@@ -0,0 +1,35 @@
+const { SlashCommandBuilder } = require('discord.js');
+
+const { getPrinter, autocompletePrinters } = require("../../printer-config.js");
+const { getJobs } = require("../../job-history.js");
+const { getTimelapsePath, buildTimelapsePayload } = require("../../timelapse.js");
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('timelapse')
+        .setDescription('Post the timelapse of the last finished print.')
+        .addStringOption(option =>
+            option.setName('printer')
+                .setDescription('Only this printer (default: any printer)')
+                .setAutocomplete(true)
+        ),
+    autocomplete: autocompletePrinters,
+    async execute(interaction) {
+        const printerKey = interaction.options.getString('printer') || undefined;
+        const printer = printerKey ? getPrinter(printerKey) : null;
+        if (printerKey && !printer) {
+            await interaction.reply({ content: `Configuration for printer "${printerKey}" not found.`, ephemeral: true });
+            return;
+        }
+
+        const job = getJobs({ printerKey: printer?.key }).find(j => getTimelapsePath(j));
+        if (!job) {
+            await interaction.reply({ content: `No timelapse has been recorded${printer ? ` on ${printer.MACHINE_NAME}` : ''} yet.`, ephemeral: true });
+            return;
+        }
+
+        // Uploading the video can take longer than the 3 seconds Discord waits for a reply.
+        await interaction.deferReply();
+        await interaction.editReply(buildTimelapsePayload(job));
+    },
+};
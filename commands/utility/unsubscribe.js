@@ -0,0 +1,28 @@
+const { SlashCommandBuilder } = require('discord.js');
+
+const { getPrinter, autocompletePrinters } = require("../../printer-config.js");
+const { removeSubscriptions } = require("../../alert-subscriptions.js");
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('unsubscribe')
+        .setDescription('Stop printer status alerts.')
+        .addStringOption(option =>
+            option.setName('printer')
+                .setDescription('Printer to stop alerts for (default: all printers)')
+                .setAutocomplete(true)
+        ),
+    autocomplete: autocompletePrinters,
+    async execute(interaction) {
+        const printerKey = interaction.options.getString('printer');
+        const removed = removeSubscriptions(interaction.user.id, printerKey);
+
+        if (removed.length === 0) {
+            await interaction.reply({ content: 'You have no matching alert subscriptions.', ephemeral: true });
+            return;
+        }
+
+        const printerNames = removed.map(s => getPrinter(s.printerKey)?.MACHINE_NAME || s.printerKey);
+        await interaction.reply({ content: `🔕 Alerts removed for ${printerNames.join(', ')}.`, ephemeral: true });
+    },
+};
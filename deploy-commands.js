@@ -1,5 +1,5 @@
 const { REST, Routes } = require('discord.js');
-const { clientID, myServer, hrServer, token, printers } = require('./config.json');
+const { clientID, myServer, hrServer, token } = require('./config.json');
 const fs = require('node:fs');
 const path = require('node:path');
 
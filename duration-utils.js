@@ -0,0 +1,44 @@
+// duration-utils.js
+// Helpers for the duration strings Bambu Studio writes into G-code headers ("1d 2h 3m 4s")
+// and for showing durations in Discord messages.
+
+const UNIT_SECONDS = { d: 86400, h: 3600, m: 60, s: 1 };
+
+/**
+ * Parses a duration such as "1h 23m 45s" into seconds.
+ * @param {string} text
+ * @returns {number|null} null when no duration could be found.
+ */
+function parseDuration(text) {
+    if (typeof text !== 'string') return null;
+
+    let seconds = 0;
+    let matched = false;
+    for (const [, amount, unit] of text.matchAll(/(\d+(?:\.\d+)?)\s*([dhms])\b/gi)) {
+        seconds += parseFloat(amount) * UNIT_SECONDS[unit.toLowerCase()];
+        matched = true;
+    }
+    return matched ? Math.round(seconds) : null;
+}
+
+/**
+ * Formats seconds as a compact duration, e.g. 5025 -> "1h 23m".
+ * @param {number|null} seconds
+ * @returns {string}
+ */
+function formatDuration(seconds) {
+    if (seconds === null || seconds === undefined || !Number.isFinite(seconds)) return 'N/A';
+
+    const totalMinutes = Math.round(seconds / 60);
+    const days = Math.floor(totalMinutes / 1440);
+    const hours = Math.floor((totalMinutes % 1440) / 60);
+    const minutes = totalMinutes % 60;
+
+    const parts = [];
+    if (days) parts.push(`${days}d`);
+    if (hours) parts.push(`${hours}h`);
+    if (minutes || parts.length === 0) parts.push(`${minutes}m`);
+    return parts.join(' ');
+}
+
+module.exports = { parseDuration, formatDuration };
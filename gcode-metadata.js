@@ -0,0 +1,385 @@
+// gcode-metadata.js
+// Parses the metadata Bambu Studio writes into a sliced 3MF project:
+//   - Metadata/slice_info.config    per-plate prediction, weight and filament per AMS slot
+//   - Metadata/model_settings.config plate names, G-code/thumbnail files and objects per plate
+//   - Metadata/plate_N.gcode         HEADER_BLOCK, CONFIG_BLOCK and the trailing "; key = value" summary
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const extract = require('extract-zip');
+
+const { parseDuration } = require('./duration-utils.js');
+
+/**
+ * @typedef {object} PlateFilament
+ * @property {number} slot Filament/extruder index used by the plate (1-based, as in slice_info.config).
+ * @property {string|null} trayInfoIdx Bambu filament preset id, e.g. "GFA00".
+ * @property {string|null} type Material, e.g. "PLA".
+ * @property {string|null} color Hex colour, e.g. "#FFFFFF".
+ * @property {number|null} usedGrams
+ * @property {number|null} usedMeters
+ */
+
+/**
+ * @typedef {object} PlateMetadata
+ * @property {number} index 1-based plate index.
+ * @property {string|null} name Plate name set in Bambu Studio.
+ * @property {string} gcodeFile Path inside the 3MF, e.g. "Metadata/plate_1.gcode".
+ * @property {string|null} thumbnailFile Path inside the 3MF, e.g. "Metadata/plate_1.png".
+ * @property {string|null} printerModelId e.g. "C12" for the P1S.
+ * @property {number|null} nozzleDiameter
+ * @property {number|null} estimatedSeconds
+ * @property {number|null} weightGrams
+ * @property {PlateFilament[]} filaments
+ * @property {string[]} objects Object names on the plate.
+ */
+
+/**
+ * @typedef {object} GcodeMetadata
+ * @property {string|null} slicer e.g. "BambuStudio 01.09.00.70"
+ * @property {string|null} printerModel e.g. "Bambu Lab P1S"
+ * @property {number|null} modelPrintSeconds
+ * @property {number|null} totalEstimatedSeconds
+ * @property {number|null} layerCount
+ * @property {number|null} maxZHeight
+ * @property {number|null} totalFilamentGrams
+ * @property {number[]} filamentUsedGrams Per filament slot.
+ * @property {string[]} filamentTypes Per filament slot.
+ * @property {string[]} filamentProfiles Per filament slot.
+ * @property {string[]} filamentColors Per filament slot.
+ * @property {number[]} nozzleTemperatures Per filament slot.
+ * @property {number[]} firstLayerNozzleTemperatures Per filament slot.
+ * @property {string|null} bedType
+ * @property {number[]} bedTemperatures Per filament slot, for the bed type the plate was sliced for.
+ * @property {number[]} firstLayerBedTemperatures
+ * @property {Object<string, string>} header Raw HEADER_BLOCK entries.
+ * @property {Object<string, string>} config Raw CONFIG_BLOCK entries.
+ * @property {Object<string, string>} summary Raw "; key = value" entries outside both blocks.
+ */
+
+/**
+ * @typedef {object} ProjectMetadata
+ * @property {string|null} slicerVersion
+ * @property {string|null} printerModelId
+ * @property {PlateMetadata[]} plates
+ * @property {number} plateIndex Plate the G-code was read from.
+ * @property {GcodeMetadata|null} gcode
+ */
+
+// Bed temperature config keys for each "curr_bed_type" value
+const BED_TEMPERATURE_KEYS = {
+    'Cool Plate': 'cool_plate_temp',
+    'Engineering Plate': 'eng_plate_temp',
+    'High Temp Plate': 'hot_plate_temp',
+    'Textured PEI Plate': 'textured_plate_temp',
+    'Smooth PEI Plate': 'hot_plate_temp',
+};
+
+function toNumber(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function toNumberList(value) {
+    return toStringList(value).map(toNumber).filter(n => n !== null);
+}
+
+// Config lists use "," or ";" depending on the key; strings may be quoted.
+function toStringList(value) {
+    if (typeof value !== 'string' || value.trim() === '') return [];
+    return value.split(/[;,]/).map(item => item.trim().replace(/^"|"$/g, '')).filter(Boolean);
+}
+
+function parseAttributes(tagSource) {
+    const attributes = {};
+    for (const [, name, value] of tagSource.matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g)) {
+        attributes[name] = value;
+    }
+    return attributes;
+}
+
+function parseMetadataItems(xml) {
+    const items = {};
+    for (const [tag] of xml.matchAll(/<metadata\b[^>]*\/?>/g)) {
+        const { key, value } = parseAttributes(tag);
+        if (key !== undefined) items[key] = value;
+    }
+    return items;
+}
+
+/**
+ * Parses Metadata/slice_info.config.
+ * @param {string} xml
+ * @returns {{ slicerVersion: string|null, plates: object[] }}
+ */
+function parseSliceInfo(xml) {
+    let slicerVersion = null;
+    for (const [tag] of xml.matchAll(/<header_item\b[^>]*\/?>/g)) {
+        const { key, value } = parseAttributes(tag);
+        if (key === 'X-BBL-Client-Version') slicerVersion = value;
+    }
+
+    const plates = [];
+    for (const [, plateXml] of xml.matchAll(/<plate>([\s\S]*?)<\/plate>/g)) {
+        const metadata = parseMetadataItems(plateXml);
+        plates.push({
+            index: toNumber(metadata.index),
+            printerModelId: metadata.printer_model_id || null,
+            nozzleDiameter: toNumber(metadata.nozzle_diameters),
+            estimatedSeconds: toNumber(metadata.prediction),
+            weightGrams: toNumber(metadata.weight),
+            filaments: Array.from(plateXml.matchAll(/<filament\b[^>]*\/?>/g), ([tag]) => {
+                const attributes = parseAttributes(tag);
+                return {
+                    slot: toNumber(attributes.id),
+                    trayInfoIdx: attributes.tray_info_idx || null,
+                    type: attributes.type || null,
+                    color: attributes.color || null,
+                    usedGrams: toNumber(attributes.used_g),
+                    usedMeters: toNumber(attributes.used_m),
+                };
+            }),
+            objects: Array.from(plateXml.matchAll(/<object\b[^>]*\/?>/g), ([tag]) => parseAttributes(tag).name).filter(Boolean),
+        });
+    }
+
+    return { slicerVersion, plates };
+}
+
+/**
+ * Parses Metadata/model_settings.config.
+ * @param {string} xml
+ * @returns {{ index: number, name: string|null, gcodeFile: string|null, thumbnailFile: string|null, objects: string[] }[]}
+ */
+function parseModelSettings(xml) {
+    const objectNames = {};
+    for (const [, id, objectXml] of xml.matchAll(/<object\s+id="([^"]*)"[^>]*>([\s\S]*?)<\/object>/g)) {
+        // The object's own name is the first metadata item, before any <part>.
+        const ownXml = objectXml.split(/<part\b/)[0];
+        objectNames[id] = parseMetadataItems(ownXml).name || null;
+    }
+
+    const plates = [];
+    for (const [, plateXml] of xml.matchAll(/<plate>([\s\S]*?)<\/plate>/g)) {
+        const ownXml = plateXml.split(/<model_instance>/)[0];
+        const metadata = parseMetadataItems(ownXml);
+        const objects = Array.from(plateXml.matchAll(/<model_instance>([\s\S]*?)<\/model_instance>/g), ([, instanceXml]) =>
+            objectNames[parseMetadataItems(instanceXml).object_id]
+        ).filter(Boolean);
+
+        plates.push({
+            index: toNumber(metadata.plater_id),
+            name: metadata.plater_name || null,
+            gcodeFile: metadata.gcode_file || null,
+            thumbnailFile: metadata.thumbnail_file || null,
+            objects,
+        });
+    }
+    return plates;
+}
+
+/**
+ * Reads the HEADER_BLOCK, CONFIG_BLOCK and "; key = value" summary lines of a Bambu G-code file.
+ * @param {string} gcodeFilePath
+ * @returns {Promise<{ slicer: string|null, header: Object<string, string>, config: Object<string, string>, summary: Object<string, string> }>}
+ */
+async function readGcodeComments(gcodeFilePath) {
+    const result = { slicer: null, header: {}, config: {}, summary: {} };
+    let block = null;
+
+    const lines = readline.createInterface({ input: fs.createReadStream(gcodeFilePath, 'utf-8'), crlfDelay: Infinity });
+    for await (const line of lines) {
+        if (!line.startsWith(';')) continue;
+        const comment = line.replace(/^;\s*/, '');
+
+        if (comment === 'HEADER_BLOCK_START') { block = 'header'; continue; }
+        if (comment === 'CONFIG_BLOCK_START') { block = 'config'; continue; }
+        if (comment === 'HEADER_BLOCK_END' || comment === 'CONFIG_BLOCK_END') { block = null; continue; }
+
+        if (block === 'header') {
+            if (!result.slicer && /^BambuStudio\b/.test(comment)) {
+                result.slicer = comment;
+                continue;
+            }
+            // e.g. "model printing time: 1h 2m; total estimated time: 1h 8m" holds two entries
+            for (const entry of comment.split(/;\s*/)) {
+                const match = entry.match(/^(.+?)\s*:\s*(.*)$/);
+                if (match) result.header[match[1].trim()] = match[2].trim();
+            }
+            continue;
+        }
+
+        const match = comment.match(/^([^=]+?)\s*=\s*(.*)$/);
+        if (!match) continue;
+        if (block === 'config') {
+            result.config[match[1]] = match[2];
+        } else if (!(match[1] in result.summary)) {
+            result.summary[match[1]] = match[2];
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Reads and types the metadata of one plate's G-code file.
+ * @param {string} gcodeFilePath
+ * @returns {Promise<GcodeMetadata>}
+ */
+async function readGcodeMetadata(gcodeFilePath) {
+    const { slicer, header, config, summary } = await readGcodeComments(gcodeFilePath);
+
+    const bedType = config.curr_bed_type || null;
+    const bedKey = BED_TEMPERATURE_KEYS[bedType] || 'hot_plate_temp';
+
+    return {
+        slicer,
+        printerModel: config.printer_model ? config.printer_model.replace(/^"|"$/g, '') : null,
+        modelPrintSeconds: parseDuration(header['model printing time']),
+        totalEstimatedSeconds: parseDuration(header['total estimated time']),
+        layerCount: toNumber(header['total layer number']),
+        maxZHeight: toNumber(header['max_z_height']),
+        totalFilamentGrams: toNumber(header['total filament weight [g]']),
+        filamentUsedGrams: toNumberList(summary['filament used [g]']),
+        filamentTypes: toStringList(config.filament_type),
+        filamentProfiles: toStringList(config.filament_settings_id || config.default_filament_profile),
+        filamentColors: toStringList(config.filament_colour),
+        nozzleTemperatures: toNumberList(config.nozzle_temperature),
+        firstLayerNozzleTemperatures: toNumberList(config.nozzle_temperature_initial_layer),
+        bedType,
+        bedTemperatures: toNumberList(config[bedKey]),
+        firstLayerBedTemperatures: toNumberList(config[`${bedKey}_initial_layer`]),
+        header,
+        config,
+        summary,
+    };
+}
+
+function readIfExists(filePath) {
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf-8') : null;
+}
+
+/**
+ * Reads the metadata of an extracted 3MF project.
+ * @param {string} extractedDir Directory the 3MF was extracted to.
+ * @param {number|null} [plateIndex] Plate whose G-code is parsed; defaults to the first sliced plate.
+ * @returns {Promise<ProjectMetadata>}
+ */
+async function readProjectMetadata(extractedDir, plateIndex = null) {
+    const metadataDir = path.join(extractedDir, 'Metadata');
+    const sliceInfoXml = readIfExists(path.join(metadataDir, 'slice_info.config'));
+    const modelSettingsXml = readIfExists(path.join(metadataDir, 'model_settings.config'));
+
+    const sliceInfo = sliceInfoXml ? parseSliceInfo(sliceInfoXml) : { slicerVersion: null, plates: [] };
+    const modelPlates = modelSettingsXml ? parseModelSettings(modelSettingsXml) : [];
+
+    // slice_info.config only lists sliced plates; model_settings.config adds names and file paths.
+    const plates = sliceInfo.plates.map(slicedPlate => {
+        const modelPlate = modelPlates.find(p => p.index === slicedPlate.index) || {};
+        return {
+            index: slicedPlate.index,
+            name: modelPlate.name || null,
+            gcodeFile: modelPlate.gcodeFile || `Metadata/plate_${slicedPlate.index}.gcode`,
+            thumbnailFile: modelPlate.thumbnailFile || null,
+            printerModelId: slicedPlate.printerModelId,
+            nozzleDiameter: slicedPlate.nozzleDiameter,
+            estimatedSeconds: slicedPlate.estimatedSeconds,
+            weightGrams: slicedPlate.weightGrams,
+            filaments: slicedPlate.filaments,
+            objects: slicedPlate.objects.length > 0 ? slicedPlate.objects : (modelPlate.objects || []),
+        };
+    });
+
+    if (!plateIndex) {
+        plateIndex = plates[0]?.index || 1;
+    }
+    const plate = plates.find(p => p.index === plateIndex);
+    const gcodePath = path.join(extractedDir, plate ? plate.gcodeFile : `Metadata/plate_${plateIndex}.gcode`);
+
+    return {
+        slicerVersion: sliceInfo.slicerVersion,
+        printerModelId: plates[0]?.printerModelId || null,
+        plates,
+        plateIndex,
+        gcode: fs.existsSync(gcodePath) ? await readGcodeMetadata(gcodePath) : null,
+    };
+}
+
+/**
+ * Extracts a 3MF into a temporary directory, reads its metadata and removes the extracted files again.
+ * @param {string} archivePath
+ * @param {number|null} [plateIndex] As for readProjectMetadata.
+ * @returns {Promise<ProjectMetadata>} Rejects when the file is not a zip archive.
+ */
+async function readProjectArchive(archivePath, plateIndex = null) {
+    const extractDir = fs.mkdtempSync(path.join(os.tmpdir(), '3mf-'));
+    try {
+        await extract(archivePath, { dir: extractDir });
+        return await readProjectMetadata(extractDir, plateIndex);
+    } finally {
+        fs.rmSync(extractDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Extracts the plate index from a G-code path such as the MQTT `gcode_file` ("/data/Metadata/plate_2.gcode").
+ * @param {string} gcodeFile
+ * @returns {number|null} null when the path does not name a plate.
+ */
+function plateIndexFromGcodeFile(gcodeFile) {
+    const match = typeof gcodeFile === 'string' ? gcodeFile.match(/plate_(\d+)\.gcode/i) : null;
+    return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Looks up raw G-code metadata values by exact key, case-insensitively, for the legacy
+ * "key one;key two" queries used by getGcodeSettings.
+ * @param {GcodeMetadata|null} gcode
+ * @param {string} settingNamesQuery
+ * @returns {Object<string, string>} One value per key that was found.
+ */
+function lookupSettings(gcode, settingNamesQuery) {
+    const foundSettings = {};
+    if (!gcode) return foundSettings;
+
+    const sources = [gcode.header, gcode.config, gcode.summary];
+    for (const query of settingNamesQuery.split(';').map(q => q.trim()).filter(Boolean)) {
+        for (const source of sources) {
+            const key = Object.keys(source).find(k => k.toLowerCase() === query.toLowerCase());
+            if (key !== undefined) {
+                foundSettings[query] = source[key];
+                break;
+            }
+        }
+    }
+    return foundSettings;
+}
+
+module.exports = {
+    parseSliceInfo,
+    parseModelSettings,
+    readGcodeMetadata,
+    readProjectMetadata,
+    readProjectArchive,
+    plateIndexFromGcodeFile,
+    lookupSettings,
+};
+
+if (require.main === module) {
+    // Usage: node gcode-metadata.js <extracted 3MF directory | plate G-code file> [plateIndex]
+    (async () => {
+        const target = process.argv[2];
+        if (!target) {
+            console.error('Usage: node gcode-metadata.js <extracted 3MF directory | plate G-code file> [plateIndex]');
+            return;
+        }
+        const metadata = fs.statSync(target).isDirectory()
+            ? await readProjectMetadata(target, parseInt(process.argv[3], 10) || null)
+            : await readGcodeMetadata(target);
+        // Raw blocks are long; show the typed fields only.
+        const { header, config, summary, ...typed } = metadata.gcode || metadata;
+        console.log(JSON.stringify(metadata.gcode ? { ...metadata, gcode: typed } : typed, null, 2));
+    })();
+}
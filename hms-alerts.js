@@ -0,0 +1,42 @@
+// hms-alerts.js
+// Posts printer errors (HMS entries and print_error) as `error` notifications when they appear
+// and again when the printer stops reporting them.
+
+const { getConnection } = require('./printer-registry.js');
+const { getPrinterErrors, formatPrinterError } = require('./hms-codes.js');
+
+/**
+ * Reports the errors of `printer` as they appear and clear.
+ * @param {object} printer Printer entry from printer-config.js.
+ * @param {ReturnType<import('./notification-router.js').createNotifier>} notifier
+ */
+function startErrorAlerts(printer, notifier) {
+    let active = new Map(); // code -> PrinterError
+
+    const send = (content) => {
+        notifier.send('error', { content, allowedMentions: { parse: [] } }).catch(error => {
+            console.error(`[HMS] Failed to post an error update for ${printer.MACHINE_NAME}: ${error.message}`);
+        });
+    };
+
+    getConnection(printer.key).on('report', (status, delta) => {
+        // Most reports are small deltas without either field.
+        if (!('hms' in delta) && !('print_error' in delta)) return;
+
+        const current = new Map(getPrinterErrors(status).map(error => [error.code, error]));
+        const appeared = [...current.values()].filter(error => !active.has(error.code));
+        const cleared = [...active.values()].filter(error => !current.has(error.code));
+        active = current;
+
+        for (const error of appeared) {
+            console.log(`[HMS] ${printer.MACHINE_NAME} reports ${error.code} (${error.severity}): ${error.description}`);
+            const file = status.subtask_name ? `\nFile: ${status.subtask_name}` : '';
+            send(`⚠️ **${printer.MACHINE_NAME}** reports an error${file}\n${formatPrinterError(error)}`);
+        }
+        if (cleared.length > 0) {
+            send(`✅ **${printer.MACHINE_NAME}** cleared:\n${cleared.map(error => `~~${error.code}~~ ${error.description}`).join('\n')}`);
+        }
+    });
+}
+
+module.exports = { startErrorAlerts };
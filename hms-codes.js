@@ -0,0 +1,96 @@
+// hms-codes.js
+// Decodes the error codes in the MQTT `print` report: `hms` entries ({ attr, code } pairs, shown
+// by Bambu Studio as HMS_0300_0100_0001_0001) and the `print_error` number (0300_400C). The
+// descriptions come from the bundled hms-codes.json; codes missing there are still reported with
+// the module and severity encoded in them.
+
+const hmsTable = require('./hms-codes.json');
+
+const MODULES = {
+    0x03: 'Motion controller',
+    0x05: 'Mainboard',
+    0x07: 'AMS',
+    0x08: 'Toolhead',
+    0x0C: 'Camera',
+    0x12: 'AMS lite',
+};
+
+// The high word of an HMS code; print errors have no severity of their own.
+const HMS_SEVERITIES = { 1: 'fatal', 2: 'serious', 3: 'common', 4: 'info' };
+const PRINT_ERROR_SEVERITY = 'serious';
+
+const SEVERITY_LABELS = { fatal: '🟥 Fatal', serious: '🟧 Serious', common: '🟨 Warning', info: '🟦 Info' };
+const SEVERITY_ORDER = ['fatal', 'serious', 'common', 'info'];
+
+/**
+ * @typedef {object} PrinterError
+ * @property {string} code e.g. "HMS_0300_0100_0001_0001" or "0300_400C".
+ * @property {string} module
+ * @property {'fatal'|'serious'|'common'|'info'} severity
+ * @property {string} description
+ */
+
+function hexWords(value) {
+    const hex = (value >>> 0).toString(16).toUpperCase().padStart(8, '0');
+    return `${hex.slice(0, 4)}_${hex.slice(4)}`;
+}
+
+function describeModule(value) {
+    const moduleId = value >>> 24;
+    return MODULES[moduleId] || `Module 0x${moduleId.toString(16).toUpperCase().padStart(2, '0')}`;
+}
+
+function lookup(table, key, fallbackSeverity) {
+    const entry = table[key];
+    if (typeof entry === 'string') return { description: entry, severity: fallbackSeverity };
+    if (entry) return { description: entry.description, severity: entry.severity || fallbackSeverity };
+    return { description: 'No description is bundled for this code.', severity: fallbackSeverity };
+}
+
+/**
+ * @param {{ attr: number, code: number }} entry One element of the report's `hms` array.
+ * @returns {PrinterError}
+ */
+function decodeHmsEntry({ attr, code }) {
+    const key = `${hexWords(attr)}_${hexWords(code)}`;
+    const { description, severity } = lookup(hmsTable.hms, key, HMS_SEVERITIES[code >>> 16] || 'common');
+    return { code: `HMS_${key}`, module: describeModule(attr), severity, description };
+}
+
+/**
+ * @param {number} printError The report's `print_error`.
+ * @returns {PrinterError|null} null when there is no error.
+ */
+function decodePrintError(printError) {
+    if (!printError) return null;
+    const key = hexWords(printError);
+    const { description, severity } = lookup(hmsTable.printError, key, PRINT_ERROR_SEVERITY);
+    return { code: key, module: describeModule(printError), severity, description };
+}
+
+/**
+ * Every error a printer status currently reports, most severe first.
+ * @param {object} status Merged MQTT `print` report.
+ * @returns {PrinterError[]}
+ */
+function getPrinterErrors(status) {
+    const errors = (Array.isArray(status.hms) ? status.hms : []).map(decodeHmsEntry);
+    const printError = decodePrintError(parseInt(status.print_error, 10));
+    if (printError) errors.push(printError);
+    return errors.sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity));
+}
+
+/**
+ * One line for Discord, e.g. "🟧 Serious — AMS: AMS A slot 1 has run out of filament. (`HMS_0700_2000_0002_0001`)".
+ * @param {PrinterError} error
+ */
+function formatPrinterError(error) {
+    return `${SEVERITY_LABELS[error.severity] || error.severity} — ${error.module}: ${error.description} (\`${error.code}\`)`;
+}
+
+module.exports = {
+    decodeHmsEntry,
+    decodePrintError,
+    getPrinterErrors,
+    formatPrinterError,
+};
@@ -14,14 +14,23 @@ process.on('unhandledRejection', (reason, promise) => {
 const fs = require('node:fs');
 const path = require('node:path');
 // Require the necessary discord.js classes
-const { Client, Collection, Events, GatewayIntentBits, AttachmentBuilder} = require('discord.js');
-const { token, printers } = require('./config.json');
-
-const { BambuClient } = require('bambu-node');
-const { captureSingleFrameFromPrinter } = require("./BambuCamera.js"); // Assuming this is robust
-
-
-const { getGcodeSettings } = require('./bambu-node-gcode-retriever.js');
+const { Client, Collection, Events, GatewayIntentBits, MessageFlags } = require('discord.js');
+const { token } = require('./config.json');
+const { printers, configErrors } = require('./printer-config.js');
+
+const { getConnection } = require('./printer-registry.js');
+const { startAlertDelivery } = require('./alert-subscriptions.js');
+const { startJobTracking, getOpenJob } = require('./job-history.js');
+const { startProgressEmbeds } = require('./job-progress.js');
+const { startTimelapses } = require('./timelapse.js');
+const { startCameraServer } = require('./camera-server.js');
+const { startPrintWatchdog } = require('./print-watchdog.js');
+const { startErrorAlerts } = require('./hms-alerts.js');
+const { startHumidityAlerts } = require('./ams-status.js');
+const { startSpoolTracking } = require('./spool-inventory.js');
+const { startTelemetry } = require('./telemetry.js');
+const { createNotifier, checkNotificationRoutes } = require('./notification-router.js');
+const { startQueueDispatch } = require('./print-queue.js');
 
 // Create a new client instance
 const client = new Client({ intents: [
@@ -32,6 +41,8 @@ const client = new Client({ intents: [
 ] });
 
 client.commands = new Collection();
+// Button handlers keyed by custom ID prefix; custom IDs look like "prefix:arg1:arg2"
+client.buttons = new Collection();
 
 const foldersPath = path.join(__dirname, 'commands');
 const commandFolders = fs.readdirSync(foldersPath);
@@ -45,6 +56,9 @@ for (const folder of commandFolders) {
 		// Set a new item in the Collection with the key as the command name and the value as the exported module
 		if ('data' in command && 'execute' in command) {
 			client.commands.set(command.data.name, command);
+			for (const [prefix, handler] of Object.entries(command.buttons || {})) {
+				client.buttons.set(prefix, handler);
+			}
 		} else {
 			console.log(`[WARNING] The command at ${filePath} is missing a required "data" or "execute" property.`);
 		}
@@ -54,130 +68,58 @@ for (const folder of commandFolders) {
 
 
 async function initalizePrinter(printer) {
-    const bambu = new BambuClient({
-        host: printer.PRINTER_IP,
-        serialNumber: printer.PRINTER_SERIAL,
-        accessToken: printer.ACCESS_CODE,
-    });
+    const connection = getConnection(printer.key);
     
-    const channelID = "1372738672943828993";
-    const channel = client.channels.cache.get(channelID);
-    channel.send(`Hello! Bot is now observing ${printer.MACHINE_NAME}! 👋`);
-
-    let reconnectAttempts = 0;
-    const maxReconnectAttempts = 10;
-    const reconnectDelay = 5000; // 5 seconds
-
-    async function tryReconnect() {
-        if (reconnectAttempts >= maxReconnectAttempts) {
-            channel.send(`❌ Could not reconnect to ${printer.MACHINE_NAME} after ${maxReconnectAttempts} attempts.`);
-            return;
-        }
-        reconnectAttempts++;
-        channel.send(`⚠️ Lost connection to ${printer.MACHINE_NAME}. Attempting to reconnect (${reconnectAttempts}/${maxReconnectAttempts})...`);
-        try {
-            await bambu.connect();
-            channel.send(`✅ Reconnected to ${printer.MACHINE_NAME}!`);
-            reconnectAttempts = 0;
-        } catch (err) {
-            setTimeout(tryReconnect, reconnectDelay);
-        }
-    }
-
-    let firstUpdate = true;
-
-    bambu.on("printer:statusUpdate", async (oldStatus, newStatus) => {
-        if (firstUpdate) {
-            firstUpdate = false;
-            return;
-        }
-        console.log(`getGcodeSettings: Printer status changed from ${oldStatus} to ${newStatus}!`);
-
-        channel.send(`${printer.MACHINE_NAME} is now ${newStatus}`);
-
-        if (newStatus != "FAILED" && newStatus != "RUNNING" && newStatus != "PAUSE" && newStatus != "FINISH") return;
-
-
-        const settingsToQuery = "total estimated time;default_filament_profile;filament used [g]";
-        const extractedSettings = await getGcodeSettings(settingsToQuery, 40000, printer);
-
-        console.log(extractedSettings);
-        
-        let messageText = "Couldn't retrieve print files...";
-        let imageAttachment;
-
-        
-        if (typeof extractedSettings === 'object' && extractedSettings !== null) { 
-
-            // Extract Image
-            const tempImageDir = path.join(__dirname, 'printer_images_temp'); 
-            let imagePathForCleanup = await captureSingleFrameFromPrinter(
-                printer.PRINTER_IP,
-                printer.ACCESS_CODE,
-                { outputDir: tempImageDir, timeoutMs: 25000 }
-            );
-
-            if (imagePathForCleanup) {
-                // console.log(`[${new Date().toISOString()}] SUCCESS: Initial image for ${printerKey} saved at ${imagePathForCleanup}`);
-                const uniqueAttachmentName = `${path.basename(imagePathForCleanup, '.jpg')}_initial_${Date.now()}.jpg`;
-                imageAttachment = new AttachmentBuilder(imagePathForCleanup, { name: uniqueAttachmentName });
-
-            }
-
-            // Create Message Payload
-            const fileName = extractedSettings["original_printer_filename"] || "N/A";
-            const printerStatus = extractedSettings["printer_gcode_state"] || "N/A"; // This is the gcode_state
-            const printTime = extractedSettings["total estimated time"] || "N/A"; // Assuming array, take first
-            const filamentType = extractedSettings["default_filament_profile"] || "N/A";
-            const filamentUsed = extractedSettings["filament used [g]"] || "N/A";
-
-            messageText = "```\n" +
-                            `Printer: ${printer.MACHINE_NAME}\n` +
-                            `File Name: ${fileName}\n` +
-                            `Status: ${printerStatus}\n\n` +
-                            `Est. Print Time: ${printTime}\n` +
-                            `Filament Type: ${filamentType}\n` +
-                            `Filament Used: ${filamentUsed}g\n` +
-                            "```";
-
-            if (imageAttachment === null) {
-                messageText += "\n(Could not retrieve printer camera image for initial display)";
-            }
-
-        } else {
-            
-        }
-        const messagePayload = { content: messageText }; // Not ephemeral so button stays        
-
-        if (imageAttachment) {
-            messagePayload.files = [imageAttachment];
-        }
-        
-        const sentMessageID = await channel.send(messagePayload);
-        // const messageToEdit = await channel.cache.get(sentMessageID);
-
+    // Posts to the channels routed with /notify for each event
+    const notifier = createNotifier(client, printer);
+    notifier.send('offline', `Hello! Bot is now observing ${printer.MACHINE_NAME}! 👋`);
 
+    // The registry reconnects on its own; only surface the outage and the recovery.
+    connection.on('disconnected', () => {
+        notifier.send('offline', `⚠️ Lost connection to ${printer.MACHINE_NAME}. Attempting to reconnect...`);
     });
 
-    bambu.on('error', (err) => {
-        console.error(`[BambuClient] Error for ${printer.MACHINE_NAME}:`, err);
-        // tryReconnect();
+    connection.on('connected', (isReconnect) => {
+        if (!isReconnect) return;
+        notifier.send('offline', `✅ Reconnected to ${printer.MACHINE_NAME}!`);
     });
 
-    bambu.on('closed', () => {
-        console.warn(`[BambuClient] Connection closed for ${printer.MACHINE_NAME}`);
-        // tryReconnect();
+    connection.on('stateChange', (oldState, newState, status) => {
+        if (newState !== 'PAUSE') return;
+        const ownerId = getOpenJob(printer.key)?.ownerId;
+        notifier.send('pause', {
+            content: `⏸️ ${printer.MACHINE_NAME} paused **${status.subtask_name || 'its print'}**.${ownerId ? ` <@${ownerId}>` : ''}`,
+            allowedMentions: { users: ownerId ? [ownerId] : [] },
+        });
     });
 
-    bambu.connect();
+    startProgressEmbeds(printer, notifier);
+    startTimelapses(printer, notifier);
+    startPrintWatchdog(printer, notifier);
+    startErrorAlerts(printer, notifier);
+    startHumidityAlerts(printer, notifier);
+    startSpoolTracking(printer, notifier);
+    startTelemetry(printer);
 }
 
 // When the client is ready, run this code (only once).
 client.once(Events.ClientReady, readyClient => {
 	console.log(`Ready! Logged in as ${readyClient.user.tag}`);
 
-    initalizePrinter(printers.P1P);
-    initalizePrinter(printers.P1S);
+    for (const error of configErrors) {
+        console.error(`[Config] ${error}`);
+    }
+
+    startJobTracking();
+
+    for (const printer of Object.values(printers)) {
+        initalizePrinter(printer);
+    }
+
+    checkNotificationRoutes(readyClient);
+    startAlertDelivery(readyClient);
+    startQueueDispatch(readyClient);
+    startCameraServer();
 });
 
 client.on(Events.MessageCreate, async message => {
@@ -196,6 +138,39 @@ client.on(Events.MessageCreate, async message => {
 })
 
 client.on(Events.InteractionCreate, async interaction => {
+    if (interaction.isAutocomplete()) {
+        const command = interaction.client.commands.get(interaction.commandName);
+        if (!command || typeof command.autocomplete !== 'function') return;
+
+        try {
+            await command.autocomplete(interaction);
+        } catch (error) {
+            console.error(`Autocomplete error for ${interaction.commandName}:`, error);
+        }
+        return;
+    }
+
+    if (interaction.isButton()) {
+        const [prefix, ...args] = interaction.customId.split(':');
+        const handler = interaction.client.buttons.get(prefix);
+
+        // Buttons without a global handler belong to a message component collector.
+        if (!handler) return;
+
+        try {
+            await handler(interaction, ...args);
+        } catch (error) {
+            console.error(`Button handler error for ${interaction.customId}:`, error);
+            const errorReply = { content: 'There was an error while handling this button!', flags: MessageFlags.Ephemeral };
+            if (interaction.replied || interaction.deferred) {
+                await interaction.followUp(errorReply).catch(() => {});
+            } else {
+                await interaction.reply(errorReply).catch(() => {});
+            }
+        }
+        return;
+    }
+
     if (!interaction.isChatInputCommand()) return;
 
     const command = interaction.client.commands.get(interaction.commandName);
@@ -220,66 +195,3 @@ client.on(Events.InteractionCreate, async interaction => {
 
 // Log in to Discord with your client's token
 client.login(token);
-
-
-
-
-
-
-const SETTINGS_TO_QUERY = "total estimated time;filament_type;";
-const TIMEOUT_MS = 90000; // 90 seconds
-
-async function fetchAndDisplayGcodeSettings() {
-    console.log(`Attempting to retrieve G-code settings for: "${SETTINGS_TO_QUERY}"`);
-    console.log(`Timeout set to: ${TIMEOUT_MS / 1000} seconds`);
-
-    try {
-        // Call the imported function
-        const extractedSettings = await getGcodeSettings(SETTINGS_TO_QUERY, TIMEOUT_MS);
-
-        if (extractedSettings) {
-            console.log("\n--- Successfully Retrieved G-code Settings ---");
-            // Iterate over the keys provided in the query to maintain order and check for all.
-            SETTINGS_TO_QUERY.split(';').forEach(requestedKey => {
-                const normalizedKey = requestedKey.trim().toLowerCase().replace(/\s+/g, ' ');
-                if (extractedSettings[normalizedKey] && extractedSettings[normalizedKey].length > 0) {
-                    console.log(`  ${normalizedKey}: ${extractedSettings[normalizedKey].join(', ')}`);
-                } else {
-                    console.log(`  ${normalizedKey}: Not found or no value.`);
-                }
-            });
-
-            // Example of accessing a specific setting directly from the result:
-            const totalTimeArray = extractedSettings["total estimated time"];
-            if (totalTimeArray && totalTimeArray.length > 0) {
-                console.log(`\n  Direct access example - Total Estimated Time: ${totalTimeArray[0]}`);
-            }
-
-        } else {
-            console.log("\n--- Could not retrieve G-code settings. ---");
-            console.log("This could be due to a timeout (no relevant print job found in time),");
-            console.log("an MQTT/FTP error, the G-code file not being found on the printer,");
-            console.log("or the specific settings not being present in the G-code file.");
-        }
-    } catch (error) {
-        console.error("\n--- An error occurred while trying to get G-code settings ---");
-        if (error instanceof Error) {
-            console.error("Error message:", error.message);
-            if (error.stack) {
-                console.error("Stack trace:", error.stack);
-            }
-        } else {
-            console.error("An unknown error occurred:", error);
-        }
-    } finally {
-        console.log("\n--- Invocation script finished ---");
-        // If this script is meant to be a one-off utility,
-        // you might want to explicitly exit the process,
-        // as the getGcodeSettings function itself tries to clean up its MQTT client.
-        // However, Node.js should exit automatically if all async operations complete.
-        // process.exit(0); // Uncomment if you need to force exit.
-    }
-}
-
-// Run the main function
-// fetchAndDisplayGcodeSettings();
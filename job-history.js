@@ -0,0 +1,237 @@
+// job-history.js
+// Records every print job seen on the shared printer connections to data/history.json.
+// Jobs are opened and closed from the MQTT `print` reports, so a job that was already
+// running when the bot started is picked up too; 3MF metadata is attached by the monitor.
+// Jobs belong to the member who started them through the bot or claimed them with /claim.
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+
+const { JsonStore } = require('./json-store.js');
+const { printers } = require('./printer-config.js');
+const { getConnection } = require('./printer-registry.js');
+const { getPrinterErrors } = require('./hms-codes.js');
+
+const ACTIVE_JOB_STATES = ['RUNNING', 'PAUSE'];
+const FINAL_JOB_STATES = ['FINISH', 'FAILED'];
+const MAX_STORED_JOBS = 5000;
+
+const store = new JsonStore('history.json', { jobs: [] });
+
+/**
+ * Emits `jobStarted` (job) and `jobEnded` (job) as jobs are opened and closed, and
+ * `jobMetadata` (job) once the 3MF details have been attached.
+ */
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+/**
+ * @typedef {object} PrintJob
+ * @property {string} id
+ * @property {string} printerKey
+ * @property {string} fileName subtask_name reported by the printer.
+ * @property {string} state Last seen gcode_state; the final state once ended.
+ * @property {string} startedAt ISO timestamp.
+ * @property {string|null} endedAt ISO timestamp.
+ * @property {number|null} estimatedSeconds From the G-code header, else the printer's first remaining-time report.
+ * @property {number|null} actualSeconds
+ * @property {number|null} filamentGrams From the G-code header.
+ * @property {string|null} filamentType Profile (or material) of the first filament used.
+ * @property {{ type: string|null, profile: string|null, grams: number|null }[]} [filaments] Usage per filament slot, from the 3MF.
+ * @property {number|null} [layerCount]
+ * @property {string|null} ownerId Discord user the job belongs to, when known.
+ * @property {string} [timelapseFile] Encoded timelapse in data/timelapses, for finished jobs.
+ * @property {import('./hms-codes.js').PrinterError & { at: string }} [lastError] Last HMS or print error reported while it ran.
+ */
+
+// Owners of prints the bot just started, applied when the printer reports the job: printerKey -> { fileName, userId, expiresAt }
+const expectedOwners = new Map();
+// The printer reports a started job within seconds; an older expectation belongs to a start that never happened.
+const EXPECTED_OWNER_TTL_MS = 10 * 60000;
+
+/**
+ * Remembers who started a print through the bot, so the job is claimed for them as soon as it shows up.
+ * @param {string} printerKey
+ * @param {string} fileName subtask_name the printer will report.
+ * @param {string} userId
+ */
+function expectJobOwner(printerKey, fileName, userId) {
+    expectedOwners.set(printerKey, { fileName, userId, expiresAt: Date.now() + EXPECTED_OWNER_TTL_MS });
+}
+
+function takeExpectedOwner(printerKey, fileName) {
+    const expected = expectedOwners.get(printerKey);
+    if (!expected) return null;
+    expectedOwners.delete(printerKey);
+    return expected.fileName === fileName && expected.expiresAt > Date.now() ? expected.userId : null;
+}
+
+function getOpenJob(printerKey) {
+    return store.load().jobs.find(job => job.printerKey === printerKey && !job.endedAt) || null;
+}
+
+function startJob(printerKey, status) {
+    const startTime = parseInt(status.gcode_start_time, 10);
+    const job = {
+        id: crypto.randomBytes(4).toString('hex'),
+        printerKey,
+        fileName: status.subtask_name,
+        state: status.gcode_state,
+        startedAt: (startTime > 0 ? new Date(startTime * 1000) : new Date()).toISOString(),
+        endedAt: null,
+        estimatedSeconds: Number.isFinite(status.mc_remaining_time) ? status.mc_remaining_time * 60 : null,
+        actualSeconds: null,
+        filamentGrams: null,
+        filamentType: null,
+        ownerId: takeExpectedOwner(printerKey, status.subtask_name),
+    };
+
+    store.update(data => {
+        data.jobs.push(job);
+        if (data.jobs.length > MAX_STORED_JOBS) {
+            data.jobs.splice(0, data.jobs.length - MAX_STORED_JOBS);
+        }
+    });
+    console.log(`[JobHistory] Started tracking "${job.fileName}" on ${printerKey}${job.ownerId ? ` for ${job.ownerId}` : ''}.`);
+    jobEvents.emit('jobStarted', job);
+    return job;
+}
+
+function endJob(job, finalState) {
+    store.update(() => {
+        job.state = finalState;
+        job.endedAt = new Date().toISOString();
+        job.actualSeconds = Math.round((Date.parse(job.endedAt) - Date.parse(job.startedAt)) / 1000);
+    });
+    console.log(`[JobHistory] "${job.fileName}" on ${job.printerKey} ended as ${finalState}.`);
+    jobEvents.emit('jobEnded', job);
+}
+
+function recordJobError(job, status) {
+    const [error] = getPrinterErrors(status);
+    if (!error || job.lastError?.code === error.code) return;
+    store.update(() => { job.lastError = { ...error, at: new Date().toISOString() }; });
+}
+
+function handleReport(printerKey, status) {
+    const state = status.gcode_state;
+    const openJob = getOpenJob(printerKey);
+
+    // Before a final state closes the job, so the error that ended it is kept.
+    if (openJob) recordJobError(openJob, status);
+
+    if (ACTIVE_JOB_STATES.includes(state) && status.subtask_name) {
+        if (openJob && openJob.fileName === status.subtask_name) {
+            if (openJob.state !== state) store.update(() => { openJob.state = state; });
+            return;
+        }
+        // A different file is printing, so whatever was open ended while we were not looking.
+        if (openJob) endJob(openJob, 'UNKNOWN');
+        startJob(printerKey, status);
+        return;
+    }
+
+    if (openJob && state && !ACTIVE_JOB_STATES.includes(state) && state !== 'PREPARE' && state !== 'SLICING') {
+        endJob(openJob, FINAL_JOB_STATES.includes(state) ? state : 'UNKNOWN');
+    }
+}
+
+/**
+ * Stores the parsed 3MF metadata on the printer's most recent job for that file.
+ * @param {string} printerKey
+ * @param {{ fileName: string, project: import('./gcode-metadata.js').ProjectMetadata }|null} jobMetadata Result of getJobMetadata.
+ */
+function attachJobMetadata(printerKey, jobMetadata) {
+    if (!jobMetadata) return;
+
+    const job = store.load().jobs.findLast(j => j.printerKey === printerKey && j.fileName === jobMetadata.fileName);
+    if (!job) return;
+
+    const { project } = jobMetadata;
+    const gcode = project.gcode || {};
+    const plate = project.plates.find(p => p.index === project.plateIndex) || {};
+
+    // slice_info.config has per-slot usage; fall back to the G-code's per-extruder lists.
+    const filaments = (plate.filaments || []).length > 0
+        ? plate.filaments.map(f => ({ type: f.type, profile: gcode.filamentProfiles?.[f.slot - 1] || null, grams: f.usedGrams }))
+        : (gcode.filamentUsedGrams || []).map((grams, i) => ({ type: gcode.filamentTypes?.[i] || null, profile: gcode.filamentProfiles?.[i] || null, grams }));
+    const filamentGrams = gcode.totalFilamentGrams ?? plate.weightGrams ?? (filaments.length > 0 ? filaments.reduce((sum, f) => sum + (f.grams || 0), 0) : null);
+
+    store.update(() => {
+        job.estimatedSeconds = gcode.totalEstimatedSeconds ?? plate.estimatedSeconds ?? job.estimatedSeconds;
+        job.filamentGrams = filamentGrams ?? job.filamentGrams;
+        job.filamentType = filaments[0]?.profile || filaments[0]?.type || job.filamentType;
+        job.filaments = filaments;
+        job.layerCount = gcode.layerCount ?? null;
+    });
+    jobEvents.emit('jobMetadata', job);
+}
+
+/**
+ * Records the timelapse encoded for a job.
+ * @param {string} jobId
+ * @param {string} timelapseFile File name inside data/timelapses.
+ */
+function attachJobTimelapse(jobId, timelapseFile) {
+    const job = store.load().jobs.find(j => j.id === jobId);
+    if (!job) return;
+    store.update(() => { job.timelapseFile = timelapseFile; });
+}
+
+/**
+ * Sets the owner of the job currently printing on a printer.
+ * @param {string} printerKey
+ * @param {string} userId
+ * @returns {PrintJob|null} The claimed job, or null when nothing is printing.
+ */
+function claimJob(printerKey, userId) {
+    const job = getOpenJob(printerKey);
+    if (!job) return null;
+    store.update(() => { job.ownerId = userId; });
+    console.log(`[JobHistory] "${job.fileName}" on ${printerKey} claimed by ${userId}.`);
+    return job;
+}
+
+/**
+ * Returns stored jobs, newest first.
+ * @param {object} [filters]
+ * @param {string} [filters.printerKey]
+ * @param {string} [filters.ownerId]
+ * @param {string} [filters.state]
+ * @param {Date} [filters.since] Only jobs started at or after this time.
+ * @returns {PrintJob[]}
+ */
+function getJobs({ printerKey, ownerId, state, since } = {}) {
+    return store.load().jobs
+        .filter(job => !printerKey || job.printerKey === printerKey)
+        .filter(job => !ownerId || job.ownerId === ownerId)
+        .filter(job => !state || job.state === state)
+        .filter(job => !since || Date.parse(job.startedAt) >= since.getTime())
+        .reverse();
+}
+
+/**
+ * Starts recording jobs from every configured printer's status stream.
+ */
+function startJobTracking() {
+    for (const printer of Object.values(printers)) {
+        getConnection(printer.key).on('report', status => {
+            try {
+                handleReport(printer.key, status);
+            } catch (error) {
+                console.error(`[JobHistory] Failed to record report from ${printer.MACHINE_NAME}:`, error);
+            }
+        });
+    }
+}
+
+module.exports = {
+    jobEvents,
+    getOpenJob,
+    getJobs,
+    claimJob,
+    expectJobOwner,
+    attachJobMetadata,
+    attachJobTimelapse,
+    startJobTracking,
+};
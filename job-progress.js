@@ -0,0 +1,291 @@
+// job-progress.js
+// Posts one rich embed per print job and edits it in place from the
+// MQTT `print` reports: progress, layers, remaining time, temperatures, fans, the sliced-model
+// preview from the 3MF and a camera snapshot refreshed every few minutes. The embed is frozen
+// with the final state when the job ends. It goes to the channels routed for `start`
+// notifications; the owner pings go to those routed for `finish` and `failure`.
+
+const fs = require('fs');
+const path = require('path');
+const { AttachmentBuilder, EmbedBuilder } = require('discord.js');
+
+const { progressSnapshotMinutes = 10 } = require('./config.json');
+const { getConnection } = require('./printer-registry.js');
+const { captureSingleFrameFromPrinter } = require('./BambuCamera.js');
+const { getJobMetadata } = require('./bambu-node-gcode-retriever.js');
+const { jobEvents, getOpenJob, attachJobMetadata } = require('./job-history.js');
+const { formatDuration } = require('./duration-utils.js');
+
+// Discord rate-limits message edits, and reports arrive every second or so.
+const MIN_EDIT_INTERVAL_MS = 30000;
+
+const STATE_COLORS = { RUNNING: 0x3498db, PAUSE: 0xf1c40f, FINISH: 0x2ecc71, FAILED: 0xe74c3c };
+
+function progressBar(percent, length = 16) {
+    const filled = Math.round((Math.min(Math.max(percent, 0), 100) / 100) * length);
+    return '▓'.repeat(filled) + '░'.repeat(length - filled);
+}
+
+// Fan speeds are reported as a 0-15 level string.
+function fanPercent(level) {
+    const value = parseInt(level, 10);
+    return Number.isFinite(value) ? `${Math.round((value / 15) * 100)}%` : 'N/A';
+}
+
+function temperature(current, target) {
+    if (!Number.isFinite(current)) return 'N/A';
+    return Number.isFinite(target) && target > 0 ? `${Math.round(current)} / ${Math.round(target)} °C` : `${Math.round(current)} °C`;
+}
+
+class JobProgressEmbed {
+    constructor(printer, notifier, job) {
+        this.printer = printer;
+        this.notifier = notifier;
+        this.job = job;
+        this.status = {};
+        this.message = null;
+        this.snapshotName = `${printer.key}_progress.jpg`;
+        this.snapshot = null; // The latest camera frame, kept in memory since the embed may be re-sent with it
+        this.previewName = `${printer.key}_preview.png`;
+        this.previewPath = null;
+        this.metadataError = null; // Why the 3MF could not be read, shown instead of its details
+        this.attachmentsChanged = false;
+        this.lastEditAt = 0;
+        this.editTimeout = null;
+        this.snapshotInterval = null;
+        this.finished = false;
+    }
+
+    async start(status) {
+        this.status = status;
+        // Also for jobs that end before the first embed is posted; the finished embed is edited once it arrives.
+        if (this.job.filamentGrams === null) {
+            this._loadGcodeMetadata();
+        }
+        await this._captureSnapshot();
+        this.message = await this.notifier.send('start', this._buildPayload());
+        this.lastEditAt = Date.now();
+
+        // The job may have ended while the first snapshot was being captured.
+        if (this.finished) {
+            await this._edit();
+            return;
+        }
+
+        if (progressSnapshotMinutes > 0) {
+            this.snapshotInterval = setInterval(async () => {
+                await this._captureSnapshot();
+                this.scheduleUpdate(this.status);
+            }, progressSnapshotMinutes * 60000);
+        }
+    }
+
+    async _loadGcodeMetadata() {
+        let jobMetadata;
+        try {
+            jobMetadata = await getJobMetadata(this.printer, 40000);
+        } catch (error) {
+            console.error(`[${new Date().toISOString()}] [Progress] No job details for ${this.printer.MACHINE_NAME}: ${error.message}`);
+            this.metadataError = error.message;
+            await this._refresh();
+            return;
+        }
+        attachJobMetadata(this.printer.key, jobMetadata);
+        if (jobMetadata && jobMetadata.thumbnailPath) {
+            this.previewPath = jobMetadata.thumbnailPath;
+            this.attachmentsChanged = true;
+        }
+        await this._refresh();
+    }
+
+    // scheduleUpdate ignores finished embeds, which still need the late metadata.
+    async _refresh() {
+        if (this.finished) await this._edit();
+        else this.scheduleUpdate(this.status);
+    }
+
+    async _captureSnapshot() {
+        try {
+            const imagePath = await captureSingleFrameFromPrinter(
+                this.printer.PRINTER_IP,
+                this.printer.ACCESS_CODE,
+                { outputDir: path.join(__dirname, 'printer_images_temp'), timeoutMs: 25000 }
+            );
+            try {
+                this.snapshot = await fs.promises.readFile(imagePath);
+            } finally {
+                await fs.promises.rm(imagePath, { force: true });
+            }
+            this.attachmentsChanged = true;
+        } catch (imageError) {
+            console.error(`[${new Date().toISOString()}] [Progress] Could not capture image from ${this.printer.MACHINE_NAME}: ${imageError.message}`);
+        }
+    }
+
+    scheduleUpdate(status) {
+        this.status = status;
+        if (!this.message || this.finished || this.editTimeout) return;
+
+        const wait = Math.max(0, this.lastEditAt + MIN_EDIT_INTERVAL_MS - Date.now());
+        this.editTimeout = setTimeout(() => {
+            this.editTimeout = null;
+            this._edit();
+        }, wait);
+    }
+
+    async _edit() {
+        if (!this.message) return;
+        this.lastEditAt = Date.now();
+        try {
+            await this.message.edit(this._buildPayload());
+        } catch (error) {
+            console.error(`[${new Date().toISOString()}] [Progress] Failed to edit progress embed for ${this.printer.MACHINE_NAME}: ${error.message}`);
+        }
+    }
+
+    async finish(job) {
+        this.job = job;
+        this.finished = true;
+        if (this.editTimeout) clearTimeout(this.editTimeout);
+        if (this.snapshotInterval) clearInterval(this.snapshotInterval);
+        this.editTimeout = null;
+        this.snapshotInterval = null;
+
+        await this._captureSnapshot();
+        await this._edit();
+    }
+
+    _buildEmbed() {
+        const status = this.status;
+        const state = this.finished ? this.job.state : (status.gcode_state || this.job.state);
+        const percent = Number.isFinite(status.mc_percent) ? status.mc_percent : 0;
+
+        const embed = new EmbedBuilder()
+            .setTitle(`🖨️ ${this.printer.MACHINE_NAME} — ${this.job.fileName}`)
+            .setColor(STATE_COLORS[state] || 0x95a5a6)
+            .setTimestamp();
+
+        const filament = this.job.filamentGrams !== null ? `${this.job.filamentGrams} g ${this.job.filamentType || ''}`.trim() : 'N/A';
+
+        if (this.finished) {
+            embed.setDescription(`**${state}** after ${formatDuration(this.job.actualSeconds)} (est. ${formatDuration(this.job.estimatedSeconds)})`)
+                .addFields(
+                    { name: 'Progress', value: `${progressBar(percent)} ${percent}%` },
+                    { name: 'Layers', value: `${status.layer_num ?? 'N/A'} / ${status.total_layer_num ?? 'N/A'}`, inline: true },
+                    { name: 'Filament', value: filament, inline: true },
+                );
+        } else {
+            const remainingSeconds = Number.isFinite(status.mc_remaining_time) ? status.mc_remaining_time * 60 : null;
+            const elapsedSeconds = (Date.now() - Date.parse(this.job.startedAt)) / 1000;
+
+            embed.setDescription(`Status: **${state}**`)
+                .addFields(
+                    { name: 'Progress', value: `${progressBar(percent)} ${percent}%` },
+                    { name: 'Layer', value: `${status.layer_num ?? 'N/A'} / ${status.total_layer_num ?? 'N/A'}`, inline: true },
+                    { name: 'Remaining', value: formatDuration(remainingSeconds), inline: true },
+                    { name: 'Elapsed', value: `${formatDuration(elapsedSeconds)} (est. ${formatDuration(this.job.estimatedSeconds)})`, inline: true },
+                    { name: 'Nozzle', value: temperature(status.nozzle_temper, status.nozzle_target_temper), inline: true },
+                    { name: 'Bed', value: temperature(status.bed_temper, status.bed_target_temper), inline: true },
+                    { name: 'Filament', value: filament, inline: true },
+                    { name: 'Fans', value: `Part ${fanPercent(status.cooling_fan_speed)} • Aux ${fanPercent(status.big_fan1_speed)} • Chamber ${fanPercent(status.big_fan2_speed)}` },
+                );
+        }
+
+        if (this.job.ownerId) {
+            embed.addFields({ name: 'Owner', value: `<@${this.job.ownerId}>`, inline: true });
+        }
+        if (this.job.lastError) {
+            embed.addFields({ name: 'Last Error', value: `${this.job.lastError.description} (\`${this.job.lastError.code}\`)` });
+        }
+        if (this.metadataError && this.job.filamentGrams === null) {
+            embed.addFields({ name: 'Job Details Unavailable', value: this.metadataError.slice(0, 1024) });
+        }
+
+        // The camera frame is the main image; the model preview takes its place when the camera is unavailable.
+        if (this.snapshot) {
+            embed.setImage(`attachment://${this.snapshotName}`);
+            if (this.previewPath) embed.setThumbnail(`attachment://${this.previewName}`);
+        } else if (this.previewPath) {
+            embed.setImage(`attachment://${this.previewName}`);
+        }
+        return embed;
+    }
+
+    _buildPayload() {
+        const payload = { embeds: [this._buildEmbed()] };
+        if (this.attachmentsChanged) {
+            payload.files = [];
+            if (this.snapshot) payload.files.push(new AttachmentBuilder(this.snapshot, { name: this.snapshotName }));
+            if (this.previewPath) payload.files.push(new AttachmentBuilder(this.previewPath, { name: this.previewName }));
+            payload.attachments = []; // Replace the previous images instead of stacking them
+            this.attachmentsChanged = false;
+        }
+        return payload;
+    }
+}
+
+// The embed edit does not notify anyone, so a separate `finish` or `failure` message follows,
+// mentioning the owner (when known) to come and clear the plate.
+function notifyOwner(printer, notifier, job) {
+    if (!['FINISH', 'FAILED'].includes(job.state)) return;
+
+    const owner = job.ownerId ? `<@${job.ownerId}>, your print` : 'The print';
+    const content = job.state === 'FINISH'
+        ? `✅ ${owner} **${job.fileName}** on ${printer.MACHINE_NAME} has finished. Please clear the plate.`
+        : `❌ ${owner} **${job.fileName}** on ${printer.MACHINE_NAME} has failed.`;
+    notifier.send(job.state === 'FINISH' ? 'finish' : 'failure', { content, allowedMentions: { users: job.ownerId ? [job.ownerId] : [] } }).catch(error => {
+        console.error(`[${new Date().toISOString()}] [Progress] Failed to send the ${job.state} notification of "${job.fileName}" on ${printer.MACHINE_NAME}: ${error.message}`);
+    });
+}
+
+async function loadEndedJobMetadata(printer, job) {
+    try {
+        attachJobMetadata(printer.key, await getJobMetadata(printer, 40000));
+    } catch (error) {
+        console.error(`[${new Date().toISOString()}] [Progress] No job details for ended job "${job.fileName}" on ${printer.MACHINE_NAME}: ${error.message}`);
+    }
+}
+
+/**
+ * Keeps a live progress embed for every job printed on `printer`.
+ * Must be started after job-history's tracking so jobs are opened before the reports arrive here.
+ * @param {object} printer Printer entry from printer-config.js.
+ * @param {ReturnType<import('./notification-router.js').createNotifier>} notifier
+ */
+function startProgressEmbeds(printer, notifier) {
+    const connection = getConnection(printer.key);
+    let current = null;
+
+    connection.on('report', status => {
+        const job = getOpenJob(printer.key);
+        if (!job) return;
+
+        if (current && current.job.id === job.id) {
+            current.scheduleUpdate(status);
+            return;
+        }
+
+        current = new JobProgressEmbed(printer, notifier, job);
+        current.start(status).catch(error => {
+            console.error(`[${new Date().toISOString()}] [Progress] Failed to post progress embed for ${printer.MACHINE_NAME}:`, error);
+        });
+    });
+
+    jobEvents.on('jobEnded', job => {
+        if (job.printerKey !== printer.key) return;
+        notifyOwner(printer, notifier, job);
+
+        if (!current || current.job.id !== job.id) {
+            // Ended before an embed was posted, e.g. while the bot was restarting.
+            if (job.filamentGrams === null) loadEndedJobMetadata(printer, job);
+            return;
+        }
+        const ended = current;
+        current = null;
+        ended.finish(job).catch(error => {
+            console.error(`[${new Date().toISOString()}] [Progress] Failed to finalize progress embed for ${printer.MACHINE_NAME}:`, error);
+        });
+    });
+}
+
+module.exports = { startProgressEmbeds };
@@ -0,0 +1,64 @@
+// json-store.js
+// Small persistent JSON document store for bot state that must survive restarts.
+// Files live in ./data and are written atomically (temp file + rename).
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, 'data');
+
+class JsonStore {
+    /**
+     * @param {string} fileName File name inside the data directory, e.g. "subscriptions.json".
+     * @param {object} defaultData Document used when the file does not exist yet.
+     */
+    constructor(fileName, defaultData = {}) {
+        this.filePath = path.join(DATA_DIR, fileName);
+        this.defaultData = defaultData;
+        this.data = null;
+    }
+
+    load() {
+        if (this.data) return this.data;
+
+        try {
+            if (fs.existsSync(this.filePath)) {
+                this.data = { ...structuredClone(this.defaultData), ...JSON.parse(fs.readFileSync(this.filePath, 'utf-8')) };
+                return this.data;
+            }
+        } catch (error) {
+            // Keep the unreadable file around for inspection instead of overwriting it on the next save.
+            const backupPath = `${this.filePath}.corrupt-${Date.now()}`;
+            console.error(`[JsonStore] Could not read ${this.filePath}, moving it to ${backupPath}: ${error.message}`);
+            try { fs.renameSync(this.filePath, backupPath); } catch (renameError) { /* ignore */ }
+        }
+
+        this.data = structuredClone(this.defaultData);
+        return this.data;
+    }
+
+    save() {
+        if (!this.data) return;
+
+        if (!fs.existsSync(DATA_DIR)) {
+            fs.mkdirSync(DATA_DIR, { recursive: true });
+        }
+
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2));
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    /**
+     * Applies `mutator` to the loaded document and saves it.
+     * @param {(data: object) => any} mutator
+     * @returns {any} Whatever `mutator` returns.
+     */
+    update(mutator) {
+        const result = mutator(this.load());
+        this.save();
+        return result;
+    }
+}
+
+module.exports = { JsonStore, DATA_DIR };
@@ -0,0 +1,266 @@
+// notification-router.js
+// Decides which channels each printer notification goes to. Every guild configures its own
+// routes with /notify: a channel gets the events it subscribed to, for one printer or all of
+// them. Guilds can also set quiet hours (in `notificationTimeZone`, by default the bot host's),
+// during which messages are posted without notifying anyone, and roles to ping on failures.
+// Settings are stored in data/notifications.json. While the guild of `monitorChannelId` from
+// config.json has no routes, everything goes to that channel, which defaults to the channel the
+// bot always posted to.
+
+const { MessageFlags } = require('discord.js');
+
+const { monitorChannelId = '1372738672943828993', notificationTimeZone = null } = require('./config.json');
+const { JsonStore } = require('./json-store.js');
+
+/** Events a route can subscribe to, with the label /notify shows for them. */
+const NOTIFICATION_EVENTS = {
+    start: 'Print started (progress embed, filament warnings)',
+    finish: 'Print finished (owner ping, timelapse)',
+    failure: 'Print failed (owner ping)',
+    watchdog: 'Possible failures spotted by the camera watchdog',
+    pause: 'Print paused',
+    error: 'Printer errors (HMS codes, AMS humidity)',
+    offline: 'Printer offline and back online',
+    queue: 'Print queue',
+    control: 'Remote printer commands log',
+};
+
+const store = new JsonStore('notifications.json', { guilds: {} });
+
+function resolveTimeZone(timeZone) {
+    if (!timeZone) return null;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return timeZone;
+    } catch (error) {
+        console.warn(`[Notify] Unknown notificationTimeZone "${timeZone}"; quiet hours use the bot host's time zone.`);
+        return null;
+    }
+}
+
+/** IANA time zone quiet hours are kept in, e.g. "Europe/Berlin"; null for the bot host's. */
+const QUIET_HOURS_TIME_ZONE = resolveTimeZone(notificationTimeZone);
+
+/**
+ * @typedef {object} NotificationRoute
+ * @property {string} channelId
+ * @property {string|null} printerKey null for every printer.
+ * @property {string[]} events Keys of NOTIFICATION_EVENTS.
+ */
+
+/**
+ * @typedef {object} GuildNotificationSettings
+ * @property {NotificationRoute[]} routes
+ * @property {{ start: string, end: string }|null} quietHours "HH:MM" in QUIET_HOURS_TIME_ZONE.
+ * @property {string[]} failureRoleIds Roles pinged on failure notifications.
+ */
+
+/**
+ * @param {string} guildId
+ * @returns {GuildNotificationSettings}
+ */
+function getGuildSettings(guildId) {
+    return { routes: [], quietHours: null, failureRoleIds: [], ...store.load().guilds[guildId] };
+}
+
+function updateGuildSettings(guildId, mutator) {
+    return store.update(data => {
+        data.guilds[guildId] = getGuildSettings(guildId);
+        return mutator(data.guilds[guildId]);
+    });
+}
+
+/**
+ * Sends `events` of one printer (or all with a null printerKey) to a channel, replacing its previous route.
+ */
+function setRoute(guildId, { channelId, printerKey = null, events }) {
+    updateGuildSettings(guildId, settings => {
+        settings.routes = settings.routes.filter(route => !(route.channelId === channelId && route.printerKey === printerKey));
+        settings.routes.push({ channelId, printerKey, events: events.filter(event => NOTIFICATION_EVENTS[event]) });
+    });
+}
+
+/**
+ * @returns {boolean} Whether a route was removed.
+ */
+function removeRoute(guildId, channelId, printerKey = null) {
+    return updateGuildSettings(guildId, settings => {
+        const before = settings.routes.length;
+        settings.routes = settings.routes.filter(route => !(route.channelId === channelId && route.printerKey === printerKey));
+        return settings.routes.length < before;
+    });
+}
+
+/**
+ * @param {{ start: string, end: string }|null} quietHours
+ */
+function setQuietHours(guildId, quietHours) {
+    updateGuildSettings(guildId, settings => { settings.quietHours = quietHours; });
+}
+
+function setFailureRole(guildId, roleId, enabled) {
+    updateGuildSettings(guildId, settings => {
+        settings.failureRoleIds = settings.failureRoleIds.filter(id => id !== roleId);
+        if (enabled) settings.failureRoleIds.push(roleId);
+    });
+}
+
+function minutesOfDay(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function minutesInTimeZone(date, timeZone) {
+    if (!timeZone) return date.getHours() * 60 + date.getMinutes();
+    const parts = new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', minute: 'numeric', hourCycle: 'h23' }).formatToParts(date);
+    const part = type => Number(parts.find(p => p.type === type).value);
+    return part('hour') * 60 + part('minute');
+}
+
+/**
+ * @param {{ start: string, end: string }|null} quietHours
+ * @param {Date} [now]
+ * @param {string|null} [timeZone] IANA time zone of the quiet hours; null for the bot host's.
+ */
+function isQuietTime(quietHours, now = new Date(), timeZone = QUIET_HOURS_TIME_ZONE) {
+    if (!quietHours) return false;
+    const start = minutesOfDay(quietHours.start);
+    const end = minutesOfDay(quietHours.end);
+    const current = minutesInTimeZone(now, timeZone);
+    // Quiet hours usually span midnight, e.g. 22:00-07:00.
+    return start <= end ? current >= start && current < end : current >= start || current < end;
+}
+
+// The `monitorChannelId` channel, while its guild has no routes of its own.
+function getFallbackChannel(discordClient) {
+    const channel = monitorChannelId ? discordClient.channels.cache.get(monitorChannelId) : null;
+    return channel && getGuildSettings(channel.guildId).routes.length === 0 ? channel : null;
+}
+
+/**
+ * The channel everything is posted to while a guild has set up no routes.
+ * @param {import('discord.js').Client} discordClient
+ * @param {string} guildId
+ * @returns {string|null} null when the guild has routes, or `monitorChannelId` is turned off or in another guild.
+ */
+function getFallbackChannelId(discordClient, guildId) {
+    const channel = getFallbackChannel(discordClient);
+    return channel && channel.guildId === guildId ? channel.id : null;
+}
+
+function getTargetChannelIds(discordClient, printerKey, event) {
+    const channelIds = new Set();
+    const fallbackChannel = getFallbackChannel(discordClient);
+    if (fallbackChannel) channelIds.add(fallbackChannel.id);
+
+    for (const settings of Object.values(store.load().guilds)) {
+        for (const route of settings.routes || []) {
+            if (route.events.includes(event) && (route.printerKey === null || route.printerKey === printerKey)) {
+                channelIds.add(route.channelId);
+            }
+        }
+    }
+    return [...channelIds];
+}
+
+function applyGuildSettings(payload, event, settings) {
+    const message = typeof payload === 'string' ? { content: payload } : { ...payload };
+    if (isQuietTime(settings.quietHours)) {
+        message.flags = MessageFlags.SuppressNotifications;
+        return message;
+    }
+    if (event === 'failure' && settings.failureRoleIds.length > 0 && message.content) {
+        message.content = `${settings.failureRoleIds.map(id => `<@&${id}>`).join(' ')} ${message.content}`;
+        // Without explicit allowed mentions Discord pings everything in the content.
+        message.allowedMentions = { ...(message.allowedMentions || { parse: ['users'] }), roles: settings.failureRoleIds };
+    }
+    return message;
+}
+
+/**
+ * The messages one notification was posted as, edited together.
+ */
+class RoutedMessage {
+    constructor(messages) {
+        this.messages = messages;
+    }
+
+    async edit(payload) {
+        const results = await Promise.allSettled(this.messages.map(message => message.edit(payload)));
+        const failure = results.find(result => result.status === 'rejected');
+        if (failure) throw failure.reason;
+    }
+}
+
+/**
+ * Posts a notification to every channel routed for `event` of the printer.
+ * @param {import('discord.js').Client} discordClient
+ * @param {string|null} printerKey null for notifications that are not about one printer.
+ * @param {keyof NOTIFICATION_EVENTS} event
+ * @param {string|import('discord.js').MessageCreateOptions} payload
+ * @returns {Promise<RoutedMessage|null>} null when no channel received it.
+ */
+async function sendNotification(discordClient, printerKey, event, payload) {
+    const messages = [];
+    for (const channelId of getTargetChannelIds(discordClient, printerKey, event)) {
+        const channel = discordClient.channels.cache.get(channelId);
+        if (!channel) {
+            console.warn(`[Notify] Channel ${channelId} not found; ${event} notification not sent there.`);
+            continue;
+        }
+        try {
+            messages.push(await channel.send(applyGuildSettings(payload, event, getGuildSettings(channel.guildId))));
+        } catch (error) {
+            console.error(`[Notify] Failed to send ${event} notification to #${channel.name || channelId}: ${error.message}`);
+        }
+    }
+    return messages.length > 0 ? new RoutedMessage(messages) : null;
+}
+
+/**
+ * Logs where notifications go when that is nowhere, or not everywhere, so a misconfigured bot
+ * does not stay silent unnoticed. Called once the client is ready.
+ * @param {import('discord.js').Client} discordClient
+ */
+function checkNotificationRoutes(discordClient) {
+    const monitorChannel = monitorChannelId ? discordClient.channels.cache.get(monitorChannelId) : null;
+    if (monitorChannelId && !monitorChannel) {
+        console.warn(`[Notify] The monitorChannelId channel ${monitorChannelId} is not reachable. Set monitorChannelId in config.json or add routes with /notify route.`);
+    }
+
+    for (const guild of discordClient.guilds.cache.values()) {
+        if (getGuildSettings(guild.id).routes.length > 0) continue;
+        if (monitorChannel && monitorChannel.guildId === guild.id) {
+            console.log(`[Notify] ${guild.name} has no /notify routes; posting every notification to #${monitorChannel.name}.`);
+        } else {
+            console.warn(`[Notify] ${guild.name} has no /notify routes, so it gets no printer notifications. Add a route with /notify route.`);
+        }
+    }
+}
+
+/**
+ * Sends the notifications of one printer; passed to the per-printer features in place of a channel.
+ * @param {import('discord.js').Client} discordClient
+ * @param {object} printer Printer entry from printer-config.js.
+ * @returns {{ send: (event: keyof NOTIFICATION_EVENTS, payload: string|import('discord.js').MessageCreateOptions) => Promise<RoutedMessage|null> }}
+ */
+function createNotifier(discordClient, printer) {
+    return {
+        send: (event, payload) => sendNotification(discordClient, printer.key, event, payload),
+    };
+}
+
+module.exports = {
+    NOTIFICATION_EVENTS,
+    QUIET_HOURS_TIME_ZONE,
+    getGuildSettings,
+    setRoute,
+    removeRoute,
+    setQuietHours,
+    setFailureRole,
+    isQuietTime,
+    getFallbackChannelId,
+    checkNotificationRoutes,
+    sendNotification,
+    createNotifier,
+};
@@ -0,0 +1,432 @@
+// print-queue.js
+// Shared print queue. Members submit sliced 3MF files, leads approve them, and whenever a
+// printer is free the next approved entry is assigned to the least-busy compatible printer:
+// its owner is pinged in a `queue` notification with a Start button, or the job is started
+// right away when `queueAutoStart` is set. An entry that is not started within
+// `queueAssignTimeoutMinutes` goes back to the queue, freeing the printer for the next one.
+// A started entry whose job the printer never reports goes back to the leads for approval.
+// Entries and their files are kept in data/.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+
+const { queueAutoStart = false, queueAssignTimeoutMinutes = 30 } = require('./config.json');
+const { JsonStore, DATA_DIR } = require('./json-store.js');
+const { printers, getPrinter, getPrinterModel } = require('./printer-config.js');
+const { getConnection } = require('./printer-registry.js');
+const { jobEvents, getJobs, getOpenJob } = require('./job-history.js');
+const { startPrintFile } = require('./printer-control.js');
+const { uploadPrinterFile } = require('./printer-storage.js');
+const { sendNotification } = require('./notification-router.js');
+const { getPlateFilaments, formatFilamentWarning } = require('./spool-inventory.js');
+
+// Lower sorts first
+const PRIORITIES = { high: 0, normal: 1, low: 2 };
+// A printer can take the next job once the previous one is done and the plate is cleared.
+const FREE_STATES = ['IDLE', 'FINISH'];
+// Also catches free printers after a restart and entries approved while nothing changed state.
+const DISPATCH_INTERVAL_MS = 60000;
+// Printers report a started job within minutes, after heating and calibration.
+const JOB_START_TIMEOUT_MS = 20 * 60000;
+const BUSY_WINDOW_DAYS = 7;
+
+const QUEUE_FILES_DIR = path.join(DATA_DIR, 'queue-files');
+
+// Custom ID prefixes routed to commands/utility/queue.js
+const QUEUE_START_BUTTON = 'queue_start';
+const QUEUE_APPROVE_BUTTON = 'queue_approve';
+
+const store = new JsonStore('queue.json', { entries: [] });
+
+/**
+ * @typedef {object} QueueEntry
+ * @property {string} id
+ * @property {string} userId Member who submitted the file.
+ * @property {string} fileName Original file name.
+ * @property {string} localFile File name of the stored copy in data/queue-files.
+ * @property {string|null} sourceUrl Attachment or link the file came from.
+ * @property {'high'|'normal'|'low'} priority
+ * @property {string|null} deadline ISO timestamp.
+ * @property {number} plate
+ * @property {string|null} printerKey Printer the member asked for; any compatible printer when null.
+ * @property {string|null} modelId printer_model_id the file was sliced for.
+ * @property {number|null} estimatedSeconds
+ * @property {{ type: string|null, grams: number|null }[]} [filaments] Filament the plate uses.
+ * @property {'pending'|'approved'|'assigned'|'starting'|'printing'} status
+ * @property {string|null} approvedBy
+ * @property {string|null} assignedPrinterKey Printer reserved for the entry while assigned, starting or printing.
+ * @property {string|null} assignedAt ISO timestamp of the assignment.
+ * @property {string|null} subtaskName Name the printer reports for the job once started.
+ * @property {string|null} [startedAt] ISO timestamp of the start command.
+ * @property {string|null} [jobId] job-history ID of the job, once the printer reports it.
+ * @property {string} createdAt ISO timestamp.
+ */
+
+function compareEntries(a, b) {
+    return (PRIORITIES[a.priority] - PRIORITIES[b.priority])
+        || (Date.parse(a.deadline || '9999-12-31') - Date.parse(b.deadline || '9999-12-31'))
+        || (Date.parse(a.createdAt) - Date.parse(b.createdAt));
+}
+
+/**
+ * Returns all queued entries in the order they will be printed.
+ * @returns {QueueEntry[]}
+ */
+function getQueue() {
+    return [...store.load().entries].sort(compareEntries);
+}
+
+function getQueueEntry(entryId) {
+    return store.load().entries.find(entry => entry.id === entryId) || null;
+}
+
+/**
+ * Adds a validated 3MF to the queue, taking ownership of the file at `localPath`.
+ * @param {object} options
+ * @param {string} options.userId
+ * @param {string} options.fileName
+ * @param {string} options.localPath Downloaded file; moved into data/queue-files.
+ * @param {string|null} [options.sourceUrl]
+ * @param {string} [options.priority]
+ * @param {Date|null} [options.deadline]
+ * @param {number} [options.plate]
+ * @param {string|null} [options.printerKey]
+ * @param {import('./gcode-metadata.js').ProjectMetadata} options.project
+ * @returns {QueueEntry}
+ */
+function addQueueEntry({ userId, fileName, localPath, sourceUrl = null, priority = 'normal', deadline = null, plate = 1, printerKey = null, project }) {
+    const id = crypto.randomBytes(4).toString('hex');
+    const localFile = `${id}.3mf`;
+    fs.mkdirSync(QUEUE_FILES_DIR, { recursive: true });
+    fs.renameSync(localPath, path.join(QUEUE_FILES_DIR, localFile));
+
+    const plateMetadata = project.plates.find(p => p.index === plate) || {};
+    const entry = {
+        id,
+        userId,
+        fileName,
+        localFile,
+        sourceUrl,
+        priority: PRIORITIES[priority] !== undefined ? priority : 'normal',
+        deadline: deadline ? deadline.toISOString() : null,
+        plate,
+        printerKey,
+        modelId: plateMetadata.printerModelId || project.printerModelId || null,
+        estimatedSeconds: plateMetadata.estimatedSeconds ?? null,
+        filaments: getPlateFilaments(project, plate),
+        status: 'pending',
+        approvedBy: null,
+        assignedPrinterKey: null,
+        assignedAt: null,
+        subtaskName: null,
+        startedAt: null,
+        jobId: null,
+        createdAt: new Date().toISOString(),
+    };
+
+    store.update(data => { data.entries.push(entry); });
+    console.log(`[PrintQueue] ${userId} queued "${fileName}" as ${id}.`);
+    return entry;
+}
+
+/**
+ * Removes an entry and its stored file.
+ * @returns {QueueEntry|null} The removed entry.
+ */
+function removeQueueEntry(entryId) {
+    const removed = store.update(data => {
+        const entry = data.entries.find(e => e.id === entryId);
+        if (!entry) return null;
+        data.entries = data.entries.filter(e => e !== entry);
+        return entry;
+    });
+    if (removed) {
+        fs.rmSync(path.join(QUEUE_FILES_DIR, removed.localFile), { force: true });
+    }
+    return removed;
+}
+
+/**
+ * Marks a pending entry as approved and dispatches the queue.
+ * @returns {QueueEntry|null} The entry, or null when it does not exist or is not pending.
+ */
+function approveQueueEntry(entryId, approverId) {
+    const entry = store.update(data => {
+        const found = data.entries.find(e => e.id === entryId && e.status === 'pending');
+        if (!found) return null;
+        found.status = 'approved';
+        found.approvedBy = approverId;
+        return found;
+    });
+    if (entry) {
+        console.log(`[PrintQueue] ${approverId} approved ${entry.id} ("${entry.fileName}").`);
+        dispatchQueue();
+    }
+    return entry;
+}
+
+function isCompatible(entry, printer) {
+    if (entry.printerKey && entry.printerKey !== printer.key) return false;
+    const printerModel = getPrinterModel(printer);
+    return !entry.modelId || !printerModel || entry.modelId === printerModel.modelId;
+}
+
+function isPrinterFree(connection, entries) {
+    return connection.connected
+        && FREE_STATES.includes(connection.gcodeState)
+        && !entries.some(entry => entry.assignedPrinterKey === connection.printer.key);
+}
+
+// Seconds printed over the last BUSY_WINDOW_DAYS, so work is spread over the fleet.
+function recentPrintSeconds(printerKey) {
+    const since = new Date(Date.now() - BUSY_WINDOW_DAYS * 86400000);
+    return getJobs({ printerKey, since }).reduce((sum, job) => sum + (job.actualSeconds || 0), 0);
+}
+
+function buildStartButton(entry) {
+    return new ButtonBuilder()
+        .setCustomId(`${QUEUE_START_BUTTON}:${entry.id}`)
+        .setLabel('▶ Start Print')
+        .setStyle(ButtonStyle.Success);
+}
+
+function buildApproveButton(entry) {
+    return new ButtonBuilder()
+        .setCustomId(`${QUEUE_APPROVE_BUTTON}:${entry.id}`)
+        .setLabel('Approve')
+        .setStyle(ButtonStyle.Primary);
+}
+
+/**
+ * Uploads an assigned entry's file to its printer and starts it.
+ * @param {QueueEntry} entry
+ * @returns {Promise<string[]>} Filament shortfalls, see startPrintFile.
+ * @throws {Error} With a message that can be shown to the user as is.
+ */
+async function startQueueEntry(entry) {
+    const printer = getPrinter(entry.assignedPrinterKey);
+    if (!printer || entry.status !== 'assigned') {
+        throw new Error('This queue entry is not waiting to be started.');
+    }
+
+    // Claimed before the first await, so a second Start press or the auto-start cannot start it twice.
+    store.update(() => { entry.status = 'starting'; });
+
+    let shortfalls;
+    try {
+        const remotePath = await uploadPrinterFile(printer, path.join(QUEUE_FILES_DIR, entry.localFile), entry.fileName);
+        // Set before the start command, as the printer may report the job before it returns.
+        store.update(() => { entry.subtaskName = path.posix.basename(remotePath, '.3mf'); });
+        // Entries queued before filaments were recorded are checked once the job's metadata is read.
+        shortfalls = await startPrintFile(printer, { filePath: remotePath, plate: entry.plate, ownerId: entry.userId, filaments: entry.filaments || null });
+    } catch (error) {
+        store.update(() => {
+            entry.status = 'assigned';
+            entry.subtaskName = null;
+        });
+        throw error;
+    }
+
+    store.update(() => {
+        entry.status = 'printing';
+        entry.startedAt = new Date().toISOString();
+    });
+    console.log(`[PrintQueue] Started ${entry.id} ("${entry.fileName}") on ${printer.MACHINE_NAME}.`);
+    return shortfalls;
+}
+
+let discordClient = null;
+
+async function notify(printer, payload) {
+    if (!discordClient) return;
+    await sendNotification(discordClient, printer ? printer.key : null, 'queue', payload);
+}
+
+async function assignEntry(entry, printer) {
+    store.update(() => {
+        entry.status = 'assigned';
+        entry.assignedPrinterKey = printer.key;
+        entry.assignedAt = new Date().toISOString();
+    });
+    console.log(`[PrintQueue] Assigned ${entry.id} ("${entry.fileName}") to ${printer.MACHINE_NAME}.`);
+
+    if (queueAutoStart) {
+        try {
+            const shortfalls = await startQueueEntry(entry);
+            await notify(printer, { content: `🤖 Started <@${entry.userId}>'s queued print **${entry.fileName}** on ${printer.MACHINE_NAME}.${formatFilamentWarning(shortfalls)}` });
+            return;
+        } catch (error) {
+            console.error(`[PrintQueue] Auto-start of ${entry.id} on ${printer.MACHINE_NAME} failed: ${error.message}`);
+        }
+    }
+
+    await notify(printer, {
+        content: `📣 <@${entry.userId}>, ${printer.MACHINE_NAME} is free and your queued print **${entry.fileName}** is next. Clear the plate, then press Start.`,
+        components: [new ActionRowBuilder().addComponents(buildStartButton(entry))],
+    });
+}
+
+/**
+ * Returns entries that were assigned longer than `queueAssignTimeoutMinutes` ago without being
+ * started to the approved ones and tells their owners.
+ * @returns {Promise<QueueEntry[]>} The returned entries.
+ */
+async function releaseExpiredAssignments() {
+    if (!queueAssignTimeoutMinutes) return [];
+
+    const cutoff = Date.now() - queueAssignTimeoutMinutes * 60000;
+    const expired = store.update(data => data.entries.filter(entry =>
+        // Entries assigned before assignedAt was recorded count from their creation.
+        entry.status === 'assigned' && Date.parse(entry.assignedAt || entry.createdAt) < cutoff
+    ).map(entry => {
+        const printerKey = entry.assignedPrinterKey;
+        entry.status = 'approved';
+        entry.assignedPrinterKey = null;
+        entry.assignedAt = null;
+        return { entry, printerKey };
+    }));
+
+    for (const { entry, printerKey } of expired) {
+        const printer = getPrinter(printerKey);
+        const printerName = printer ? printer.MACHINE_NAME : printerKey;
+        console.log(`[PrintQueue] ${entry.id} ("${entry.fileName}") was not started on ${printerName} in time; returned it to the queue.`);
+        await notify(printer, {
+            content: `⌛ <@${entry.userId}>, your queued print **${entry.fileName}** was not started on ${printerName} within ${queueAssignTimeoutMinutes} minutes. It is back in the queue and waits for the next free printer.`,
+        });
+    }
+    return expired.map(({ entry }) => entry);
+}
+
+/**
+ * Returns entries that were started more than JOB_START_TIMEOUT_MS ago without the printer ever
+ * reporting their job to the leads, freeing the printer. They need approval again, so a file the
+ * printer rejects is not started over and over.
+ * @returns {Promise<QueueEntry[]>} The returned entries.
+ */
+async function releaseUnstartedPrints() {
+    const cutoff = Date.now() - JOB_START_TIMEOUT_MS;
+    const stale = store.update(data => data.entries.filter(entry => {
+        if (entry.status !== 'printing' || entry.jobId) return false;
+        // Entries started before jobId was recorded are matched to the printer's open job.
+        const job = getOpenJob(entry.assignedPrinterKey);
+        if (job && job.fileName === entry.subtaskName) {
+            entry.jobId = job.id;
+            return false;
+        }
+        return Date.parse(entry.startedAt || entry.assignedAt || entry.createdAt) < cutoff;
+    }).map(entry => {
+        const printerKey = entry.assignedPrinterKey;
+        entry.status = 'pending';
+        entry.approvedBy = null;
+        entry.assignedPrinterKey = null;
+        entry.assignedAt = null;
+        entry.subtaskName = null;
+        entry.startedAt = null;
+        return { entry, printerKey };
+    }));
+
+    for (const { entry, printerKey } of stale) {
+        const printer = getPrinter(printerKey);
+        const printerName = printer ? printer.MACHINE_NAME : printerKey;
+        console.log(`[PrintQueue] ${printerName} never reported ${entry.id} ("${entry.fileName}") as started; returned it for approval.`);
+        await notify(printer, {
+            content: `⚠️ <@${entry.userId}>, ${printerName} was sent your queued print **${entry.fileName}** but never started it. It is back in the queue and needs approval again.`,
+            components: [new ActionRowBuilder().addComponents(buildApproveButton(entry))],
+        });
+    }
+    return stale.map(({ entry }) => entry);
+}
+
+let dispatching = false;
+
+/**
+ * Assigns approved entries, in queue order, to free compatible printers, picking the least busy one.
+ */
+async function dispatchQueue() {
+    if (dispatching || !discordClient) return;
+    dispatching = true;
+    try {
+        // Released entries sit this round out, so the printer they blocked goes to the next entry.
+        const releasedIds = (await releaseExpiredAssignments()).map(entry => entry.id);
+        await releaseUnstartedPrints();
+        const entries = getQueue();
+        const freePrinters = Object.values(printers).filter(printer => isPrinterFree(getConnection(printer.key), entries));
+
+        for (const entry of entries.filter(e => e.status === 'approved' && !releasedIds.includes(e.id))) {
+            const candidates = freePrinters.filter(printer => isCompatible(entry, printer));
+            if (candidates.length === 0) continue;
+
+            const printer = candidates.reduce((best, candidate) =>
+                recentPrintSeconds(candidate.key) < recentPrintSeconds(best.key) ? candidate : best);
+            freePrinters.splice(freePrinters.indexOf(printer), 1);
+            await assignEntry(entry, printer);
+        }
+    } catch (error) {
+        console.error('[PrintQueue] Dispatch failed:', error);
+    } finally {
+        dispatching = false;
+    }
+}
+
+function handleJobStarted(job) {
+    const entry = store.load().entries.find(e => e.assignedPrinterKey === job.printerKey);
+    if (!entry) return;
+    if (entry.subtaskName === job.fileName) {
+        store.update(() => { entry.jobId = job.id; });
+        return;
+    }
+
+    // Somebody started a different job on the reserved printer; the entry waits for the next free one.
+    store.update(() => {
+        entry.status = 'approved';
+        entry.assignedPrinterKey = null;
+        entry.assignedAt = null;
+        entry.subtaskName = null;
+    });
+    console.log(`[PrintQueue] ${job.printerKey} started "${job.fileName}" instead of ${entry.id}; returned it to the queue.`);
+}
+
+function handleJobEnded(job) {
+    const entry = store.load().entries.find(e => e.status === 'printing' && e.assignedPrinterKey === job.printerKey && e.subtaskName === job.fileName);
+    if (!entry) return;
+
+    removeQueueEntry(entry.id);
+    console.log(`[PrintQueue] ${entry.id} ("${entry.fileName}") ended as ${job.state}; removed from the queue.`);
+}
+
+/**
+ * Starts assigning queued prints to printers as they become free.
+ * @param {import('discord.js').Client} client
+ */
+function startQueueDispatch(client) {
+    discordClient = client;
+
+    for (const printer of Object.values(printers)) {
+        getConnection(printer.key).on('stateChange', (oldState, newState) => {
+            if (FREE_STATES.includes(newState)) dispatchQueue();
+        });
+    }
+    jobEvents.on('jobStarted', handleJobStarted);
+    jobEvents.on('jobEnded', handleJobEnded);
+
+    setInterval(dispatchQueue, DISPATCH_INTERVAL_MS);
+}
+
+module.exports = {
+    PRIORITIES,
+    QUEUE_START_BUTTON,
+    QUEUE_APPROVE_BUTTON,
+    getQueue,
+    getQueueEntry,
+    addQueueEntry,
+    removeQueueEntry,
+    approveQueueEntry,
+    startQueueEntry,
+    buildApproveButton,
+    dispatchQueue,
+    startQueueDispatch,
+    compareEntries,
+    isPrinterFree,
+};
@@ -0,0 +1,94 @@
+// print-stats.js
+// Aggregates recorded print jobs (job-history.js) into filament and utilization figures.
+
+const BASE_MATERIALS = ['PLA', 'PETG', 'PET', 'ABS', 'ASA', 'TPU', 'PC', 'PA', 'PVA', 'HIPS', 'PPS'];
+
+/**
+ * Reduces a slicer filament profile such as "Bambu PETG-CF @BBL X1C" to its material, e.g. "PETG-CF".
+ * @param {string|null} filamentType
+ * @returns {string}
+ */
+function materialFromProfile(filamentType) {
+    if (!filamentType) return 'Unknown';
+
+    const profile = filamentType.replace(/@.*$/, '').trim();
+    for (const word of profile.split(/\s+/)) {
+        const base = word.toUpperCase().split('-')[0];
+        if (BASE_MATERIALS.includes(base)) return word.toUpperCase();
+    }
+    return profile || 'Unknown';
+}
+
+function addTo(map, key, amount) {
+    map[key] = (map[key] || 0) + amount;
+}
+
+/**
+ * @param {import('./job-history.js').PrintJob[]} jobs Jobs to aggregate; jobs still printing are ignored.
+ * @returns {{
+ *   jobCount: number, finished: number, failed: number, successRate: number|null,
+ *   printSeconds: number, totalGrams: number,
+ *   gramsByMaterial: Object<string, number>, gramsByPrinter: Object<string, number>,
+ *   secondsByPrinter: Object<string, number>, busiestDays: { day: string, seconds: number, jobs: number }[],
+ *   byOwner: Object<string, { jobs: number, seconds: number, grams: number }>
+ * }} `byOwner` only covers jobs with an owner.
+ */
+function computeStats(jobs) {
+    const endedJobs = jobs.filter(job => job.endedAt);
+    const stats = {
+        jobCount: endedJobs.length,
+        finished: 0,
+        failed: 0,
+        successRate: null,
+        printSeconds: 0,
+        totalGrams: 0,
+        gramsByMaterial: {},
+        gramsByPrinter: {},
+        secondsByPrinter: {},
+        busiestDays: [],
+        byOwner: {},
+    };
+    const days = {};
+
+    for (const job of endedJobs) {
+        if (job.state === 'FINISH') stats.finished++;
+        if (job.state === 'FAILED') stats.failed++;
+
+        const seconds = job.actualSeconds || 0;
+        stats.printSeconds += seconds;
+        addTo(stats.secondsByPrinter, job.printerKey, seconds);
+
+        // Failed prints still used (some of) their filament, so they count at full weight as an upper bound.
+        if (job.filamentGrams) {
+            stats.totalGrams += job.filamentGrams;
+            addTo(stats.gramsByPrinter, job.printerKey, job.filamentGrams);
+
+            if (job.filaments && job.filaments.length > 0) {
+                for (const filament of job.filaments) {
+                    addTo(stats.gramsByMaterial, filament.type ? filament.type.toUpperCase() : materialFromProfile(filament.profile), filament.grams || 0);
+                }
+            } else {
+                addTo(stats.gramsByMaterial, materialFromProfile(job.filamentType), job.filamentGrams);
+            }
+        }
+
+        if (job.ownerId) {
+            const owner = stats.byOwner[job.ownerId] = stats.byOwner[job.ownerId] || { jobs: 0, seconds: 0, grams: 0 };
+            owner.jobs++;
+            owner.seconds += seconds;
+            owner.grams += job.filamentGrams || 0;
+        }
+
+        const day = new Date(job.startedAt).toDateString();
+        days[day] = days[day] || { day, seconds: 0, jobs: 0 };
+        days[day].seconds += seconds;
+        days[day].jobs++;
+    }
+
+    const judged = stats.finished + stats.failed;
+    stats.successRate = judged > 0 ? stats.finished / judged : null;
+    stats.busiestDays = Object.values(days).sort((a, b) => b.seconds - a.seconds).slice(0, 3);
+    return stats;
+}
+
+module.exports = { materialFromProfile, computeStats };
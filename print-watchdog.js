@@ -0,0 +1,318 @@
+// print-watchdog.js
+// Optional failure detection from the camera (`watchdogEnabled`). While a job is RUNNING a frame
+// is taken from the printer's shared camera stream every `watchdogIntervalSeconds`, shrunk to a
+// small grayscale image by the local ffmpeg and checked with two heuristics:
+//   - against the frame at the same layer from the last successful print of the same file, since
+//     spaghetti or a detached part makes the scene look clearly different from a good run;
+//   - for many separate changed areas since the previous check, which strands of spaghetti cause
+//     while normal printing only moves the toolhead.
+// A print that looks wrong on consecutive checks is reported as a `watchdog` notification with
+// the frame and Pause / Ignore buttons (handled by /printer). It is only a suspicion, so it does
+// not ping the roles that `failure` notifications ping. Without a working ffmpeg the watchdog stays off.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { ActionRowBuilder, AttachmentBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+
+const { watchdogEnabled = false, watchdogIntervalSeconds = 60, ffmpegPath = 'ffmpeg' } = require('./config.json');
+const { DATA_DIR } = require('./json-store.js');
+const { getConnection } = require('./printer-registry.js');
+const { grabSharedFrame } = require('./BambuCamera.js');
+const { jobEvents, getOpenJob } = require('./job-history.js');
+const { checkFfmpeg } = require('./timelapse.js');
+
+// Custom ID prefixes of the alert buttons: "watchdog_pause:<printer>:<jobId>"
+const WATCHDOG_PAUSE_BUTTON = 'watchdog_pause';
+const WATCHDOG_IGNORE_BUTTON = 'watchdog_ignore';
+
+const REFERENCES_DIR = path.join(DATA_DIR, 'watchdog-references');
+const MAX_KEPT_REFERENCES = 50;
+
+// Frames are compared at this size, small enough to check in a few milliseconds.
+const FRAME_WIDTH = 96;
+const FRAME_HEIGHT = 54;
+const FRAME_TIMEOUT_MS = 20000;
+// The first layers include calibration moves and an almost empty bed.
+const MIN_LAYER = 3;
+// Mean difference (0-1, after removing the overall brightness) that counts as "looks different".
+const REFERENCE_DIFF_LIMIT = 0.12;
+// A pixel brighter or darker than this (0-255) since the previous check counts as changed.
+const PIXEL_CHANGE_LIMIT = 40;
+const MIN_BLOB_PIXELS = 4;
+const BLOB_LIMIT = 12;
+// Checks in a row that must look wrong before alerting, so one odd frame does not.
+const STRIKES_TO_ALERT = 2;
+const ALERT_COOLDOWN_MS = 20 * 60000;
+
+const watchers = new Map(); // printerKey -> PrintWatcher
+
+/**
+ * Decodes a JPEG into FRAME_WIDTH x FRAME_HEIGHT grayscale bytes with ffmpeg.
+ * @param {Buffer} jpeg
+ * @returns {Promise<Buffer>}
+ */
+function decodeFrame(jpeg) {
+    return new Promise((resolve, reject) => {
+        const args = [
+            '-loglevel', 'error',
+            '-f', 'image2pipe', '-i', 'pipe:0',
+            '-vf', `scale=${FRAME_WIDTH}:${FRAME_HEIGHT},format=gray`,
+            '-f', 'rawvideo', 'pipe:1',
+        ];
+        const child = execFile(ffmpegPath, args, { encoding: 'buffer', timeout: FRAME_TIMEOUT_MS }, (error, stdout, stderr) => {
+            if (error) {
+                reject(new Error(error.code === 'ENOENT'
+                    ? `"${ffmpegPath}" was not found. Install ffmpeg or set ffmpegPath in config.json.`
+                    : (stderr.toString().trim() || error.message)));
+                return;
+            }
+            if (stdout.length !== FRAME_WIDTH * FRAME_HEIGHT) {
+                reject(new Error(`ffmpeg returned ${stdout.length} bytes instead of a ${FRAME_WIDTH}x${FRAME_HEIGHT} frame.`));
+                return;
+            }
+            resolve(stdout);
+        });
+        child.stdin.on('error', () => { /* reported through the exit callback */ });
+        child.stdin.end(jpeg);
+    });
+}
+
+// Subtracts the mean so the chamber light being switched or dimmed is not a difference.
+function centered(frame) {
+    let sum = 0;
+    for (const value of frame) sum += value;
+    const mean = sum / frame.length;
+    return Array.from(frame, value => value - mean);
+}
+
+function meanDifference(frame, reference) {
+    const a = centered(frame);
+    const b = centered(reference);
+    let total = 0;
+    for (let i = 0; i < a.length; i++) total += Math.abs(a[i] - b[i]);
+    return total / a.length / 255;
+}
+
+/**
+ * Counts connected areas of at least MIN_BLOB_PIXELS pixels that changed between two frames.
+ */
+function countChangedBlobs(frame, previous) {
+    const a = centered(frame);
+    const b = centered(previous);
+    const changed = new Uint8Array(a.length);
+    for (let i = 0; i < a.length; i++) changed[i] = Math.abs(a[i] - b[i]) > PIXEL_CHANGE_LIMIT ? 1 : 0;
+
+    let blobs = 0;
+    const stack = [];
+    for (let start = 0; start < changed.length; start++) {
+        if (!changed[start]) continue;
+        changed[start] = 0;
+        stack.push(start);
+        let size = 0;
+        while (stack.length > 0) {
+            const i = stack.pop();
+            size++;
+            const x = i % FRAME_WIDTH;
+            const neighbours = [i - FRAME_WIDTH, i + FRAME_WIDTH, x > 0 ? i - 1 : -1, x < FRAME_WIDTH - 1 ? i + 1 : -1];
+            for (const n of neighbours) {
+                if (n >= 0 && n < changed.length && changed[n]) {
+                    changed[n] = 0;
+                    stack.push(n);
+                }
+            }
+        }
+        if (size >= MIN_BLOB_PIXELS) blobs++;
+    }
+    return blobs;
+}
+
+function referencePath(printerKey, fileName) {
+    const fileKey = crypto.createHash('sha1').update(fileName).digest('hex').slice(0, 16);
+    return path.join(REFERENCES_DIR, `${printerKey}_${fileKey}.json`);
+}
+
+/**
+ * Frames of the last successful print of this file on this printer, keyed by layer.
+ * @returns {Map<number, Buffer>}
+ */
+function loadReference(printerKey, fileName) {
+    const filePath = referencePath(printerKey, fileName);
+    try {
+        if (!fs.existsSync(filePath)) return new Map();
+        const { layers } = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+        return new Map(Object.entries(layers).map(([layer, frame]) => [Number(layer), Buffer.from(frame, 'base64')]));
+    } catch (error) {
+        console.error(`[Watchdog] Could not read the reference frames in ${filePath}: ${error.message}`);
+        return new Map();
+    }
+}
+
+function saveReference(printerKey, fileName, frames) {
+    fs.mkdirSync(REFERENCES_DIR, { recursive: true });
+    const layers = Object.fromEntries([...frames].map(([layer, frame]) => [layer, frame.toString('base64')]));
+    fs.writeFileSync(referencePath(printerKey, fileName), JSON.stringify({ fileName, savedAt: new Date().toISOString(), layers }));
+
+    const files = fs.readdirSync(REFERENCES_DIR)
+        .map(name => ({ name, modifiedAt: fs.statSync(path.join(REFERENCES_DIR, name)).mtimeMs }))
+        .sort((a, b) => b.modifiedAt - a.modifiedAt);
+    for (const file of files.slice(MAX_KEPT_REFERENCES)) {
+        fs.rmSync(path.join(REFERENCES_DIR, file.name), { force: true });
+    }
+}
+
+class PrintWatcher {
+    constructor(printer, notifier, job) {
+        this.printer = printer;
+        this.notifier = notifier;
+        this.job = job;
+        this.reference = loadReference(printer.key, job.fileName);
+        this.frames = new Map(); // First frame seen at each layer, the next reference if this print finishes
+        this.previousFrame = null;
+        this.strikes = 0;
+        this.lastAlertAt = 0;
+        this.ignored = false;
+        this.checking = false;
+        this.interval = null;
+    }
+
+    start() {
+        this.interval = setInterval(() => {
+            if (this.checking) return;
+            this.checking = true;
+            this.check()
+                .catch(error => console.error(`[Watchdog] Check of ${this.printer.MACHINE_NAME} failed: ${error.message}`))
+                .finally(() => { this.checking = false; });
+        }, watchdogIntervalSeconds * 1000);
+        console.log(`[Watchdog] Watching "${this.job.fileName}" on ${this.printer.MACHINE_NAME}${this.reference.size > 0 ? ` against ${this.reference.size} reference frames` : ''}.`);
+    }
+
+    stop() {
+        if (this.interval) clearInterval(this.interval);
+        this.interval = null;
+    }
+
+    async check() {
+        const status = getConnection(this.printer.key).status;
+        const layer = status.layer_num;
+        if (status.gcode_state !== 'RUNNING' || !Number.isFinite(layer) || layer < MIN_LAYER) {
+            this.previousFrame = null; // Pauses and filament changes move the toolhead out of the way
+            return;
+        }
+
+        const jpeg = await grabSharedFrame(this.printer.PRINTER_IP, this.printer.ACCESS_CODE, { timeoutMs: FRAME_TIMEOUT_MS });
+        const frame = await decodeFrame(jpeg);
+        if (!this.frames.has(layer)) this.frames.set(layer, frame);
+
+        const reasons = [];
+        const reference = this.reference.get(layer);
+        if (reference) {
+            const difference = meanDifference(frame, reference);
+            if (difference > REFERENCE_DIFF_LIMIT) {
+                reasons.push(`The view differs by ${Math.round(difference * 100)}% from the last successful print of this file at layer ${layer}.`);
+            }
+        }
+        if (this.previousFrame) {
+            const blobs = countChangedBlobs(frame, this.previousFrame);
+            if (blobs >= BLOB_LIMIT) {
+                reasons.push(`${blobs} separate areas changed since the last check, which looks like loose strands.`);
+            }
+        }
+        this.previousFrame = frame;
+
+        this.strikes = reasons.length > 0 ? this.strikes + 1 : 0;
+        if (this.strikes < STRIKES_TO_ALERT || this.ignored || Date.now() - this.lastAlertAt < ALERT_COOLDOWN_MS) return;
+
+        this.lastAlertAt = Date.now();
+        await this.alert(jpeg, status, reasons);
+    }
+
+    async alert(jpeg, status, reasons) {
+        const ownerId = getOpenJob(this.printer.key)?.ownerId;
+        const lines = [
+            `⚠️ **${this.printer.MACHINE_NAME}** may have failed: **${this.job.fileName}** (layer ${status.layer_num} / ${status.total_layer_num ?? '?'}, ${status.mc_percent ?? '?'}%)`,
+            ...reasons.map(reason => `- ${reason}`),
+        ];
+        if (ownerId) lines.push(`<@${ownerId}>, please check on your print.`);
+
+        const buttonArgs = `${this.printer.key}:${this.job.id}`;
+        const row = new ActionRowBuilder().addComponents(
+            new ButtonBuilder().setCustomId(`${WATCHDOG_PAUSE_BUTTON}:${buttonArgs}`).setLabel('Pause Print').setStyle(ButtonStyle.Danger),
+            new ButtonBuilder().setCustomId(`${WATCHDOG_IGNORE_BUTTON}:${buttonArgs}`).setLabel('Ignore').setStyle(ButtonStyle.Secondary),
+        );
+
+        console.log(`[Watchdog] Possible failure on ${this.printer.MACHINE_NAME}: ${reasons.join(' ')}`);
+        await this.notifier.send('watchdog', {
+            content: lines.join('\n'),
+            files: [new AttachmentBuilder(jpeg, { name: `${this.printer.key}_watchdog_${Date.now()}.jpg` })],
+            components: [row],
+            allowedMentions: { users: ownerId ? [ownerId] : [] },
+        });
+    }
+}
+
+/**
+ * Stops alerting about a job, e.g. when someone checked the print and it is fine.
+ * @param {string} printerKey
+ * @param {string} jobId
+ * @returns {boolean} false when the job is no longer being watched.
+ */
+function ignoreWatchdogAlerts(printerKey, jobId) {
+    const watcher = watchers.get(printerKey);
+    if (!watcher || watcher.job.id !== jobId) return false;
+    watcher.ignored = true;
+    console.log(`[Watchdog] Alerts for "${watcher.job.fileName}" on ${watcher.printer.MACHINE_NAME} are ignored from now on.`);
+    return true;
+}
+
+function watchPrints(printer, notifier) {
+    getConnection(printer.key).on('report', () => {
+        const job = getOpenJob(printer.key);
+        if (!job) return;
+
+        const current = watchers.get(printer.key);
+        if (current && current.job.id === job.id) return;
+        if (current) current.stop();
+
+        const watcher = new PrintWatcher(printer, notifier, job);
+        watchers.set(printer.key, watcher);
+        watcher.start();
+    });
+
+    jobEvents.on('jobEnded', job => {
+        const watcher = watchers.get(printer.key);
+        if (!watcher || watcher.job.id !== job.id) return;
+        watcher.stop();
+        watchers.delete(printer.key);
+
+        // A good run becomes the reference for the next print of the same file.
+        if (job.state === 'FINISH' && watcher.frames.size > 0) {
+            try {
+                saveReference(printer.key, job.fileName, watcher.frames);
+            } catch (error) {
+                console.error(`[Watchdog] Could not save the reference frames of "${job.fileName}": ${error.message}`);
+            }
+        }
+    });
+}
+
+/**
+ * Watches every job printed on `printer` when `watchdogEnabled` is set.
+ * Must be started after job-history's tracking so jobs are opened before the reports arrive here.
+ * @param {object} printer Printer entry from printer-config.js.
+ * @param {ReturnType<import('./notification-router.js').createNotifier>} notifier
+ */
+function startPrintWatchdog(printer, notifier) {
+    if (!watchdogEnabled) return;
+    checkFfmpeg('Watchdog', 'The print watchdog is disabled; install ffmpeg or set ffmpegPath in config.json, or set watchdogEnabled to false to silence this.').then(found => {
+        if (found) watchPrints(printer, notifier);
+    });
+}
+
+module.exports = {
+    WATCHDOG_PAUSE_BUTTON,
+    WATCHDOG_IGNORE_BUTTON,
+    ignoreWatchdogAlerts,
+    startPrintWatchdog,
+};
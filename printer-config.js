@@ -0,0 +1,116 @@
+// printer-config.js
+// Loads the `printers` map from config.json, validates each entry and exposes the
+// fleet to the rest of the bot so adding a printer is a config edit only.
+
+const { printers: configuredPrinters = {} } = require('./config.json');
+
+const REQUIRED_PRINTER_FIELDS = ['PRINTER_IP', 'PRINTER_SERIAL', 'ACCESS_CODE'];
+
+// Serial number prefix of each model, and the printer_model_id Bambu Studio writes into slice_info.config
+const PRINTER_MODELS = [
+    { serialPrefix: '00M', modelId: 'BL-P001', name: 'X1 Carbon' },
+    { serialPrefix: '03W', modelId: 'C13', name: 'X1E' },
+    { serialPrefix: '01S', modelId: 'C11', name: 'P1P' },
+    { serialPrefix: '01P', modelId: 'C12', name: 'P1S' },
+    { serialPrefix: '039', modelId: 'N2S', name: 'A1' },
+    { serialPrefix: '030', modelId: 'N1', name: 'A1 mini' },
+];
+
+/**
+ * Validates a `printers` map from config.json.
+ * @param {object} printerMap The raw `printers` object from config.json.
+ * @returns {{ printers: Object<string, object>, errors: string[] }} The usable printers, keyed by config key, and a list of human-readable problems.
+ */
+function validatePrinterConfig(printerMap) {
+    const validPrinters = {};
+    const errors = [];
+
+    if (!printerMap || typeof printerMap !== 'object' || Array.isArray(printerMap)) {
+        errors.push('config.json is missing a "printers" object.');
+        return { printers: validPrinters, errors };
+    }
+
+    for (const [key, printer] of Object.entries(printerMap)) {
+        if (!printer || typeof printer !== 'object') {
+            errors.push(`Printer "${key}" must be an object.`);
+            continue;
+        }
+
+        const missingFields = REQUIRED_PRINTER_FIELDS.filter(field => !printer[field] && printer[field] !== 0);
+        if (missingFields.length > 0) {
+            errors.push(`Printer "${key}" is missing ${missingFields.join(', ')}.`);
+            continue;
+        }
+
+        validPrinters[key] = {
+            ...printer,
+            key,
+            MACHINE_NAME: printer.MACHINE_NAME || key,
+            ACCESS_CODE: String(printer.ACCESS_CODE),
+        };
+    }
+
+    if (Object.keys(printerMap).length === 0) {
+        errors.push('config.json "printers" is empty; no printers will be monitored.');
+    }
+
+    return { printers: validPrinters, errors };
+}
+
+const { printers, errors: configErrors } = validatePrinterConfig(configuredPrinters);
+
+function getPrinter(printerKey) {
+    return printers[printerKey] || null;
+}
+
+function getPrinterKeys() {
+    return Object.keys(printers);
+}
+
+/**
+ * The printer's model, from `MODEL_ID` in its config entry or else from its serial number.
+ * @param {object} printer
+ * @returns {{ modelId: string, name: string }|null} null when the model is not known.
+ */
+function getPrinterModel(printer) {
+    if (printer.MODEL_ID) {
+        const known = PRINTER_MODELS.find(model => model.modelId === printer.MODEL_ID);
+        return { modelId: printer.MODEL_ID, name: known ? known.name : printer.MODEL_ID };
+    }
+    const model = PRINTER_MODELS.find(m => String(printer.PRINTER_SERIAL).startsWith(m.serialPrefix));
+    return model ? { modelId: model.modelId, name: model.name } : null;
+}
+
+/**
+ * Human-readable name for a slice_info.config printer_model_id.
+ * @param {string} modelId
+ */
+function describeModelId(modelId) {
+    return PRINTER_MODELS.find(model => model.modelId === modelId)?.name || modelId;
+}
+
+/**
+ * Responds to a slash command autocomplete interaction with the configured printers.
+ * @param {import('discord.js').AutocompleteInteraction} interaction
+ */
+async function autocompletePrinters(interaction) {
+    const focusedValue = String(interaction.options.getFocused() || '').toLowerCase();
+    const choices = Object.values(printers)
+        .filter(printer => printer.key.toLowerCase().includes(focusedValue) || printer.MACHINE_NAME.toLowerCase().includes(focusedValue))
+        .slice(0, 25) // Discord caps autocomplete responses at 25 choices
+        .map(printer => ({ name: printer.MACHINE_NAME, value: printer.key }));
+
+    await interaction.respond(choices);
+}
+
+module.exports = {
+    REQUIRED_PRINTER_FIELDS,
+    printers,
+    configErrors,
+    validatePrinterConfig,
+    getPrinter,
+    getPrinterKeys,
+    getPrinterModel,
+    describeModelId,
+    autocompletePrinters,
+};
@@ -0,0 +1,191 @@
+// printer-control.js
+// MQTT requests that change what a printer is doing, the role check that guards them and
+// the audit message posted as a `control` notification for every command that was sent.
+
+const path = require('path');
+const { PermissionFlagsBits } = require('discord.js');
+
+const { controlRoleId = null } = require('./config.json');
+const { getConnection } = require('./printer-registry.js');
+const { sendNotification } = require('./notification-router.js');
+const { expectJobOwner } = require('./job-history.js');
+const { checkFilamentBeforeStart } = require('./spool-inventory.js');
+
+// A new print can only be started when nothing is printing
+const STARTABLE_STATES = ['IDLE', 'FINISH', 'FAILED'];
+
+// `param` values of the print_speed command
+const SPEED_LEVELS = { silent: '1', standard: '2', sport: '3', ludicrous: '4' };
+
+let sequenceId = 0;
+
+function buildRequest(section, fields) {
+    sequenceId = (sequenceId + 1) % 100000;
+    return { [section]: { sequence_id: String(sequenceId), ...fields } };
+}
+
+/**
+ * Remote commands by name. `states` lists the gcode_state values the command makes sense in (all when omitted);
+ * `destructive` commands need a confirmation click.
+ */
+const CONTROL_ACTIONS = {
+    pause: {
+        states: ['RUNNING'],
+        request: () => buildRequest('print', { command: 'pause' }),
+    },
+    resume: {
+        states: ['PAUSE'],
+        request: () => buildRequest('print', { command: 'resume' }),
+    },
+    stop: {
+        states: ['RUNNING', 'PAUSE', 'PREPARE'],
+        destructive: true,
+        request: () => buildRequest('print', { command: 'stop' }),
+    },
+    light: {
+        request: (mode) => buildRequest('system', {
+            command: 'ledctrl',
+            led_node: 'chamber_light',
+            led_mode: mode === 'on' ? 'on' : 'off',
+            led_on_time: 500,
+            led_off_time: 500,
+            loop_times: 0,
+            interval_time: 0,
+        }),
+    },
+    speed: {
+        states: ['RUNNING', 'PAUSE'],
+        request: (level) => buildRequest('print', { command: 'print_speed', param: SPEED_LEVELS[level] }),
+    },
+};
+
+/**
+ * Whether a guild member may send commands to printers: members with `controlRoleId` from config.json,
+ * and server administrators.
+ * @param {import('discord.js').GuildMember|null} member
+ */
+function canControlPrinters(member) {
+    if (!member || !member.permissions) return false;
+    if (member.permissions.has(PermissionFlagsBits.Administrator)) return true;
+    return Boolean(controlRoleId) && member.roles.cache.has(controlRoleId);
+}
+
+/**
+ * Returns the printer's connection if it is connected and in one of `states` (any state when omitted).
+ * @throws {Error} With a message that can be shown to the user as is.
+ */
+function requireConnection(printer, states, description) {
+    const connection = getConnection(printer.key);
+    if (!connection.connected) {
+        throw new Error(`${printer.MACHINE_NAME} is not connected right now.`);
+    }
+    const state = connection.gcodeState;
+    if (states && !states.includes(state)) {
+        throw new Error(`Cannot ${description} ${printer.MACHINE_NAME} while it is ${state || 'in an unknown state'}.`);
+    }
+    return connection;
+}
+
+function describeControlCommand(action, value) {
+    return value ? `${action} ${value}` : action;
+}
+
+/**
+ * Publishes a control command to the printer after checking that it is connected and in a state the command applies to.
+ * @param {object} printer Printer entry from printer-config.js.
+ * @param {string} action Key of CONTROL_ACTIONS.
+ * @param {string|null} [value] "on"/"off" for light, a SPEED_LEVELS key for speed.
+ * @throws {Error} With a message that can be shown to the user as is.
+ */
+async function sendControlCommand(printer, action, value = null) {
+    const definition = CONTROL_ACTIONS[action];
+    if (!definition) {
+        throw new Error(`Unknown printer command "${action}".`);
+    }
+    if (action === 'speed' && !SPEED_LEVELS[value]) {
+        throw new Error(`Unknown speed level "${value}".`);
+    }
+
+    const connection = requireConnection(printer, definition.states, describeControlCommand(action, value));
+    await connection.publish(definition.request(value));
+    console.log(`[PrinterControl] Sent ${describeControlCommand(action, value)} to ${printer.MACHINE_NAME}.`);
+}
+
+/**
+ * Starts printing a file that is already on the printer's SD card. A 3MF whose filament use is
+ * passed in is first checked against the spools loaded in the printer. Without it the check is
+ * left to the job's metadata, read once the printer reports the job, rather than downloading the
+ * whole file before every start.
+ * @param {object} printer
+ * @param {object} options
+ * @param {string} options.filePath Absolute path on the SD card, e.g. "/cache/bracket.3mf".
+ * @param {number} [options.plate=1] Plate of a 3MF project to print.
+ * @param {boolean} [options.useAms=false]
+ * @param {boolean} [options.bedLeveling=true]
+ * @param {string|null} [options.ownerId] Discord user the job is recorded for.
+ * @param {{ type: string|null, grams: number|null }[]|null} [options.filaments] Filament the plate uses, when known.
+ * @returns {Promise<string[]>} Filament shortfalls of the loaded spools, see findFilamentShortfalls; empty when not checked.
+ * @throws {Error} With a message that can be shown to the user as is.
+ */
+async function startPrintFile(printer, { filePath, plate = 1, useAms = false, bedLeveling = true, ownerId = null, filaments = null }) {
+    const connection = requireConnection(printer, STARTABLE_STATES, `start ${filePath} on`);
+    const extension = path.extname(filePath).toLowerCase();
+    const jobName = path.basename(filePath, extension);
+
+    let shortfalls = [];
+    if (extension === '.3mf' && filaments) {
+        shortfalls = checkFilamentBeforeStart(printer.key, jobName, filaments);
+    }
+
+    const request = extension === '.3mf'
+        ? buildRequest('print', {
+            command: 'project_file',
+            param: `Metadata/plate_${plate}.gcode`,
+            url: `file:///sdcard${filePath}`,
+            subtask_name: jobName,
+            project_id: '0',
+            profile_id: '0',
+            task_id: '0',
+            subtask_id: '0',
+            md5: '',
+            timelapse: false,
+            bed_type: 'auto',
+            bed_levelling: bedLeveling,
+            flow_cali: false,
+            vibration_cali: false,
+            layer_inspect: false,
+            use_ams: useAms,
+        })
+        : buildRequest('print', { command: 'gcode_file', param: filePath });
+
+    if (ownerId) expectJobOwner(printer.key, jobName, ownerId);
+    await connection.publish(request);
+    console.log(`[PrinterControl] Started ${filePath} on ${printer.MACHINE_NAME}.`);
+    return shortfalls;
+}
+
+/**
+ * Records who sent which command in the channels routed for `control` notifications.
+ * @param {import('discord.js').Client} discordClient
+ * @param {import('discord.js').User} user
+ * @param {object} printer
+ * @param {string} description e.g. "stop" or "light on".
+ */
+async function postControlAudit(discordClient, user, printer, description) {
+    await sendNotification(discordClient, printer.key, 'control', {
+        content: `🛠️ <@${user.id}> sent **${description}** to ${printer.MACHINE_NAME}.`,
+        allowedMentions: { parse: [] },
+    });
+}
+
+module.exports = {
+    CONTROL_ACTIONS,
+    SPEED_LEVELS,
+    STARTABLE_STATES,
+    canControlPrinters,
+    requireConnection,
+    describeControlCommand,
+    sendControlCommand,
+    startPrintFile,
+    postControlAudit,
+};
@@ -0,0 +1,276 @@
+// printer-registry.js
+// Owns exactly one long-lived MQTT connection per configured printer. The monitor,
+// /print and alerts subscribe to the connection's events instead of opening their
+// own BambuClient, since Bambu printers only tolerate a few MQTT sessions.
+
+const EventEmitter = require('events');
+const { BambuClient } = require('bambu-node');
+
+const { getPrinter } = require('./printer-config.js');
+
+const MIN_RECONNECT_DELAY_MS = 5000;
+const MAX_RECONNECT_DELAY_MS = 60000;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// P1-series printers send only the changed fields of nested objects such as `ams` and
+// `vt_tray`, so those are merged field by field. Arrays are always sent whole.
+function mergeReport(status, delta) {
+    const merged = { ...status };
+    for (const [key, value] of Object.entries(delta)) {
+        merged[key] = isPlainObject(value) && isPlainObject(status[key]) ? mergeReport(status[key], value) : value;
+    }
+    return merged;
+}
+
+/**
+ * A single auto-reconnecting MQTT session to one printer.
+ *
+ * Events:
+ * - `connected` (isReconnect)
+ * - `disconnected` ()
+ * - `report` (status, delta) every `print` report, with `status` being the merged latest full status
+ * - `stateChange` (oldState, newState, status) when `gcode_state` changes after the first report
+ */
+class PrinterConnection extends EventEmitter {
+    constructor(printer) {
+        super();
+        this.printer = printer;
+        this.client = null;
+        this.status = {};
+        this.connected = false;
+        this.hasConnected = false;
+        this.lastError = null;
+        this.lastReportAt = null;
+        this.reconnectAttempts = 0;
+        this.reconnectTimeout = null;
+        this.stopped = true;
+
+        // Many commands and alerts listen at once; this is not a leak.
+        this.setMaxListeners(0);
+    }
+
+    get gcodeState() {
+        return this.status.gcode_state || null;
+    }
+
+    /**
+     * True when the last connection attempt was rejected because of the serial number or access code.
+     */
+    get authFailed() {
+        const message = this.lastError && this.lastError.message ? this.lastError.message : '';
+        return /not authori[sz]ed|bad user ?name or password/i.test(message);
+    }
+
+    start() {
+        if (!this.stopped) return;
+        this.stopped = false;
+        this._connect();
+    }
+
+    stop() {
+        this.stopped = true;
+        if (this.reconnectTimeout) {
+            clearTimeout(this.reconnectTimeout);
+            this.reconnectTimeout = null;
+        }
+        this._destroyClient();
+    }
+
+    _createClient() {
+        const client = new BambuClient({
+            host: this.printer.PRINTER_IP,
+            serialNumber: this.printer.PRINTER_SERIAL,
+            accessToken: this.printer.ACCESS_CODE,
+        });
+
+        client.on('message', (topic, key, data) => {
+            if (client !== this.client || key !== 'print') return;
+            if (typeof data !== 'object' || data === null) return;
+            this._handlePrintReport(data);
+        });
+
+        client.on('client:connect', () => {
+            if (client !== this.client) return;
+            this._handleConnected();
+        });
+
+        client.on('client:disconnect', () => {
+            if (client !== this.client) return;
+            this._handleDisconnected();
+        });
+
+        client.on('client:error', (err) => {
+            if (client === this.client) this.lastError = err;
+            console.error(`[PrinterRegistry] MQTT error for ${this.printer.MACHINE_NAME}: ${err && err.message ? err.message : err}`);
+        });
+
+        return client;
+    }
+
+    async _connect() {
+        if (this.stopped) return;
+
+        this._destroyClient();
+        this.client = this._createClient();
+        const client = this.client;
+
+        try {
+            console.log(`[PrinterRegistry] Connecting to ${this.printer.MACHINE_NAME} (${this.printer.PRINTER_IP})...`);
+            await client.connect();
+            if (client === this.client) this._handleConnected();
+        } catch (err) {
+            if (client === this.client) this.lastError = err;
+            console.error(`[PrinterRegistry] Failed to connect to ${this.printer.MACHINE_NAME}: ${err && err.message ? err.message : err}`);
+            if (client === this.client) this._handleDisconnected();
+        }
+    }
+
+    _destroyClient() {
+        const client = this.client;
+        this.client = null;
+        if (!client) return;
+
+        client.removeAllListeners();
+        // Keep a no-op error listener so a late socket error cannot crash the process.
+        client.on('error', () => {});
+        try {
+            Promise.resolve(client.disconnect()).catch(() => { /* ignore */ });
+        } catch (disconnectError) { /* ignore */ }
+    }
+
+    _handleConnected() {
+        if (this.reconnectTimeout) {
+            clearTimeout(this.reconnectTimeout);
+            this.reconnectTimeout = null;
+        }
+        if (this.connected) return;
+
+        const isReconnect = this.hasConnected;
+        this.connected = true;
+        this.lastError = null;
+        this.hasConnected = true;
+        this.reconnectAttempts = 0;
+        console.log(`[PrinterRegistry] Connected to ${this.printer.MACHINE_NAME}.`);
+        this.emit('connected', isReconnect);
+    }
+
+    _handleDisconnected() {
+        if (this.connected) {
+            this.connected = false;
+            console.warn(`[PrinterRegistry] Connection lost to ${this.printer.MACHINE_NAME}.`);
+            this.emit('disconnected');
+        }
+        this._scheduleReconnect();
+    }
+
+    _scheduleReconnect() {
+        if (this.stopped || this.reconnectTimeout) return;
+
+        const delay = Math.min(MIN_RECONNECT_DELAY_MS * 2 ** this.reconnectAttempts, MAX_RECONNECT_DELAY_MS);
+        this.reconnectAttempts++;
+        console.log(`[PrinterRegistry] Reconnecting to ${this.printer.MACHINE_NAME} in ${delay / 1000} seconds (attempt ${this.reconnectAttempts})...`);
+
+        this.reconnectTimeout = setTimeout(() => {
+            this.reconnectTimeout = null;
+            // The MQTT library may have recovered by itself in the meantime.
+            if (this.connected) return;
+            this._connect();
+        }, delay);
+    }
+
+    _handlePrintReport(delta) {
+        const oldState = this.gcodeState;
+        const isFirstReport = this.lastReportAt === null;
+
+        this.status = mergeReport(this.status, delta);
+        this.lastReportAt = new Date();
+        this.emit('report', this.status, delta);
+
+        const newState = this.gcodeState;
+        if (!isFirstReport && oldState && newState && oldState !== newState) {
+            console.log(`[PrinterRegistry] ${this.printer.MACHINE_NAME} status changed from ${oldState} to ${newState}.`);
+            this.emit('stateChange', oldState, newState, this.status);
+        }
+    }
+
+    /**
+     * Resolves with the latest status once `predicate(status)` holds, checking the current status first.
+     * @param {(status: object) => boolean} predicate
+     * @param {number} [timeoutMs] Resolves with null when the predicate has not held within this time. Waits indefinitely when omitted.
+     * @returns {Promise<object|null>}
+     */
+    waitForStatus(predicate, timeoutMs) {
+        if (this.lastReportAt !== null && predicate(this.status)) {
+            return Promise.resolve(this.status);
+        }
+
+        return new Promise((resolve) => {
+            let timeoutId = null;
+
+            const onReport = (status) => {
+                if (!predicate(status)) return;
+                cleanup();
+                resolve(status);
+            };
+
+            const cleanup = () => {
+                this.off('report', onReport);
+                if (timeoutId) clearTimeout(timeoutId);
+            };
+
+            this.on('report', onReport);
+            if (timeoutMs > 0) {
+                timeoutId = setTimeout(() => {
+                    cleanup();
+                    resolve(null);
+                }, timeoutMs);
+            }
+        });
+    }
+
+    /**
+     * Publishes a raw request payload to the printer's MQTT request topic.
+     * @param {object} payload
+     */
+    async publish(payload) {
+        if (!this.client || !this.connected) {
+            throw new Error(`${this.printer.MACHINE_NAME} is not connected.`);
+        }
+        await this.client.publish(payload);
+    }
+}
+
+const connections = new Map();
+
+/**
+ * Returns the shared connection for a printer, creating and starting it on first use.
+ * @param {string} printerKey Key of the printer in config.json's `printers` map.
+ * @returns {PrinterConnection|null} null when the printer is not configured.
+ */
+function getConnection(printerKey) {
+    if (connections.has(printerKey)) return connections.get(printerKey);
+
+    const printer = getPrinter(printerKey);
+    if (!printer) return null;
+
+    const connection = new PrinterConnection(printer);
+    connections.set(printerKey, connection);
+    connection.start();
+    return connection;
+}
+
+function getConnections() {
+    return Array.from(connections.values());
+}
+
+function stopAll() {
+    for (const connection of connections.values()) {
+        connection.stop();
+    }
+    connections.clear();
+}
+
+module.exports = { PrinterConnection, getConnection, getConnections, stopAll, mergeReport };
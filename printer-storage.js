@@ -0,0 +1,220 @@
+// printer-storage.js
+// Implicit-FTPS access to a printer's SD card (user "bblp", the access code as password):
+// the shared login, the listing of printable files and uploads, plus the checks run on
+// 3MF files from Discord before they are sent to a printer.
+
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { Client } = require('basic-ftp');
+
+const { downloadHosts = [] } = require('./config.json');
+const { getPrinterModel, describeModelId } = require('./printer-config.js');
+
+const PRINTABLE_EXTENSIONS = ['.3mf', '.gcode'];
+// Bambu Studio uploads to /cache; files copied onto the card by hand sit in the root.
+const FILE_FOLDERS = ['/', '/cache'];
+// Hosts Discord serves attachments from. Links to other hosts are only downloaded when they
+// are listed in `downloadHosts`, so /queue add cannot be used to reach the bot host's network.
+const DISCORD_CDN_HOSTS = ['cdn.discordapp.com', 'media.discordapp.net'];
+const DOWNLOAD_HOSTS = [...DISCORD_CDN_HOSTS, ...downloadHosts.map(host => host.toLowerCase())];
+const DOWNLOAD_TIMEOUT_MS = 120000;
+const MAX_REDIRECTS = 5;
+
+/**
+ * Logs in to the printer's FTPS server. The caller must close the returned client.
+ * @param {object} printer Printer entry from printer-config.js.
+ * @param {object} [options]
+ * @param {boolean} [options.verbose=false] Log the FTP conversation.
+ * @returns {Promise<import('basic-ftp').Client>}
+ */
+async function openPrinterFTP(printer, { verbose = false } = {}) {
+    const client = new Client();
+    client.ftp.verbose = verbose;
+    try {
+        await client.access({
+            host: printer.PRINTER_IP,
+            user: "bblp",
+            password: printer.ACCESS_CODE,
+            port: 990,
+            secure: 'implicit',
+            secureOptions: { rejectUnauthorized: false }
+        });
+    } catch (err) {
+        client.close();
+        throw err;
+    }
+    return client;
+}
+
+/**
+ * @typedef {object} PrinterFile
+ * @property {string} path Absolute path on the SD card, e.g. "/cache/bracket.3mf".
+ * @property {string} name
+ * @property {number} size Bytes.
+ * @property {Date|null} modifiedAt
+ */
+
+/**
+ * Lists the 3MF and G-code files on the printer's SD card, newest first.
+ * @param {object} printer
+ * @returns {Promise<PrinterFile[]>}
+ */
+async function listPrinterFiles(printer) {
+    const client = await openPrinterFTP(printer);
+    try {
+        const files = [];
+        for (const folder of FILE_FOLDERS) {
+            for (const entry of await client.list(folder)) {
+                if (!entry.isFile || !PRINTABLE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) continue;
+                files.push({
+                    path: path.posix.join(folder, entry.name),
+                    name: entry.name,
+                    size: entry.size,
+                    modifiedAt: entry.modifiedAt || null,
+                });
+            }
+        }
+        return files.sort((a, b) => (b.modifiedAt?.getTime() || 0) - (a.modifiedAt?.getTime() || 0) || a.path.localeCompare(b.path));
+    } finally {
+        client.close();
+    }
+}
+
+/**
+ * Finds a file by its full path, or by its bare name when that is unambiguous.
+ * @param {PrinterFile[]} files
+ * @param {string} query
+ * @returns {PrinterFile|null}
+ */
+function findPrinterFile(files, query) {
+    const exact = files.find(file => file.path === query);
+    if (exact) return exact;
+    const byName = files.filter(file => file.name === query);
+    return byName.length === 1 ? byName[0] : null;
+}
+
+/**
+ * Uploads a local file into the printer's /cache folder, where Bambu Studio puts the files it sends.
+ * @param {object} printer
+ * @param {string} localPath
+ * @param {string} fileName Name on the printer; characters the printer may not accept are replaced.
+ * @returns {Promise<string>} Path of the uploaded file on the SD card.
+ */
+async function uploadPrinterFile(printer, localPath, fileName) {
+    const remotePath = path.posix.join('/cache', fileName.replace(/[^\w.\-]/g, '_'));
+    const client = await openPrinterFTP(printer);
+    try {
+        await client.uploadFrom(localPath, remotePath);
+    } finally {
+        client.close();
+    }
+    console.log(`[PrinterStorage] Uploaded ${fileName} to ${remotePath} on ${printer.MACHINE_NAME}.`);
+    return remotePath;
+}
+
+function isAllowedDownload(url) {
+    return url.protocol === 'https:' && !url.username && !url.password && DOWNLOAD_HOSTS.includes(url.hostname.toLowerCase());
+}
+
+// Fetches a URL, following at most MAX_REDIRECTS redirects, each of which must stay on the allowed hosts.
+async function fetchAllowed(url, signal) {
+    for (let redirects = 0; ; redirects++) {
+        if (!isAllowedDownload(url)) {
+            const otherHosts = DOWNLOAD_HOSTS.slice(DISCORD_CDN_HOSTS.length);
+            throw new Error(`Only https:// links to Discord attachments${otherHosts.length > 0 ? ` or to ${otherHosts.join(', ')}` : ''} can be downloaded.`);
+        }
+        const response = await fetch(url, { signal, redirect: 'manual' });
+        const location = response.headers.get('location');
+        if (response.status < 300 || response.status >= 400 || !location) return response;
+        if (redirects === MAX_REDIRECTS) throw new Error('The link redirects too often.');
+        url = new URL(location, url);
+    }
+}
+
+/**
+ * Downloads a Discord attachment, or a file on one of the `downloadHosts` from config.json, to a local file.
+ * @param {string} url
+ * @param {string} localPath
+ * @param {number} maxBytes Downloads larger than this are refused.
+ * @throws {Error} With a message that can be shown to the user as is.
+ */
+async function fetchToFile(url, localPath, maxBytes) {
+    const signal = AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS);
+    try {
+        const response = await fetchAllowed(new URL(url), signal);
+        if (!response.ok) {
+            throw new Error(`Download failed (HTTP ${response.status}).`);
+        }
+        const declaredSize = parseInt(response.headers.get('content-length'), 10);
+        if (declaredSize > maxBytes) {
+            throw new Error(`The file is ${formatFileSize(declaredSize)}; the limit is ${formatFileSize(maxBytes)}.`);
+        }
+
+        fs.mkdirSync(path.dirname(localPath), { recursive: true });
+        // Counted while streaming, as the declared size may be missing or wrong.
+        let received = 0;
+        await pipeline(Readable.fromWeb(response.body), async function* (chunks) {
+            for await (const chunk of chunks) {
+                received += chunk.length;
+                if (received > maxBytes) {
+                    throw new Error(`The file is larger than the limit of ${formatFileSize(maxBytes)}.`);
+                }
+                yield chunk;
+            }
+        }, fs.createWriteStream(localPath));
+    } catch (error) {
+        fs.rmSync(localPath, { force: true });
+        if (signal.aborted) {
+            throw new Error(`The download did not finish within ${DOWNLOAD_TIMEOUT_MS / 1000} seconds.`);
+        }
+        if (error instanceof TypeError) {
+            // Invalid URLs and network errors
+            throw new Error(`Download failed (${error.cause?.message || error.message}).`);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Checks that a sliced 3MF has the requested plate and, when a printer is given, was sliced for its model.
+ * @param {import('./gcode-metadata.js').ProjectMetadata} project
+ * @param {object|null} printer
+ * @param {number} plate
+ * @returns {string|null} Why it cannot be printed, or null when it can.
+ */
+function checkProjectForPrinter(project, printer, plate) {
+    if (project.plates.length === 0) {
+        return 'This 3MF has no sliced plates. In Bambu Studio, slice it and use "Export plate sliced file" (or "Export all sliced file").';
+    }
+    if (!project.plates.some(p => p.index === plate)) {
+        return `This 3MF has no sliced plate ${plate}. Sliced plates: ${project.plates.map(p => p.index).join(', ')}.`;
+    }
+    if (!printer) return null;
+
+    const printerModel = getPrinterModel(printer);
+    const slicedFor = project.plates.find(p => p.index === plate).printerModelId || project.printerModelId;
+    if (printerModel && slicedFor && slicedFor !== printerModel.modelId) {
+        return `This file was sliced for a ${describeModelId(slicedFor)}, but ${printer.MACHINE_NAME} is a ${printerModel.name}. Re-slice it for the right printer.`;
+    }
+    return null;
+}
+
+function formatFileSize(bytes) {
+    if (!Number.isFinite(bytes)) return '?';
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+module.exports = {
+    PRINTABLE_EXTENSIONS,
+    openPrinterFTP,
+    listPrinterFiles,
+    findPrinterFile,
+    uploadPrinterFile,
+    fetchToFile,
+    checkProjectForPrinter,
+    formatFileSize,
+};
@@ -0,0 +1,318 @@
+// spool-inventory.js
+// Local inventory of filament spools in data/spools.json. A spool can be loaded into a printer
+// tray (see ams-status.js for tray names); when a job finishes, the grams the G-code says each
+// filament used are deducted from the spools in the trays the printer fed from (once the 3MF has
+// been read, when the job ended before that). Prints the bot starts are checked for enough
+// filament before they are sent; other jobs are checked once their 3MF has been read, and a
+// `start` notification warns when a spool will run short. Each job is checked only once, also
+// across restarts.
+
+const crypto = require('crypto');
+
+const { JsonStore } = require('./json-store.js');
+const { getPrinter } = require('./printer-config.js');
+const { getConnection } = require('./printer-registry.js');
+const { jobEvents, getOpenJob } = require('./job-history.js');
+const { EXTERNAL_TRAY, getActiveTrayId, getAmsUnits, getExternalTray } = require('./ams-status.js');
+
+const store = new JsonStore('spools.json', { spools: [], checkedJobs: [] });
+
+// Filament checks remembered in spools.json, so metadata read again after a restart does not warn twice.
+const MAX_CHECKED_JOBS = 50;
+// A print started by the bot opens its job within this time of the check made before sending it.
+const START_CHECK_MATCH_MS = 10 * 60000;
+
+/**
+ * @typedef {object} FilamentCheck
+ * @property {string} printerKey
+ * @property {string} fileName Job name the printer reports for the file.
+ * @property {string|null} jobId null until the checked print has opened its job.
+ * @property {string} checkedAt ISO timestamp.
+ */
+
+/**
+ * @typedef {object} Spool
+ * @property {string} id
+ * @property {string} material e.g. "PLA" or "PETG-CF"
+ * @property {string|null} color
+ * @property {string|null} brand
+ * @property {number} initialGrams Filament on the spool when it was added.
+ * @property {number} remainingGrams
+ * @property {string|null} printerKey Printer it is loaded in.
+ * @property {string|null} trayId Tray it is loaded in, e.g. "A1" or "EXT".
+ * @property {string} addedBy Discord user ID.
+ * @property {string} addedAt ISO timestamp.
+ */
+
+/**
+ * @returns {Spool[]} Loaded spools first, then by remaining filament.
+ */
+function getSpools() {
+    return [...store.load().spools].sort((a, b) =>
+        (Boolean(b.printerKey) - Boolean(a.printerKey)) || (a.remainingGrams - b.remainingGrams));
+}
+
+function getSpool(spoolId) {
+    return store.load().spools.find(spool => spool.id === spoolId) || null;
+}
+
+function getLoadedSpool(printerKey, trayId) {
+    return store.load().spools.find(spool => spool.printerKey === printerKey && spool.trayId === trayId) || null;
+}
+
+/**
+ * @returns {Spool}
+ */
+function addSpool({ material, grams, color = null, brand = null, userId }) {
+    const spool = {
+        id: crypto.randomBytes(3).toString('hex'),
+        material: material.trim().toUpperCase(),
+        color,
+        brand,
+        initialGrams: grams,
+        remainingGrams: grams,
+        printerKey: null,
+        trayId: null,
+        addedBy: userId,
+        addedAt: new Date().toISOString(),
+    };
+    store.update(data => { data.spools.push(spool); });
+    console.log(`[Spools] ${userId} added ${spool.material} spool ${spool.id} with ${grams} g.`);
+    return spool;
+}
+
+/**
+ * Loads a spool into a printer tray, unloading whatever spool was there. A null printer unloads it.
+ * @returns {{ spool: Spool, replaced: Spool|null }|null} null when the spool does not exist.
+ */
+function loadSpool(spoolId, printerKey, trayId) {
+    const spool = getSpool(spoolId);
+    if (!spool) return null;
+
+    const replaced = printerKey ? getLoadedSpool(printerKey, trayId) : null;
+    store.update(() => {
+        if (replaced && replaced !== spool) {
+            replaced.printerKey = null;
+            replaced.trayId = null;
+        }
+        spool.printerKey = printerKey;
+        spool.trayId = printerKey ? trayId : null;
+    });
+    return { spool, replaced: replaced !== spool ? replaced : null };
+}
+
+/**
+ * Pairs each filament a job uses with the tray it most likely came from: trays the printer fed
+ * from during the job with the same material, in the order they were used.
+ * @param {{ type: string|null, grams: number|null }[]} filaments
+ * @param {string[]} usedTrayIds
+ * @param {object} status Current report, for the material in each tray.
+ * @returns {{ filament: object, trayId: string|null }[]}
+ */
+function matchFilamentsToTrays(filaments, usedTrayIds, status) {
+    const trayTypes = new Map();
+    for (const unit of getAmsUnits(status)) {
+        for (const tray of unit.trays) trayTypes.set(tray.trayId, tray.type);
+    }
+    const externalTray = getExternalTray(status);
+    if (externalTray) trayTypes.set(EXTERNAL_TRAY, externalTray.type);
+
+    const remaining = [...usedTrayIds];
+    return filaments.map(filament => {
+        let index = remaining.findIndex(trayId => (trayTypes.get(trayId) || '').toUpperCase() === (filament.type || '').toUpperCase());
+        // A single filament from a single tray needs no material match (custom materials are named freely).
+        if (index === -1 && filaments.length === 1 && remaining.length === 1) index = 0;
+        return { filament, trayId: index === -1 ? null : remaining.splice(index, 1)[0] };
+    });
+}
+
+function jobFilaments(job) {
+    if (job.filaments && job.filaments.length > 0) return job.filaments.filter(f => f.grams > 0);
+    return job.filamentGrams ? [{ type: job.filamentType, grams: job.filamentGrams }] : [];
+}
+
+function deductJobFilament(printerKey, job, usedTrayIds, status) {
+    const filaments = jobFilaments(job);
+    if (filaments.length === 0) {
+        console.warn(`[Spools] No filament usage known for "${job.fileName}" on ${printerKey}; nothing deducted.`);
+        return;
+    }
+
+    for (const { filament, trayId } of matchFilamentsToTrays(filaments, usedTrayIds, status)) {
+        const spool = trayId ? getLoadedSpool(printerKey, trayId) : null;
+        if (!spool) {
+            console.warn(`[Spools] No spool registered for ${filament.grams} g of ${filament.type || 'filament'} used by "${job.fileName}" on ${printerKey}.`);
+            continue;
+        }
+        store.update(() => {
+            spool.remainingGrams = Math.max(0, Math.round((spool.remainingGrams - filament.grams) * 10) / 10);
+        });
+        console.log(`[Spools] Deducted ${filament.grams} g from spool ${spool.id} (${trayId}, ${spool.remainingGrams} g left).`);
+    }
+}
+
+/**
+ * Filament each slot of a sliced plate uses, in the form findFilamentShortfalls takes.
+ * @param {import('./gcode-metadata.js').ProjectMetadata} project
+ * @param {number} plate
+ * @returns {{ type: string|null, grams: number|null }[]}
+ */
+function getPlateFilaments(project, plate) {
+    return (project.plates.find(p => p.index === plate)?.filaments || []).map(f => ({ type: f.type, grams: f.usedGrams }));
+}
+
+function hasLoadedSpools(printerKey) {
+    return store.load().spools.some(spool => spool.printerKey === printerKey);
+}
+
+function rememberCheck(data, check) {
+    data.checkedJobs.push(check);
+    data.checkedJobs = data.checkedJobs.slice(-MAX_CHECKED_JOBS);
+}
+
+/**
+ * Checks a print that is about to be started against the loaded spools, and remembers that its
+ * job was checked.
+ * @param {string} printerKey
+ * @param {string} fileName Job name the printer will report, i.e. the file name without extension.
+ * @param {{ type: string|null, grams: number|null }[]} filaments
+ * @returns {string[]} As findFilamentShortfalls.
+ */
+function checkFilamentBeforeStart(printerKey, fileName, filaments) {
+    store.update(data => rememberCheck(data, { printerKey, fileName, jobId: null, checkedAt: new Date().toISOString() }));
+    return findFilamentShortfalls(printerKey, filaments);
+}
+
+// Marks a job as checked; false when it was already, before it started or before a restart.
+function markJobChecked(job) {
+    return store.update(data => {
+        if (data.checkedJobs.some(check => check.jobId === job.id)) return false;
+
+        const startCheck = data.checkedJobs.findLast(check => check.jobId === null
+            && check.printerKey === job.printerKey
+            && check.fileName === job.fileName
+            && Math.abs(Date.parse(job.startedAt) - Date.parse(check.checkedAt)) < START_CHECK_MATCH_MS);
+        if (startCheck) {
+            startCheck.jobId = job.id;
+            return false;
+        }
+        rememberCheck(data, { printerKey: job.printerKey, fileName: job.fileName, jobId: job.id, checkedAt: new Date().toISOString() });
+        return true;
+    });
+}
+
+/**
+ * Filaments of a job that the loaded spools of that material cannot cover.
+ * @param {string} printerKey
+ * @param {{ type: string|null, grams: number|null }[]} filaments
+ * @returns {string[]} One line per shortfall; empty when every filament is covered or no spools are registered.
+ */
+function findFilamentShortfalls(printerKey, filaments) {
+    return compareFilamentsToSpools(filaments, store.load().spools.filter(spool => spool.printerKey === printerKey));
+}
+
+/**
+ * findFilamentShortfalls for a given set of loaded spools.
+ * @param {{ type: string|null, grams: number|null }[]} filaments
+ * @param {Spool[]} loaded
+ * @returns {string[]}
+ */
+function compareFilamentsToSpools(filaments, loaded) {
+    const shortfalls = [];
+    for (const filament of filaments) {
+        if (!filament.grams) continue;
+        const candidates = loaded.filter(spool => spool.material === (filament.type || '').toUpperCase());
+        if (candidates.length === 0) continue;
+        const best = candidates.reduce((a, b) => (b.remainingGrams > a.remainingGrams ? b : a));
+        if (best.remainingGrams < filament.grams) {
+            shortfalls.push(`Needs ${filament.grams} g of ${filament.type}, but the fullest loaded ${filament.type} spool (\`${best.id}\` in ${best.trayId}) has ${best.remainingGrams} g left.`);
+        }
+    }
+    return shortfalls;
+}
+
+/**
+ * Shortfalls as lines to append to a message.
+ * @param {string[]} shortfalls From findFilamentShortfalls.
+ * @returns {string} Empty when there are none.
+ */
+function formatFilamentWarning(shortfalls) {
+    return shortfalls.map(line => `\n⚠️ ${line}`).join('');
+}
+
+/**
+ * Keeps the spools loaded in `printer` up to date and warns about jobs that will run out.
+ * Must be started after job-history's tracking so jobs are opened before the reports arrive here.
+ * @param {object} printer Printer entry from printer-config.js.
+ * @param {ReturnType<import('./notification-router.js').createNotifier>} notifier
+ */
+function startSpoolTracking(printer, notifier) {
+    const connection = getConnection(printer.key);
+    // Trays fed from during the current job, in the order they were first used
+    let usedTrays = { jobId: null, trayIds: [] };
+    // A finished job whose filament use is not known until its 3MF has been read
+    let awaitingMetadata = null;
+
+    connection.on('report', status => {
+        const job = getOpenJob(printer.key);
+        if (!job || status.gcode_state !== 'RUNNING') return;
+        if (usedTrays.jobId !== job.id) usedTrays = { jobId: job.id, trayIds: [] };
+
+        const trayId = getActiveTrayId(status) || (getAmsUnits(status).length === 0 ? EXTERNAL_TRAY : null);
+        if (trayId && !usedTrays.trayIds.includes(trayId)) usedTrays.trayIds.push(trayId);
+    });
+
+    jobEvents.on('jobMetadata', job => {
+        if (job.printerKey !== printer.key) return;
+        if (awaitingMetadata && awaitingMetadata.jobId === job.id) {
+            deductJobFilament(printer.key, job, awaitingMetadata.trayIds, connection.status);
+            awaitingMetadata = null;
+            return;
+        }
+        if (job.endedAt || !markJobChecked(job)) return;
+
+        const shortfalls = findFilamentShortfalls(printer.key, jobFilaments(job));
+        if (shortfalls.length === 0) return;
+
+        const owner = job.ownerId ? ` <@${job.ownerId}>` : '';
+        notifier.send('start', {
+            content: `🧵 **${job.fileName}** on ${printer.MACHINE_NAME} may run out of filament:${owner}\n${shortfalls.map(line => `- ${line}`).join('\n')}`,
+            allowedMentions: { users: job.ownerId ? [job.ownerId] : [] },
+        }).catch(error => console.error(`[Spools] Failed to post filament warning for ${printer.MACHINE_NAME}: ${error.message}`));
+    });
+
+    jobEvents.on('jobEnded', job => {
+        if (job.printerKey !== printer.key || job.state !== 'FINISH') return;
+        const trayIds = usedTrays.jobId === job.id ? usedTrays.trayIds : [];
+        usedTrays = { jobId: null, trayIds: [] };
+        if (jobFilaments(job).length === 0) {
+            awaitingMetadata = { jobId: job.id, trayIds };
+            console.log(`[Spools] "${job.fileName}" on ${printer.MACHINE_NAME} finished before its filament use was read; deducting once it is.`);
+            return;
+        }
+        deductJobFilament(printer.key, job, trayIds, connection.status);
+    });
+}
+
+function describeSpool(spool) {
+    const name = [spool.brand, spool.material, spool.color].filter(Boolean).join(' ');
+    const where = spool.printerKey ? ` • ${getPrinter(spool.printerKey)?.MACHINE_NAME || spool.printerKey} ${spool.trayId}` : '';
+    return `\`${spool.id}\` ${name} — **${spool.remainingGrams} g** of ${spool.initialGrams} g${where}`;
+}
+
+module.exports = {
+    getSpools,
+    getSpool,
+    getLoadedSpool,
+    addSpool,
+    loadSpool,
+    getPlateFilaments,
+    hasLoadedSpools,
+    checkFilamentBeforeStart,
+    findFilamentShortfalls,
+    compareFilamentsToSpools,
+    matchFilamentsToTrays,
+    formatFilamentWarning,
+    describeSpool,
+    startSpoolTracking,
+};
@@ -0,0 +1,286 @@
+// telemetry-chart.js
+// Draws telemetry samples as a PNG line chart without a browser or canvas library: lines are
+// rasterised into an RGB buffer, axis labels use a built-in 5x7 pixel font (digits only) and
+// the image is encoded with zlib. Temperatures go in the top panel and fan speeds and print
+// speed in percent in the bottom one; set temperatures are drawn as dim lines behind the
+// measured ones. Series names and units are left to the Discord embed around the image.
+
+const zlib = require('zlib');
+
+const WIDTH = 960;
+const HEIGHT = 540;
+const MARGIN = { left: 60, right: 16, top: 16, bottom: 36 };
+const PANEL_GAP = 28;
+const TOP_PANEL_SHARE = 0.62;
+
+const BACKGROUND = [30, 31, 34];
+const GRID = [58, 60, 66];
+const LABEL = [181, 186, 193];
+const TARGET_DIM = 0.45;
+
+const HOUR_MS = 3600000;
+const X_STEPS_MS = [5, 10, 15, 30].map(m => m * 60000).concat([1, 2, 3, 6, 12, 24, 48].map(h => h * HOUR_MS));
+const MAX_X_TICKS = 8;
+
+/**
+ * Chart series. Colours match the square emoji in `swatch` so the embed can act as the legend.
+ */
+const TELEMETRY_SERIES = [
+    { key: 'nozzle', label: 'Nozzle', unit: '°C', panel: 0, swatch: '🟥', color: [221, 46, 68], targetKey: 'nozzleTarget' },
+    { key: 'bed', label: 'Bed', unit: '°C', panel: 0, swatch: '🟧', color: [244, 144, 12], targetKey: 'bedTarget' },
+    { key: 'chamber', label: 'Chamber', unit: '°C', panel: 0, swatch: '🟩', color: [120, 177, 89] },
+    { key: 'partFan', label: 'Part fan', unit: '%', panel: 1, swatch: '🟦', color: [85, 172, 238] },
+    { key: 'auxFan', label: 'Aux fan', unit: '%', panel: 1, swatch: '🟪', color: [170, 142, 214] },
+    { key: 'chamberFan', label: 'Chamber fan', unit: '%', panel: 1, swatch: '🟫', color: [193, 105, 79] },
+    { key: 'speed', label: 'Print speed', unit: '%', panel: 1, swatch: '⬜', color: [230, 231, 232] },
+];
+
+// 5x7 glyphs, one string of five pixels per row
+const FONT = {
+    '0': ['01110', '10001', '10011', '10101', '11001', '10001', '01110'],
+    '1': ['00100', '01100', '00100', '00100', '00100', '00100', '01110'],
+    '2': ['01110', '10001', '00001', '00010', '00100', '01000', '11111'],
+    '3': ['11111', '00010', '00100', '00010', '00001', '10001', '01110'],
+    '4': ['00010', '00110', '01010', '10010', '11111', '00010', '00010'],
+    '5': ['11111', '10000', '11110', '00001', '00001', '10001', '01110'],
+    '6': ['00110', '01000', '10000', '11110', '10001', '10001', '01110'],
+    '7': ['11111', '00001', '00010', '00100', '01000', '01000', '01000'],
+    '8': ['01110', '10001', '10001', '01110', '10001', '10001', '01110'],
+    '9': ['01110', '10001', '10001', '01111', '00001', '00010', '01100'],
+    ':': ['00000', '01100', '01100', '00000', '01100', '01100', '00000'],
+    '-': ['00000', '00000', '00000', '11111', '00000', '00000', '00000'],
+    '.': ['00000', '00000', '00000', '00000', '00000', '01100', '01100'],
+};
+const FONT_SCALE = 2;
+const GLYPH_WIDTH = 6 * FONT_SCALE;
+const GLYPH_HEIGHT = 7 * FONT_SCALE;
+
+class Raster {
+    constructor(width, height, background) {
+        this.width = width;
+        this.height = height;
+        this.pixels = Buffer.alloc(width * height * 3);
+        this.fillRect(0, 0, width, height, background);
+    }
+
+    setPixel(x, y, color) {
+        x = Math.round(x);
+        y = Math.round(y);
+        if (x < 0 || y < 0 || x >= this.width || y >= this.height) return;
+        const offset = (y * this.width + x) * 3;
+        this.pixels[offset] = color[0];
+        this.pixels[offset + 1] = color[1];
+        this.pixels[offset + 2] = color[2];
+    }
+
+    fillRect(x, y, width, height, color) {
+        for (let row = y; row < y + height; row++) {
+            for (let column = x; column < x + width; column++) this.setPixel(column, row, color);
+        }
+    }
+
+    line(x0, y0, x1, y1, color, thickness = 1) {
+        const steps = Math.max(Math.abs(x1 - x0), Math.abs(y1 - y0), 1);
+        for (let i = 0; i <= steps; i++) {
+            const x = x0 + ((x1 - x0) * i) / steps;
+            const y = y0 + ((y1 - y0) * i) / steps;
+            this.fillRect(Math.round(x), Math.round(y), thickness, thickness, color);
+        }
+    }
+
+    text(x, y, text, color) {
+        for (const [index, char] of [...text].entries()) {
+            const glyph = FONT[char];
+            if (!glyph) continue;
+            glyph.forEach((row, rowIndex) => {
+                for (let column = 0; column < row.length; column++) {
+                    if (row[column] === '1') {
+                        this.fillRect(x + index * GLYPH_WIDTH + column * FONT_SCALE, y + rowIndex * FONT_SCALE, FONT_SCALE, FONT_SCALE, color);
+                    }
+                }
+            });
+        }
+    }
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+function encodePng(raster) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(raster.width, 0);
+    header.writeUInt32BE(raster.height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 2; // truecolour RGB
+
+    // Each scanline starts with its filter type (0, none).
+    const rowLength = raster.width * 3;
+    const scanlines = Buffer.alloc((rowLength + 1) * raster.height);
+    for (let y = 0; y < raster.height; y++) {
+        raster.pixels.copy(scanlines, y * (rowLength + 1) + 1, y * rowLength, (y + 1) * rowLength);
+    }
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(scanlines)),
+        pngChunk('IEND', Buffer.alloc(0)),
+    ]);
+}
+
+function dim(color) {
+    return color.map((channel, i) => Math.round(BACKGROUND[i] + (channel - BACKGROUND[i]) * TARGET_DIM));
+}
+
+function niceStep(range, maxTicks) {
+    const rough = range / maxTicks;
+    const magnitude = 10 ** Math.floor(Math.log10(rough));
+    return [1, 2, 5, 10].map(f => f * magnitude).find(step => step >= rough);
+}
+
+// Windows hold tens of thousands of samples, too many to spread into Math.min/max.
+function extent(values) {
+    return values.reduce((range, value) => ({ min: Math.min(range.min, value), max: Math.max(range.max, value) }), { min: Infinity, max: -Infinity });
+}
+
+function formatNumber(value) {
+    return String(Math.round(value * 10) / 10);
+}
+
+function formatTick(time, stepMs) {
+    const date = new Date(time);
+    const pad = n => String(n).padStart(2, '0');
+    return stepMs >= 24 * HOUR_MS
+        ? `${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+        : `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Series with at least one value in `samples`, with their range and latest value.
+ * @param {import('./telemetry.js').TelemetrySample[]} samples
+ * @returns {(typeof TELEMETRY_SERIES[number] & { min: number, max: number, last: number })[]}
+ */
+function summarizeSeries(samples) {
+    const summaries = [];
+    for (const series of TELEMETRY_SERIES) {
+        const values = samples.map(sample => sample[series.key]).filter(Number.isFinite);
+        if (values.length === 0) continue;
+        summaries.push({ ...series, ...extent(values), last: values[values.length - 1] });
+    }
+    return summaries;
+}
+
+function panelRange(panel, samples, seriesList) {
+    const values = [];
+    for (const series of seriesList) {
+        for (const sample of samples) {
+            if (Number.isFinite(sample[series.key])) values.push(sample[series.key]);
+            if (series.targetKey && sample[series.targetKey] > 0) values.push(sample[series.targetKey]);
+        }
+    }
+    if (panel === 1) {
+        // Percentages always show the full 0-100 scale; ludicrous speed goes above it.
+        return { min: 0, max: Math.max(100, Math.ceil(extent(values).max / 50) * 50) };
+    }
+    let { min, max } = values.length > 0 ? extent(values) : { min: 0, max: 100 };
+    if (max - min < 10) {
+        min -= 5;
+        max += 5;
+    }
+    const step = niceStep(max - min, 5);
+    return { min: Math.floor(min / step) * step, max: Math.ceil(max / step) * step };
+}
+
+/**
+ * @param {import('./telemetry.js').TelemetrySample[]} samples Oldest first.
+ * @param {Date} from Left edge of the chart.
+ * @param {Date} to Right edge of the chart.
+ * @param {number} gapMs Samples further apart than this are not connected (the printer was offline).
+ * @returns {Buffer} PNG image.
+ */
+function renderTelemetryChart(samples, from, to, gapMs) {
+    const raster = new Raster(WIDTH, HEIGHT, BACKGROUND);
+    const plotLeft = MARGIN.left;
+    const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+    const plotHeight = HEIGHT - MARGIN.top - MARGIN.bottom - PANEL_GAP;
+    const panels = [
+        { top: MARGIN.top, height: Math.round(plotHeight * TOP_PANEL_SHARE) },
+        { top: MARGIN.top + Math.round(plotHeight * TOP_PANEL_SHARE) + PANEL_GAP, height: plotHeight - Math.round(plotHeight * TOP_PANEL_SHARE) },
+    ];
+    const span = Math.max(to.getTime() - from.getTime(), 1);
+    const xFor = time => plotLeft + ((time - from.getTime()) / span) * (plotWidth - 1);
+    const drawn = summarizeSeries(samples);
+
+    // Vertical grid lines with time labels under the bottom panel
+    const stepMs = X_STEPS_MS.find(step => span / step <= MAX_X_TICKS) || X_STEPS_MS[X_STEPS_MS.length - 1];
+    const timezoneOffsetMs = from.getTimezoneOffset() * 60000;
+    for (let tick = Math.ceil((from.getTime() - timezoneOffsetMs) / stepMs) * stepMs + timezoneOffsetMs; tick <= to.getTime(); tick += stepMs) {
+        const x = Math.round(xFor(tick));
+        for (const panel of panels) raster.line(x, panel.top, x, panel.top + panel.height - 1, GRID);
+        const label = formatTick(tick, stepMs);
+        const labelX = Math.min(Math.max(x - (label.length * GLYPH_WIDTH) / 2, 0), WIDTH - label.length * GLYPH_WIDTH);
+        raster.text(Math.round(labelX), HEIGHT - MARGIN.bottom + 10, label, LABEL);
+    }
+
+    panels.forEach((panel, panelIndex) => {
+        const seriesList = drawn.filter(series => series.panel === panelIndex);
+        const range = panelRange(panelIndex, samples, seriesList);
+        const yFor = value => panel.top + panel.height - 1 - ((value - range.min) / (range.max - range.min)) * (panel.height - 1);
+
+        // Horizontal grid lines with value labels left of the panel
+        const step = niceStep(range.max - range.min, panelIndex === 0 ? 6 : 4);
+        for (let value = range.min; value <= range.max + step / 1000; value += step) {
+            const y = Math.round(yFor(value));
+            raster.line(plotLeft, y, plotLeft + plotWidth - 1, y, GRID);
+            const label = formatNumber(value);
+            raster.text(plotLeft - 8 - label.length * GLYPH_WIDTH, y - GLYPH_HEIGHT / 2, label, LABEL);
+        }
+
+        const drawSeries = (key, color, thickness, isDrawn) => {
+            let previous = null;
+            for (const sample of samples) {
+                const value = sample[key];
+                if (!isDrawn(value)) {
+                    previous = null;
+                    continue;
+                }
+                const point = { t: sample.t, x: xFor(sample.t), y: yFor(value) };
+                if (previous && sample.t - previous.t <= gapMs) raster.line(previous.x, previous.y, point.x, point.y, color, thickness);
+                else raster.fillRect(Math.round(point.x), Math.round(point.y), thickness, thickness, color);
+                previous = point;
+            }
+        };
+
+        // A target of 0 means the heater is off.
+        for (const series of seriesList) {
+            if (series.targetKey) drawSeries(series.targetKey, dim(series.color), 1, value => value > 0);
+        }
+        for (const series of seriesList) drawSeries(series.key, series.color, 2, Number.isFinite);
+    });
+
+    return encodePng(raster);
+}
+
+module.exports = {
+    TELEMETRY_SERIES,
+    summarizeSeries,
+    renderTelemetryChart,
+};
@@ -0,0 +1,151 @@
+// telemetry.js
+// Samples each printer's temperatures, fan speeds and print speed every `telemetrySampleSeconds`
+// into a time series on disk, so warping and heating problems can be looked into after the
+// fact with /telemetry. Samples are appended as JSON lines to one file per printer and day
+// (data/telemetry/<key>/<YYYY-MM-DD>.jsonl) and days older than `telemetryRetentionDays` are
+// deleted.
+
+const fs = require('fs');
+const path = require('path');
+
+const { telemetrySampleSeconds = 30, telemetryRetentionDays = 14 } = require('./config.json');
+const { DATA_DIR } = require('./json-store.js');
+const { getConnection } = require('./printer-registry.js');
+const { getOpenJob } = require('./job-history.js');
+
+const TELEMETRY_DIR = path.join(DATA_DIR, 'telemetry');
+const DAY_MS = 86400000;
+// Samples further apart than this were interrupted (bot or printer offline).
+const MAX_SAMPLE_GAP_MS = telemetrySampleSeconds * 3000;
+
+/**
+ * @typedef {object} TelemetrySample
+ * @property {number} t Unix time in milliseconds.
+ * @property {number|null} nozzle °C
+ * @property {number|null} nozzleTarget °C
+ * @property {number|null} bed °C
+ * @property {number|null} bedTarget °C
+ * @property {number|null} chamber °C
+ * @property {number|null} partFan Percent.
+ * @property {number|null} auxFan Percent.
+ * @property {number|null} chamberFan Percent.
+ * @property {number|null} speed Print speed in percent of standard.
+ * @property {string|null} jobId Job printing when the sample was taken.
+ */
+
+function toNumber(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+// Fan speeds are reported as a 0-15 level string.
+function fanPercent(level) {
+    const value = toNumber(level);
+    return value === null ? null : Math.round((value / 15) * 100);
+}
+
+function dayKey(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+function printerDir(printerKey) {
+    return path.join(TELEMETRY_DIR, printerKey.replace(/[^\w.-]/g, '_'));
+}
+
+/**
+ * @param {object} status Merged MQTT `print` report.
+ * @param {string|null} jobId
+ * @returns {TelemetrySample}
+ */
+function buildSample(status, jobId) {
+    return {
+        t: Date.now(),
+        nozzle: toNumber(status.nozzle_temper),
+        nozzleTarget: toNumber(status.nozzle_target_temper),
+        bed: toNumber(status.bed_temper),
+        bedTarget: toNumber(status.bed_target_temper),
+        chamber: toNumber(status.chamber_temper),
+        partFan: fanPercent(status.cooling_fan_speed),
+        auxFan: fanPercent(status.big_fan1_speed),
+        chamberFan: fanPercent(status.big_fan2_speed),
+        speed: toNumber(status.spd_mag),
+        jobId,
+    };
+}
+
+function appendSample(printerKey, sample) {
+    const dir = printerDir(printerKey);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.appendFileSync(path.join(dir, `${dayKey(sample.t)}.jsonl`), `${JSON.stringify(sample)}\n`);
+}
+
+function pruneTelemetry(printerKey) {
+    const dir = printerDir(printerKey);
+    if (!fs.existsSync(dir)) return;
+    const oldestKept = dayKey(Date.now() - telemetryRetentionDays * DAY_MS);
+    for (const name of fs.readdirSync(dir)) {
+        if (name.endsWith('.jsonl') && name.slice(0, 10) < oldestKept) {
+            fs.rmSync(path.join(dir, name), { force: true });
+        }
+    }
+}
+
+/**
+ * Samples of a printer taken between `from` and `to`, oldest first.
+ * @param {string} printerKey
+ * @param {Date} from
+ * @param {Date} [to]
+ * @returns {TelemetrySample[]}
+ */
+function getTelemetry(printerKey, from, to = new Date()) {
+    const dir = printerDir(printerKey);
+    const samples = [];
+    for (let day = Date.parse(dayKey(from.getTime())); day <= to.getTime(); day += DAY_MS) {
+        const filePath = path.join(dir, `${dayKey(day)}.jsonl`);
+        if (!fs.existsSync(filePath)) continue;
+
+        for (const line of fs.readFileSync(filePath, 'utf-8').split('\n')) {
+            if (!line) continue;
+            let sample;
+            try {
+                sample = JSON.parse(line);
+            } catch (error) {
+                continue; // A line cut short when the bot stopped mid-write
+            }
+            if (sample.t >= from.getTime() && sample.t <= to.getTime()) samples.push(sample);
+        }
+    }
+    return samples;
+}
+
+/**
+ * Starts sampling `printer` while it is connected.
+ * @param {object} printer Printer entry from printer-config.js.
+ */
+function startTelemetry(printer) {
+    if (!telemetrySampleSeconds) return;
+
+    const connection = getConnection(printer.key);
+    let lastDay = null;
+
+    setInterval(() => {
+        if (!connection.connected || connection.lastReportAt === null) return;
+
+        const sample = buildSample(connection.status, getOpenJob(printer.key)?.id || null);
+        try {
+            if (dayKey(sample.t) !== lastDay) {
+                lastDay = dayKey(sample.t);
+                pruneTelemetry(printer.key);
+            }
+            appendSample(printer.key, sample);
+        } catch (error) {
+            console.error(`[Telemetry] Could not record a sample for ${printer.MACHINE_NAME}: ${error.message}`);
+        }
+    }, telemetrySampleSeconds * 1000);
+}
+
+module.exports = {
+    MAX_SAMPLE_GAP_MS,
+    getTelemetry,
+    startTelemetry,
+};
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseDuration, formatDuration } = require('../duration-utils.js');
+
+test('parses the durations Bambu Studio writes into G-code headers', () => {
+    assert.equal(parseDuration('1d 2h 3m 4s'), 93784);
+    assert.equal(parseDuration('1h 23m 45s'), 5025);
+    assert.equal(parseDuration('48m 7s'), 2887);
+});
+
+test('accepts any order, case, spacing and fractional amounts', () => {
+    assert.equal(parseDuration('30m 2H'), 9000);
+    assert.equal(parseDuration('1.5h'), 5400);
+    assert.equal(parseDuration('2 d'), 172800);
+});
+
+test('returns null when there is no duration', () => {
+    assert.equal(parseDuration(''), null);
+    assert.equal(parseDuration('soon'), null);
+    assert.equal(parseDuration('12'), null);
+    assert.equal(parseDuration(null), null);
+});
+
+test('does not read units out of longer words', () => {
+    assert.equal(parseDuration('5 mins'), null);
+    assert.equal(parseDuration('3 hours 10m'), 600);
+});
+
+test('formats seconds as days, hours and minutes', () => {
+    assert.equal(formatDuration(93784), '1d 2h 3m');
+    assert.equal(formatDuration(5025), '1h 24m');
+    assert.equal(formatDuration(20), '0m');
+    assert.equal(formatDuration(null), 'N/A');
+});
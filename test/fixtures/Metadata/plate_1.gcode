@@ -0,0 +1,35 @@
+; HEADER_BLOCK_START
+; BambuStudio 01.09.00.70
+; model printing time: 1h 2m 5s; total estimated time: 1h 8m 8s
+; total layer number: 156
+; total filament length [mm] : 6120.45,0.00,1700.21
+; total filament volume [cm^3] : 14720.33,0.00,4089.12
+; total filament weight [g] : 23.51
+; filament_density: 1.24,1.24,1.27
+; max_z_height: 31.20
+; HEADER_BLOCK_END
+
+; CONFIG_BLOCK_START
+; curr_bed_type = Textured PEI Plate
+; default_filament_profile = "Bambu PLA Basic @BBL P1S";"Bambu PLA Basic @BBL P1S";"Generic PETG @BBL P1S"
+; filament_colour = #FFFFFF;#FF0000;#000000
+; filament_settings_id = "Bambu PLA Basic @BBL P1S";"Bambu PLA Matte @BBL P1S";"Generic PETG @BBL P1S"
+; filament_type = PLA;PLA;PETG
+; hot_plate_temp = 55,55,70
+; hot_plate_temp_initial_layer = 55,55,70
+; nozzle_temperature = 220,220,255
+; nozzle_temperature_initial_layer = 220,220,250
+; printer_model = "Bambu Lab P1S"
+; textured_plate_temp = 65,65,70
+; textured_plate_temp_initial_layer = 65,65,75
+; CONFIG_BLOCK_END
+
+; EXECUTABLE_BLOCK_START
+M73 P0 R68
+G90
+M83
+; EXECUTABLE_BLOCK_END
+; filament used [mm] = 6120.45,0.00,1700.21
+; filament used [g] = 18.25,0.00,5.26
+; filament cost = 0.37,0.00,0.11
+; total filament used [g] = 23.51
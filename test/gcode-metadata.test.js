@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { readGcodeMetadata, readProjectMetadata } = require('../gcode-metadata.js');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const GCODE_PATH = path.join(FIXTURES_DIR, 'Metadata/plate_1.gcode');
+
+test('reads the header block', async () => {
+    const gcode = await readGcodeMetadata(GCODE_PATH);
+    assert.equal(gcode.slicer, 'BambuStudio 01.09.00.70');
+    assert.equal(gcode.modelPrintSeconds, 3725);
+    assert.equal(gcode.totalEstimatedSeconds, 4088);
+    assert.equal(gcode.layerCount, 156);
+    assert.equal(gcode.maxZHeight, 31.2);
+    assert.equal(gcode.totalFilamentGrams, 23.51);
+});
+
+test('reads the per-slot filament settings of the config block', async () => {
+    const gcode = await readGcodeMetadata(GCODE_PATH);
+    assert.equal(gcode.printerModel, 'Bambu Lab P1S');
+    assert.deepEqual(gcode.filamentTypes, ['PLA', 'PLA', 'PETG']);
+    assert.deepEqual(gcode.filamentProfiles, ['Bambu PLA Basic @BBL P1S', 'Bambu PLA Matte @BBL P1S', 'Generic PETG @BBL P1S']);
+    assert.deepEqual(gcode.filamentColors, ['#FFFFFF', '#FF0000', '#000000']);
+    assert.deepEqual(gcode.nozzleTemperatures, [220, 220, 255]);
+    assert.deepEqual(gcode.firstLayerNozzleTemperatures, [220, 220, 250]);
+});
+
+test('takes the bed temperatures of the plate type it was sliced for', async () => {
+    const gcode = await readGcodeMetadata(GCODE_PATH);
+    assert.equal(gcode.bedType, 'Textured PEI Plate');
+    assert.deepEqual(gcode.bedTemperatures, [65, 65, 70]);
+    assert.deepEqual(gcode.firstLayerBedTemperatures, [65, 65, 75]);
+});
+
+test('reads the filament use from the summary after the G-code', async () => {
+    const gcode = await readGcodeMetadata(GCODE_PATH);
+    assert.deepEqual(gcode.filamentUsedGrams, [18.25, 0, 5.26]);
+    assert.equal(gcode.summary['filament cost'], '0.37,0.00,0.11');
+});
+
+test('combines slice_info, model_settings and the plate G-code of an extracted project', async () => {
+    const project = await readProjectMetadata(FIXTURES_DIR);
+    assert.equal(project.slicerVersion, '01.09.00.70');
+    assert.equal(project.printerModelId, 'C12');
+    assert.equal(project.plateIndex, 1);
+    assert.equal(project.plates[0].name, 'Brackets');
+    assert.equal(project.plates[1].gcodeFile, 'Metadata/plate_2.gcode');
+    assert.equal(project.gcode.layerCount, 156);
+});
+
+test('leaves the G-code out when the plate was not sliced', async () => {
+    const project = await readProjectMetadata(FIXTURES_DIR, 2);
+    assert.equal(project.plateIndex, 2);
+    assert.equal(project.gcode, null);
+});
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { readGcodeMetadata, lookupSettings } = require('../gcode-metadata.js');
+
+const GCODE_PATH = path.join(__dirname, 'fixtures/Metadata/plate_1.gcode');
+
+test('finds keys of the header, config and summary, keyed as queried', async () => {
+    const gcode = await readGcodeMetadata(GCODE_PATH);
+    assert.deepEqual(lookupSettings(gcode, 'Total Layer Number; filament_type;filament cost'), {
+        'Total Layer Number': '156',
+        'filament_type': 'PLA;PLA;PETG',
+        'filament cost': '0.37,0.00,0.11',
+    });
+});
+
+test('skips keys that are not found or only partly match', async () => {
+    const gcode = await readGcodeMetadata(GCODE_PATH);
+    assert.deepEqual(lookupSettings(gcode, 'nozzle;unknown_key;;max_z_height'), { 'max_z_height': '31.20' });
+});
+
+test('finds nothing without metadata', () => {
+    assert.deepEqual(lookupSettings(null, 'filament_type'), {});
+});
@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { parseModelSettings } = require('../gcode-metadata.js');
+
+const xml = fs.readFileSync(path.join(__dirname, 'fixtures/Metadata/model_settings.config'), 'utf-8');
+
+test('reads the name and files of every plate', () => {
+    assert.deepEqual(parseModelSettings(xml).map(({ index, name, gcodeFile, thumbnailFile }) => ({ index, name, gcodeFile, thumbnailFile })), [
+        { index: 1, name: 'Brackets', gcodeFile: 'Metadata/plate_1.gcode', thumbnailFile: 'Metadata/plate_1.png' },
+        { index: 2, name: null, gcodeFile: null, thumbnailFile: 'Metadata/plate_2.png' },
+    ]);
+});
+
+test('names the objects of a plate by their object, not part, name', () => {
+    assert.deepEqual(parseModelSettings(xml).map(plate => plate.objects), [['Bracket', 'Spacer'], ['Clip']]);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isQuietTime } = require('../notification-router.js');
+
+const at = time => new Date(`2026-01-15T${time}:00Z`);
+
+test('is never quiet without quiet hours', () => {
+    assert.equal(isQuietTime(null, at('03:00'), 'UTC'), false);
+});
+
+test('quiet hours within a day include the start and exclude the end', () => {
+    const quietHours = { start: '12:00', end: '13:30' };
+    assert.equal(isQuietTime(quietHours, at('11:59'), 'UTC'), false);
+    assert.equal(isQuietTime(quietHours, at('12:00'), 'UTC'), true);
+    assert.equal(isQuietTime(quietHours, at('13:29'), 'UTC'), true);
+    assert.equal(isQuietTime(quietHours, at('13:30'), 'UTC'), false);
+});
+
+test('quiet hours can span midnight', () => {
+    const quietHours = { start: '22:00', end: '07:00' };
+    assert.equal(isQuietTime(quietHours, at('23:15'), 'UTC'), true);
+    assert.equal(isQuietTime(quietHours, at('00:00'), 'UTC'), true);
+    assert.equal(isQuietTime(quietHours, at('06:59'), 'UTC'), true);
+    assert.equal(isQuietTime(quietHours, at('07:00'), 'UTC'), false);
+    assert.equal(isQuietTime(quietHours, at('21:59'), 'UTC'), false);
+});
+
+test('reads the time in the given time zone', () => {
+    const quietHours = { start: '22:00', end: '07:00' };
+    // 21:30 UTC is 22:30 in Berlin (CET) and 16:30 in New York (EST) in January.
+    assert.equal(isQuietTime(quietHours, at('21:30'), 'Europe/Berlin'), true);
+    assert.equal(isQuietTime(quietHours, at('21:30'), 'America/New_York'), false);
+    assert.equal(isQuietTime(quietHours, at('05:30'), 'America/New_York'), true);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PrinterConnection } = require('../printer-registry.js');
+const { compareEntries, isPrinterFree } = require('../print-queue.js');
+
+function entry(id, fields = {}) {
+    return { id, priority: 'normal', deadline: null, createdAt: '2026-10-01T12:00:00.000Z', assignedPrinterKey: null, ...fields };
+}
+
+function connection(gcodeState, connected = true) {
+    const result = new PrinterConnection({ key: 'p1s', MACHINE_NAME: 'P1S' });
+    result.connected = connected;
+    result.status = { gcode_state: gcodeState };
+    return result;
+}
+
+test('orders entries by priority, then deadline, then submission time', () => {
+    const entries = [
+        entry('late', { createdAt: '2026-10-01T13:00:00.000Z' }),
+        entry('low', { priority: 'low', deadline: '2026-10-02T00:00:00.000Z' }),
+        entry('deadline', { deadline: '2026-10-05T00:00:00.000Z' }),
+        entry('early'),
+        entry('high', { priority: 'high', createdAt: '2026-10-03T00:00:00.000Z' }),
+        entry('soonest', { deadline: '2026-10-04T00:00:00.000Z' }),
+    ];
+    assert.deepEqual(entries.sort(compareEntries).map(e => e.id), ['high', 'soonest', 'deadline', 'early', 'late', 'low']);
+});
+
+test('a connected idle or finished printer without a queue entry is free', () => {
+    assert.equal(isPrinterFree(connection('IDLE'), []), true);
+    assert.equal(isPrinterFree(connection('FINISH'), [entry('other', { assignedPrinterKey: 'x1c' })]), true);
+});
+
+test('a busy or disconnected printer is not free', () => {
+    assert.equal(isPrinterFree(connection('RUNNING'), []), false);
+    assert.equal(isPrinterFree(connection('PAUSE'), []), false);
+    assert.equal(isPrinterFree(connection('IDLE', false), []), false);
+});
+
+test('a printer reserved by an assigned, starting or printing entry is not free', () => {
+    for (const status of ['assigned', 'starting', 'printing']) {
+        assert.equal(isPrinterFree(connection('IDLE'), [entry('reserved', { status, assignedPrinterKey: 'p1s' })]), false);
+    }
+});
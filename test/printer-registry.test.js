@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { mergeReport } = require('../printer-registry.js');
+
+test('merges partial nested objects field by field', () => {
+    const status = { mc_percent: 10, ams: { humidity: '3', tray_now: '1', ams: [{ id: '0' }] } };
+    assert.deepEqual(mergeReport(status, { mc_percent: 11, ams: { tray_now: '2' } }), {
+        mc_percent: 11,
+        ams: { humidity: '3', tray_now: '2', ams: [{ id: '0' }] },
+    });
+});
+
+test('replaces arrays whole', () => {
+    const status = { ams: { ams: [{ id: '0' }, { id: '1' }] } };
+    assert.deepEqual(mergeReport(status, { ams: { ams: [{ id: '1' }] } }), { ams: { ams: [{ id: '1' }] } });
+});
+
+test('replaces a nested object with a value of another type', () => {
+    assert.deepEqual(mergeReport({ vt_tray: { id: '254' } }, { vt_tray: null }), { vt_tray: null });
+    assert.deepEqual(mergeReport({ vt_tray: null }, { vt_tray: { id: '254' } }), { vt_tray: { id: '254' } });
+});
+
+test('leaves the previous status unchanged', () => {
+    const status = { ams: { tray_now: '1' } };
+    mergeReport(status, { ams: { tray_now: '2' } });
+    assert.deepEqual(status, { ams: { tray_now: '1' } });
+});
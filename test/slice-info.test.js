@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { parseSliceInfo } = require('../gcode-metadata.js');
+
+const xml = fs.readFileSync(path.join(__dirname, 'fixtures/Metadata/slice_info.config'), 'utf-8');
+
+test('reads the slicer version from the header', () => {
+    assert.equal(parseSliceInfo(xml).slicerVersion, '01.09.00.70');
+});
+
+test('reads every sliced plate with its prediction and weight', () => {
+    const { plates } = parseSliceInfo(xml);
+    assert.equal(plates.length, 2);
+    assert.deepEqual(
+        plates.map(({ index, printerModelId, nozzleDiameter, estimatedSeconds, weightGrams }) => ({ index, printerModelId, nozzleDiameter, estimatedSeconds, weightGrams })),
+        [
+            { index: 1, printerModelId: 'C12', nozzleDiameter: 0.4, estimatedSeconds: 4088, weightGrams: 23.51 },
+            { index: 2, printerModelId: 'C12', nozzleDiameter: 0.4, estimatedSeconds: 612, weightGrams: 2.04 },
+        ],
+    );
+});
+
+test('reads the filament of each slot and the objects of a plate', () => {
+    const [plate] = parseSliceInfo(xml).plates;
+    assert.deepEqual(plate.filaments, [
+        { slot: 1, trayInfoIdx: 'GFA00', type: 'PLA', color: '#FFFFFF', usedGrams: 18.25, usedMeters: 6.12 },
+        { slot: 3, trayInfoIdx: 'GFG99', type: 'PETG', color: '#000000', usedGrams: 5.26, usedMeters: 1.7 },
+    ]);
+    assert.deepEqual(plate.objects, ['Bracket', 'Spacer']);
+});
+
+test('returns no plates for a project that was not sliced', () => {
+    assert.deepEqual(parseSliceInfo('<?xml version="1.0"?>\n<config>\n</config>'), { slicerVersion: null, plates: [] });
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { compareFilamentsToSpools, matchFilamentsToTrays } = require('../spool-inventory.js');
+
+const status = {
+    ams: { ams: [{ id: '0', tray: [{ id: '0', tray_type: 'PLA' }, { id: '1', tray_type: 'PETG' }, { id: '2', tray_type: 'PLA' }] }] },
+    vt_tray: { id: '254', tray_type: 'TPU' },
+};
+
+function spool(id, material, remainingGrams, trayId = 'A1') {
+    return { id, material, remainingGrams, printerKey: 'p1s', trayId };
+}
+
+test('matches filaments to used trays of the same material in the order they were used', () => {
+    const filaments = [{ type: 'PETG', grams: 2.5 }, { type: 'PLA', grams: 20 }, { type: 'pla', grams: 4 }];
+    assert.deepEqual(matchFilamentsToTrays(filaments, ['A3', 'A2', 'A1'], status).map(match => match.trayId), ['A2', 'A3', 'A1']);
+});
+
+test('leaves a filament unmatched when no used tray holds its material', () => {
+    const filaments = [{ type: 'PLA', grams: 20 }, { type: 'ABS', grams: 5 }];
+    assert.deepEqual(matchFilamentsToTrays(filaments, ['A1', 'EXT'], status).map(match => match.trayId), ['A1', null]);
+});
+
+test('matches a single filament to a single used tray of any material', () => {
+    assert.deepEqual(matchFilamentsToTrays([{ type: 'PLA-CF', grams: 8 }], ['EXT'], status).map(match => match.trayId), ['EXT']);
+});
+
+test('reports a material whose fullest loaded spool has too little left', () => {
+    const shortfalls = compareFilamentsToSpools([{ type: 'PLA', grams: 20.12 }], [spool('small', 'PLA', 10), spool('smaller', 'PLA', 5, 'A3')]);
+    assert.deepEqual(shortfalls, ['Needs 20.12 g of PLA, but the fullest loaded PLA spool (`small` in A1) has 10 g left.']);
+});
+
+test('ignores covered filaments, materials without a loaded spool and unknown amounts', () => {
+    const loaded = [spool('pla', 'PLA', 10), spool('petg', 'PETG', 500, 'A2')];
+    assert.deepEqual(compareFilamentsToSpools([
+        { type: 'pla', grams: 8 },
+        { type: 'PETG', grams: 100 },
+        { type: 'ABS', grams: 1000 },
+        { type: 'PLA', grams: null },
+    ], loaded), []);
+});
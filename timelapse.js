@@ -0,0 +1,262 @@
+// timelapse.js
+// Records a timelapse of every print. The printer's shared camera stream stays open while a job
+// runs and a frame is kept every `timelapseIntervalSeconds` (or on each layer change with
+// `timelapseMode: "layer"`). On FINISH the frames are encoded into an MP4 or GIF by a local
+// ffmpeg and posted with the `finish` notifications; other endings discard them. When ffmpeg
+// cannot be run at startup, timelapses stay off rather than recording frames nothing can encode.
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { AttachmentBuilder } = require('discord.js');
+
+const {
+    timelapseMode = 'interval',
+    timelapseIntervalSeconds = 30,
+    timelapseFormat = 'mp4',
+    timelapseFps = 24,
+    ffmpegPath = 'ffmpeg',
+} = require('./config.json');
+const { DATA_DIR } = require('./json-store.js');
+const { printers, getPrinter } = require('./printer-config.js');
+const { getConnection } = require('./printer-registry.js');
+const { acquireSharedCamera, releaseSharedCamera } = require('./BambuCamera.js');
+const { jobEvents, getOpenJob, attachJobTimelapse } = require('./job-history.js');
+const { formatFileSize } = require('./printer-storage.js');
+const { formatDuration } = require('./duration-utils.js');
+
+const execFileAsync = promisify(execFile);
+
+const FRAMES_DIR = path.join(DATA_DIR, 'timelapse-frames');
+const TIMELAPSE_DIR = path.join(DATA_DIR, 'timelapses');
+const MAX_KEPT_TIMELAPSES = 30;
+const MIN_FRAMES = 2;
+// The camera sends about a frame per second; an older one means the connection dropped.
+const MAX_FRAME_AGE_MS = 60000;
+const ENCODE_TIMEOUT_MS = 10 * 60000;
+const FFMPEG_CHECK_TIMEOUT_MS = 10000;
+// Largest file a bot can attach in a server without boosts.
+const DISCORD_FILE_LIMIT = 10 * 1024 * 1024;
+
+const ENCODER_ARGS = {
+    mp4: ['-vf', 'scale=-2:720', '-c:v', 'libx264', '-crf', '28', '-pix_fmt', 'yuv420p', '-movflags', '+faststart'],
+    gif: ['-vf', 'scale=480:-1:flags=lanczos,split[a][b];[a]palettegen[p];[b][p]paletteuse'],
+};
+
+class TimelapseRecorder {
+    constructor(printer, job) {
+        this.printer = printer;
+        this.job = job;
+        this.framesDir = path.join(FRAMES_DIR, job.id);
+        this.frameCount = 0;
+        this.lastLayer = null;
+        this.camera = null;
+        this.interval = null;
+    }
+
+    start() {
+        fs.mkdirSync(this.framesDir, { recursive: true });
+        // Carry on numbering when the bot restarted in the middle of the job.
+        this.frameCount = fs.readdirSync(this.framesDir).filter(name => name.endsWith('.jpg')).length;
+
+        this.camera = acquireSharedCamera(this.printer.PRINTER_IP, this.printer.ACCESS_CODE);
+        if (timelapseMode === 'interval') {
+            this.interval = setInterval(() => this.saveFrame(), timelapseIntervalSeconds * 1000);
+        }
+        console.log(`[Timelapse] Recording "${this.job.fileName}" on ${this.printer.MACHINE_NAME} (${timelapseMode}, ${this.frameCount} frames so far).`);
+    }
+
+    onReport(status) {
+        if (timelapseMode !== 'layer' || !Number.isFinite(status.layer_num)) return;
+        if (this.lastLayer !== null && status.layer_num !== this.lastLayer) this.saveFrame();
+        this.lastLayer = status.layer_num;
+    }
+
+    saveFrame() {
+        const camera = this.camera;
+        if (!camera || !camera.lastFrameData || Date.now() - camera.lastFrameAt > MAX_FRAME_AGE_MS) return;
+
+        // ffmpeg reads the sequence up to the first gap, so only count frames that were written.
+        const framePath = path.join(this.framesDir, `frame_${String(this.frameCount + 1).padStart(5, '0')}.jpg`);
+        try {
+            fs.writeFileSync(framePath, camera.lastFrameData);
+            this.frameCount++;
+        } catch (error) {
+            console.error(`[Timelapse] Could not save a frame for ${this.printer.MACHINE_NAME}: ${error.message}`);
+        }
+    }
+
+    stop() {
+        if (this.interval) clearInterval(this.interval);
+        this.interval = null;
+        if (this.camera) releaseSharedCamera(this.camera);
+        this.camera = null;
+    }
+
+    discardFrames() {
+        fs.rmSync(this.framesDir, { recursive: true, force: true });
+    }
+}
+
+async function encodeTimelapse(framesDir, outputPath) {
+    const args = [
+        '-y', '-loglevel', 'error',
+        '-framerate', String(timelapseFps),
+        '-i', path.join(framesDir, 'frame_%05d.jpg'),
+        ...ENCODER_ARGS[timelapseFormat],
+        outputPath,
+    ];
+    try {
+        await execFileAsync(ffmpegPath, args, { timeout: ENCODE_TIMEOUT_MS });
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            throw new Error(`"${ffmpegPath}" was not found. Install ffmpeg or set ffmpegPath in config.json.`);
+        }
+        throw new Error(error.stderr ? error.stderr.trim() : error.message);
+    }
+}
+
+function pruneTimelapses() {
+    const files = fs.readdirSync(TIMELAPSE_DIR)
+        .map(name => ({ name, modifiedAt: fs.statSync(path.join(TIMELAPSE_DIR, name)).mtimeMs }))
+        .sort((a, b) => b.modifiedAt - a.modifiedAt);
+    for (const file of files.slice(MAX_KEPT_TIMELAPSES)) {
+        fs.rmSync(path.join(TIMELAPSE_DIR, file.name), { force: true });
+    }
+}
+
+/**
+ * Full path of a job's timelapse, or null when none was recorded or it has been pruned.
+ * @param {import('./job-history.js').PrintJob} job
+ * @returns {string|null}
+ */
+function getTimelapsePath(job) {
+    if (!job.timelapseFile) return null;
+    const filePath = path.join(TIMELAPSE_DIR, job.timelapseFile);
+    return fs.existsSync(filePath) ? filePath : null;
+}
+
+/**
+ * Message posting a job's timelapse, or explaining why the video cannot be attached.
+ * @param {import('./job-history.js').PrintJob} job A job with a timelapse, see getTimelapsePath.
+ * @returns {import('discord.js').BaseMessageOptions}
+ */
+function buildTimelapsePayload(job) {
+    const filePath = getTimelapsePath(job);
+    const printerName = getPrinter(job.printerKey)?.MACHINE_NAME || job.printerKey;
+    const content = `🎞️ Timelapse of **${job.fileName}** on ${printerName} (${formatDuration(job.actualSeconds)}, ended <t:${Math.floor(Date.parse(job.endedAt) / 1000)}:R>)`;
+
+    const size = fs.statSync(filePath).size;
+    if (size > DISCORD_FILE_LIMIT) {
+        return { content: `${content}\nThe video is ${formatFileSize(size)}, too large to attach here.` };
+    }
+    return { content, files: [new AttachmentBuilder(filePath, { name: `${job.fileName.replace(/[^\w.\-]/g, '_')}${path.extname(filePath)}` })] };
+}
+
+async function finishTimelapse(recorder, job, notifier) {
+    recorder.stop();
+    if (job.state !== 'FINISH' || recorder.frameCount < MIN_FRAMES) {
+        recorder.discardFrames();
+        return;
+    }
+
+    fs.mkdirSync(TIMELAPSE_DIR, { recursive: true });
+    const timelapseFile = `${job.id}.${timelapseFormat}`;
+    try {
+        await encodeTimelapse(recorder.framesDir, path.join(TIMELAPSE_DIR, timelapseFile));
+    } catch (error) {
+        console.error(`[Timelapse] Could not encode the timelapse of "${job.fileName}" on ${recorder.printer.MACHINE_NAME}: ${error.message}`);
+        return;
+    } finally {
+        recorder.discardFrames();
+    }
+    console.log(`[Timelapse] Encoded ${recorder.frameCount} frames of "${job.fileName}" into ${timelapseFile}.`);
+
+    attachJobTimelapse(job.id, timelapseFile);
+    pruneTimelapses();
+    await notifier.send('finish', buildTimelapsePayload(job));
+}
+
+// Frames of jobs that ended while the bot was not running can never be encoded.
+function removeStaleFrames() {
+    if (!fs.existsSync(FRAMES_DIR)) return;
+    for (const jobId of fs.readdirSync(FRAMES_DIR)) {
+        const isOpen = Object.keys(printers).some(printerKey => getOpenJob(printerKey)?.id === jobId);
+        if (!isOpen) fs.rmSync(path.join(FRAMES_DIR, jobId), { recursive: true, force: true });
+    }
+}
+
+let ffmpegCheck = null;
+const ffmpegWarnings = new Set();
+
+/**
+ * Runs `ffmpeg -version` once for all printers and features; resolves to whether it worked.
+ * When it did not, `consequence` is logged under `tag`, once per tag.
+ * @param {string} tag Log tag of the feature, e.g. "Timelapse".
+ * @param {string} consequence What is turned off and how to fix or silence it.
+ * @returns {Promise<boolean>}
+ */
+function checkFfmpeg(tag, consequence) {
+    if (!ffmpegCheck) {
+        ffmpegCheck = execFileAsync(ffmpegPath, ['-version'], { timeout: FFMPEG_CHECK_TIMEOUT_MS }).then(() => null, error =>
+            error.code === 'ENOENT' ? 'was not found' : `failed: ${error.message}`);
+    }
+    return ffmpegCheck.then(problem => {
+        if (problem && !ffmpegWarnings.has(tag)) {
+            ffmpegWarnings.add(tag);
+            console.warn(`[${tag}] "${ffmpegPath}" ${problem}. ${consequence}`);
+        }
+        return !problem;
+    });
+}
+
+function recordTimelapses(printer, notifier) {
+    removeStaleFrames();
+
+    let current = null;
+
+    getConnection(printer.key).on('report', status => {
+        const job = getOpenJob(printer.key);
+        if (!job) return;
+
+        if (!current || current.job.id !== job.id) {
+            current = new TimelapseRecorder(printer, job);
+            current.start();
+        }
+        current.onReport(status);
+    });
+
+    jobEvents.on('jobEnded', job => {
+        if (!current || current.job.id !== job.id) return;
+        const ended = current;
+        current = null;
+        finishTimelapse(ended, job, notifier).catch(error => {
+            console.error(`[Timelapse] Failed to post the timelapse of "${job.fileName}" on ${printer.MACHINE_NAME}:`, error);
+        });
+    });
+}
+
+/**
+ * Records a timelapse of every job printed on `printer` and posts it when the job finishes.
+ * Must be started after job-history's tracking so jobs are opened before the reports arrive here.
+ * @param {object} printer Printer entry from printer-config.js.
+ * @param {ReturnType<import('./notification-router.js').createNotifier>} notifier
+ */
+function startTimelapses(printer, notifier) {
+    if (timelapseMode === 'off') return;
+    if (!ENCODER_ARGS[timelapseFormat]) {
+        console.error(`[Timelapse] Unknown timelapseFormat "${timelapseFormat}"; use "mp4" or "gif". Timelapses are disabled.`);
+        return;
+    }
+    checkFfmpeg('Timelapse', 'Timelapses are disabled; install ffmpeg or set ffmpegPath in config.json, or set timelapseMode to "off" to silence this.').then(found => {
+        if (found) recordTimelapses(printer, notifier);
+    });
+}
+
+module.exports = {
+    getTimelapsePath,
+    buildTimelapsePayload,
+    startTimelapses,
+    checkFfmpeg,
+};
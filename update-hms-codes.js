@@ -0,0 +1,71 @@
+// update-hms-codes.js
+// Refreshes hms-codes.json from the HMS and print error tables Bambu Lab publishes for Bambu
+// Studio and Bambu Handy. Run it with `npm run update-hms-codes` and commit the result. Entries
+// written as objects (with their own severity) are kept as they are; every other description
+// is replaced by the published one.
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+const SOURCE_URL = 'https://e.bambulab.com/query.php?lang=en';
+const TABLE_PATH = path.join(__dirname, 'hms-codes.json');
+const FETCH_TIMEOUT_MS = 60000;
+
+// "0300010000010001" -> "0300_0100_0001_0001"; print errors have two words.
+function formatCode(ecode) {
+    return ecode.toUpperCase().match(/.{4}/g).join('_');
+}
+
+function readPublishedTable(entries, length) {
+    const table = {};
+    for (const { ecode, intro } of entries || []) {
+        if (typeof ecode !== 'string' || ecode.length !== length || !intro) continue;
+        table[formatCode(ecode)] = intro.trim();
+    }
+    return table;
+}
+
+// Published codes in key order, with the hand-written object entries taking precedence.
+function mergeTables(current, published) {
+    const merged = { ...current, ...published };
+    for (const [code, entry] of Object.entries(current)) {
+        if (typeof entry === 'object') merged[code] = entry;
+    }
+    return Object.fromEntries(Object.entries(merged).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+async function updateHmsCodes() {
+    const response = await fetch(SOURCE_URL, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+    if (!response.ok) {
+        throw new Error(`${SOURCE_URL} returned HTTP ${response.status}.`);
+    }
+    const body = await response.json();
+    if (body.result !== 0 || !body.data) {
+        throw new Error(`${SOURCE_URL} returned no tables (result ${body.result}).`);
+    }
+
+    const hms = readPublishedTable(body.data.device_hms?.en, 16);
+    const printError = readPublishedTable(body.data.device_error?.en, 8);
+    if (Object.keys(hms).length === 0 || Object.keys(printError).length === 0) {
+        throw new Error('The published tables are empty or in an unknown format; hms-codes.json was not changed.');
+    }
+
+    const current = JSON.parse(fs.readFileSync(TABLE_PATH, 'utf-8'));
+    const updated = {
+        source: {
+            url: SOURCE_URL,
+            hmsVersion: body.data.device_hms.ver ?? null,
+            printErrorVersion: body.data.device_error.ver ?? null,
+            fetchedAt: new Date().toISOString(),
+        },
+        hms: mergeTables(current.hms, hms),
+        printError: mergeTables(current.printError, printError),
+    };
+    fs.writeFileSync(TABLE_PATH, `${JSON.stringify(updated, null, 4)}\n`);
+    console.log(`Wrote ${Object.keys(updated.hms).length} HMS codes and ${Object.keys(updated.printError).length} print errors to hms-codes.json.`);
+}
+
+updateHmsCodes().catch(error => {
+    console.error(`Could not update hms-codes.json: ${error.message}`);
+    process.exitCode = 1;
+});